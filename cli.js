@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// MCP Gateway CLI
+//
+//   mcp-gateway serve [http|ws|stdio] [--service <name>] [--port <n>] [--ws-port <n>]
+//   mcp-gateway call <tool> [--service <name>] [--<argument> <value> ...] [--args '<json>']
+//   mcp-gateway tools [--service <name>] [--json]
+//
+// `serve` without a transport runs HTTP and WebSocket together, like `npm start`.
+// Tool arguments are converted to the types declared in the tool's inputSchema, so
+// `call god_analysis --symbol bitcoin` and `call backtest --symbol btc --limit 200 --allow-short false`
+// work as written; --args takes the whole arguments object as JSON instead.
+
+const USAGE = `Usage:
+  mcp-gateway serve [http|ws|stdio] [--service <name>] [--port <n>] [--ws-port <n>]
+  mcp-gateway call <tool> [--service <name>] [--<argument> <value> ...] [--args '<json>']
+  mcp-gateway tools [--service <name>] [--json]`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
+
+function coerceValue(value, schema = {}) {
+  // Union types such as ["string", "object"]: JSON values are parsed, anything else stays a string
+  if (Array.isArray(schema.type)) {
+    return typeof value === 'string' && /^\s*[[{]/.test(value) ? JSON.parse(value) : value;
+  }
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      return value === true || Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      return value === true || value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      if (typeof value === 'string' && value.trim().startsWith('[')) return JSON.parse(value);
+      return String(value).split(',').map(item => coerceValue(item.trim(), schema.items));
+    case 'object':
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    default:
+      return value;
+  }
+}
+
+// --include-news and --include_news both set include_news
+function toolArguments(tool, options) {
+  const properties = tool.inputSchema.properties || {};
+  const args = options.args ? JSON.parse(options.args) : {};
+  for (const [option, value] of Object.entries(options)) {
+    if (option === 'args' || option === 'service') continue;
+    const name = option in properties ? option : option.replace(/-/g, '_');
+    args[name] = coerceValue(value, properties[name]);
+  }
+  return args;
+}
+
+function requireService(services, name = 'crypto') {
+  const service = services.get(name);
+  if (!service) {
+    throw new Error(`Unknown service: ${name} (available: ${services.list().map(s => s.name).join(', ')})`);
+  }
+  return service;
+}
+
+async function callTool(gateway, { positional, options }) {
+  const { processMCPMessage } = require('./lib/mcp');
+  const [name] = positional;
+  if (!name) {
+    throw new Error('call requires a tool name');
+  }
+
+  const service = requireService(gateway.services, options.service);
+  const tool = service.tools.list().find(t => t.name === name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name} (run "mcp-gateway tools --service ${service.name}" to list them)`);
+  }
+
+  let args;
+  try {
+    args = toolArguments(tool, options);
+  } catch (error) {
+    throw new Error(`Invalid JSON in tool arguments: ${error.message}`);
+  }
+
+  const response = await processMCPMessage(service, {
+    jsonrpc: "2.0",
+    id: 1,
+    method: "tools/call",
+    params: { name, arguments: args }
+  }, { principal: null });
+
+  if (response.error) {
+    const details = response.error.data ? `\n${JSON.stringify(response.error.data, null, 2)}` : '';
+    throw new Error(`${response.error.message} (code ${response.error.code})${details}`);
+  }
+  for (const item of response.result.content) {
+    process.stdout.write(`${item.type === 'text' ? item.text : JSON.stringify(item, null, 2)}\n`);
+  }
+}
+
+function listTools(gateway, { options }) {
+  const service = requireService(gateway.services, options.service);
+  const tools = service.tools.list();
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(tools, null, 2)}\n`);
+    return;
+  }
+  const width = Math.max(...tools.map(tool => tool.name.length));
+  for (const tool of tools) {
+    process.stdout.write(`${tool.name.padEnd(width)}  ${tool.description}\n`);
+  }
+}
+
+function serve(gateway, { positional, options }) {
+  const [transport = 'all'] = positional;
+  switch (transport) {
+    case 'stdio': {
+      const client = gateway.startStdioServer(options.service);
+      // The client closing stdin ends the session
+      client.closed.then(() => process.exit(0));
+      return;
+    }
+    case 'http':
+      gateway.startHttpServer(options.port);
+      return;
+    case 'ws':
+      gateway.startWebSocketServer(options['ws-port'] || options.port);
+      return;
+    case 'all':
+      gateway.startHttpServer(options.port);
+      gateway.startWebSocketServer(options['ws-port']);
+      return;
+    default:
+      throw new Error(`Unknown transport: ${transport} (expected http, ws or stdio)`);
+  }
+}
+
+async function main() {
+  const { positional: [command, ...positional], options } = parseArgs(process.argv.slice(2));
+
+  if (!command || command === 'help' || options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Only the HTTP and WebSocket servers may log to stdout: in stdio mode it carries the
+  // protocol, and `call`/`tools` print their result there
+  const servesNetwork = command === 'serve' && positional[0] !== 'stdio';
+  if (!servesNetwork) {
+    console.log = console.info = console.debug = console.error;
+  }
+
+  const commands = { serve, call: callTool, tools: listTools };
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${command}\n${USAGE}`);
+  }
+
+  const gateway = require('./mcp-gateway');
+  await commands[command](gateway, { positional, options });
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
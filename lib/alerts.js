@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { MarketDataRouter, SUPPORTED_INTERVALS } = require('./market-data');
+const { TechnicalIndicators, INDICATOR_DEFINITIONS } = require('./indicators');
+const { CryptoGodEngine } = require('./crypto-god-engine');
+
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join(__dirname, '..', 'data', 'alerts.json');
+
+const ALERT_TYPES = ['price', 'indicator', 'fear_greed'];
+const ALERT_OPERATORS = ['above', 'below', 'crosses_above', 'crosses_below', 'crosses'];
+
+// Indicators that produce several series; the first entry is the one compared by default
+const INDICATOR_OUTPUTS = {
+  macd: ['macd', 'signal', 'histogram'],
+  bollinger: ['middle', 'upper', 'lower'],
+  stochastic: ['k', 'd'],
+  adx: ['adx', 'plusDI', 'minusDI'],
+  ichimoku: ['tenkan', 'kijun', 'senkouA', 'senkouB', 'chikou']
+};
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Owner of alerts created without an API key (stdio, the CLI) and of alerts stored before
+// alerts had owners
+const LOCAL_OWNER = 'local';
+const DEFAULT_INDICATOR_INTERVAL = '1h';
+
+// Alert Manager
+// Alerts compare a price, an indicator value or the Fear & Greed index against a threshold.
+// Level operators (above/below) fire while the condition holds; crossing operators fire
+// when the value moves through the threshold between two checks, so the first check only
+// records a baseline. After firing, an alert stays quiet for its cooldown. Each alert
+// belongs to the API key that created it, which alone may list or delete it and receive
+// its notifications. Alerts and their state are persisted to ALERTS_FILE so they survive
+// restarts.
+class AlertManager extends EventEmitter {
+  constructor({
+    file = ALERTS_FILE,
+    checkIntervalMs = parseInt(process.env.ALERT_CHECK_INTERVAL_MS || '60000'),
+    webhookUrl = process.env.ALERT_WEBHOOK_URL
+  } = {}) {
+    super();
+    this.file = file;
+    this.checkIntervalMs = checkIntervalMs;
+    this.webhookUrl = webhookUrl;
+    this.alerts = new Map();
+    this.timer = null;
+    this.checking = false;
+    this.lastCheckAt = null;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      stored.forEach(alert => this.alerts.set(alert.id, { owner: LOCAL_OWNER, ...alert }));
+    } catch (error) {
+      throw new Error(`Failed to load alerts from ${this.file}: ${error.message}`);
+    }
+  }
+
+  // Writes to a temporary file first so a crash mid-write never leaves a truncated store
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(this.alerts.values()), null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  static normalize(spec) {
+    const { type, operator, threshold } = spec;
+    if (!ALERT_TYPES.includes(type)) {
+      throw new Error(`Alert type must be one of: ${ALERT_TYPES.join(', ')}`);
+    }
+    if (!ALERT_OPERATORS.includes(operator)) {
+      throw new Error(`Alert operator must be one of: ${ALERT_OPERATORS.join(', ')}`);
+    }
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+      throw new Error('Alert threshold must be a finite number');
+    }
+
+    const condition = { type, operator, threshold };
+
+    if (type !== 'fear_greed') {
+      if (!spec.symbol) {
+        throw new Error(`${type} alerts require a symbol`);
+      }
+      condition.symbol = spec.symbol.toUpperCase();
+    }
+
+    if (type === 'indicator') {
+      const definition = INDICATOR_DEFINITIONS[spec.indicator];
+      if (!definition) {
+        throw new Error(`Indicator alerts require an indicator, one of: ${Object.keys(INDICATOR_DEFINITIONS).join(', ')}`);
+      }
+      const outputs = INDICATOR_OUTPUTS[spec.indicator];
+      if (spec.output && (!outputs || !outputs.includes(spec.output))) {
+        throw new Error(outputs
+          ? `${spec.indicator} output must be one of: ${outputs.join(', ')}`
+          : `${spec.indicator} has a single output`);
+      }
+      const interval = spec.interval || DEFAULT_INDICATOR_INTERVAL;
+      if (!SUPPORTED_INTERVALS.includes(interval)) {
+        throw new Error(`Unsupported interval: ${interval}`);
+      }
+      condition.indicator = spec.indicator;
+      condition.params = { ...definition.defaults, ...spec.params };
+      condition.interval = interval;
+      if (outputs) condition.output = spec.output || outputs[0];
+    }
+
+    return condition;
+  }
+
+  static describe(condition) {
+    const operator = condition.operator.replace('_', ' ');
+    switch (condition.type) {
+      case 'price':
+        return `${condition.symbol} price ${operator} ${condition.threshold}`;
+      case 'indicator': {
+        const params = Object.values(condition.params).join(',');
+        const name = `${condition.indicator.toUpperCase()}${params ? `(${params})` : ''}${condition.output ? `.${condition.output}` : ''}`;
+        return `${condition.symbol} ${name} on ${condition.interval} ${operator} ${condition.threshold}`;
+      }
+      case 'fear_greed':
+        return `Fear & Greed index ${operator} ${condition.threshold}`;
+    }
+  }
+
+  create(spec, { owner = LOCAL_OWNER } = {}) {
+    const condition = AlertManager.normalize(spec);
+    const cooldownMinutes = spec.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES;
+    const alert = {
+      id: crypto.randomUUID(),
+      owner,
+      label: spec.label || AlertManager.describe(condition),
+      condition,
+      cooldown_minutes: cooldownMinutes,
+      created_at: new Date().toISOString(),
+      last_value: null,
+      last_checked_at: null,
+      last_triggered_at: null,
+      trigger_count: 0,
+      last_error: null
+    };
+    this.alerts.set(alert.id, alert);
+    this.save();
+    return alert;
+  }
+
+  // Without an owner every alert is listed
+  list({ symbol, owner } = {}) {
+    return Array.from(this.alerts.values()).filter(alert =>
+      (!owner || alert.owner === owner) && (!symbol || alert.condition.symbol === symbol.toUpperCase()));
+  }
+
+  // Another owner's alert is reported as missing, like an unknown id
+  delete(id, { owner } = {}) {
+    const alert = this.alerts.get(id);
+    if (!alert || (owner && alert.owner !== owner)) return false;
+    this.alerts.delete(id);
+    this.save();
+    return true;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async readValue(condition) {
+    switch (condition.type) {
+      case 'price':
+        return (await MarketDataRouter.getCurrentPrice(condition.symbol)).price;
+
+      case 'indicator': {
+        const definition = INDICATOR_DEFINITIONS[condition.indicator];
+        const longest = Math.max(0, ...Object.values(condition.params).filter(v => typeof v === 'number'));
+        const limit = Math.min(1000, Math.max(200, longest * 3));
+        const { candles, provider } = await MarketDataRouter.getOHLCV(condition.symbol, { interval: condition.interval, limit });
+        if (definition.requiresVolume && !TechnicalIndicators.hasVolume(candles)) {
+          throw new Error(`${provider} does not provide volume data`);
+        }
+        const result = definition.run(candles, condition.params);
+        const value = TechnicalIndicators.last(condition.output ? result[condition.output] : result);
+        if (value === null) {
+          throw new Error('Not enough candles to compute the indicator');
+        }
+        return value;
+      }
+
+      case 'fear_greed': {
+        const index = await CryptoGodEngine.getFearGreedIndex();
+        if (index.fallback) {
+          throw new Error('Fear & Greed index unavailable');
+        }
+        return parseInt(index.value);
+      }
+    }
+  }
+
+  static isMet(operator, previous, value, threshold) {
+    switch (operator) {
+      case 'above': return value > threshold;
+      case 'below': return value < threshold;
+      case 'crosses_above': return previous !== null && previous <= threshold && value > threshold;
+      case 'crosses_below': return previous !== null && previous >= threshold && value < threshold;
+      case 'crosses':
+        return AlertManager.isMet('crosses_above', previous, value, threshold)
+          || AlertManager.isMet('crosses_below', previous, value, threshold);
+    }
+  }
+
+  async check(alert, now = Date.now()) {
+    let value;
+    try {
+      value = await this.readValue(alert.condition);
+    } catch (error) {
+      alert.last_error = error.message;
+      return null;
+    }
+
+    const { operator, threshold } = alert.condition;
+    const met = AlertManager.isMet(operator, alert.last_value, value, threshold);
+    const coolingDown = alert.last_triggered_at !== null
+      && now - Date.parse(alert.last_triggered_at) < alert.cooldown_minutes * 60000;
+
+    const previous = alert.last_value;
+    alert.last_value = value;
+    alert.last_checked_at = new Date(now).toISOString();
+    alert.last_error = null;
+
+    if (!met || coolingDown) return null;
+
+    alert.last_triggered_at = alert.last_checked_at;
+    alert.trigger_count++;
+    return {
+      alert_id: alert.id,
+      owner: alert.owner,
+      label: alert.label,
+      condition: alert.condition,
+      value,
+      previous_value: previous,
+      triggered_at: alert.last_triggered_at
+    };
+  }
+
+  // Alerts are checked one at a time; identical upstream reads are served from the
+  // UpstreamClient cache, so alerts on the same symbol share requests
+  async checkAll() {
+    if (this.checking) return [];
+    this.checking = true;
+    const events = [];
+    try {
+      for (const alert of Array.from(this.alerts.values())) {
+        const event = await this.check(alert);
+        if (event && this.alerts.has(alert.id)) events.push(event);
+      }
+      this.lastCheckAt = new Date().toISOString();
+      if (this.alerts.size > 0) this.save();
+    } catch (error) {
+      console.error('🚨 Alert check failed:', error.message);
+    } finally {
+      this.checking = false;
+    }
+
+    for (const event of events) {
+      console.log(`🔔 Alert triggered: ${event.label} (value ${event.value})`);
+      this.emit('triggered', event);
+      await this.callWebhook(event);
+    }
+    return events;
+  }
+
+  async callWebhook(event) {
+    if (!this.webhookUrl) return;
+    try {
+      await axios.post(this.webhookUrl, event, { timeout: 5000 });
+    } catch (error) {
+      console.error(`🚨 Alert webhook failed for ${event.alert_id}:`, error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      alert_count: this.alerts.size,
+      check_interval_ms: this.checkIntervalMs,
+      last_check_at: this.lastCheckAt,
+      webhook_configured: Boolean(this.webhookUrl)
+    };
+  }
+}
+
+module.exports = {
+  AlertManager,
+  ALERT_TYPES,
+  ALERT_OPERATORS,
+  INDICATOR_OUTPUTS,
+  LOCAL_OWNER
+};
@@ -0,0 +1,279 @@
+const EventEmitter = require('events');
+const { BinanceDataProvider } = require('./market-data');
+const { CoinbaseExchange, KrakenExchange } = require('./exchanges');
+const { symbolRegistry, toTicker } = require('./symbols');
+
+// Venues are static classes with an id and getBookTicker(symbol, quote) returning
+// { pair, quote, bid, bid_quantity, ask, ask_quantity }; the pairs each venue is asked
+// for come from the symbol registry
+const ARBITRAGE_VENUES = {
+  binance: BinanceDataProvider,
+  coinbase: CoinbaseExchange,
+  kraken: KrakenExchange
+};
+
+// Taker fees in basis points at the base fee tier; ARBITRAGE_FEES_BPS overrides them,
+// e.g. "binance:7.5,coinbase:40"
+const DEFAULT_TAKER_FEES_BPS = { binance: 10, coinbase: 60, kraken: 40 };
+
+function parseFees(spec) {
+  const fees = {};
+  for (const entry of (spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [venue, bps] = entry.split(':').map(s => s.trim());
+    const value = parseFloat(bps);
+    if (ARBITRAGE_VENUES[venue] && Number.isFinite(value) && value >= 0) {
+      fees[venue] = value;
+    }
+  }
+  return fees;
+}
+
+const TAKER_FEES_BPS = { ...DEFAULT_TAKER_FEES_BPS, ...parseFees(process.env.ARBITRAGE_FEES_BPS) };
+
+const DEFAULT_LIMIT = 10;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Arbitrage Scanner
+// Reads the best bid and ask for one asset on every venue and quote currency it is listed
+// in, converts them to USD and compares every pair of books: buying at one book's ask and
+// selling at another's bid. Stablecoin quotes are converted at their Kraken USD rate (par
+// when that is unavailable), so a stablecoin trading off its peg is not reported as a
+// price divergence. Spreads are reported gross and net of both legs' taker fees; transfer
+// and withdrawal costs are not included.
+class ArbitrageScanner {
+  // USD value of one unit of each quote currency
+  static async quoteRates(quotes) {
+    const rates = { USD: { rate: 1, source: 'par' } };
+    await Promise.all(quotes.filter(quote => quote !== 'USD').map(async quote => {
+      try {
+        const ticker = await KrakenExchange.getBookTicker(quote, 'USD');
+        const rate = (ticker.bid + ticker.ask) / 2;
+        if (!Number.isFinite(rate) || rate <= 0) throw new Error('invalid rate');
+        rates[quote] = { rate, source: KrakenExchange.id };
+      } catch (error) {
+        rates[quote] = { rate: 1, source: 'par' };
+      }
+    }));
+    return rates;
+  }
+
+  // Venues that fail or do not list a pair are reported, not fatal
+  static async collectQuotes(symbol, venues) {
+    const requests = symbolRegistry.pairs(symbol, venues);
+    const results = await Promise.allSettled(requests.map(({ venue, quote }) => ARBITRAGE_VENUES[venue].getBookTicker(symbol, quote)));
+
+    const books = [];
+    const unavailable = [];
+    results.forEach((result, i) => {
+      const { venue, quote } = requests[i];
+      if (result.status === 'rejected') {
+        unavailable.push({ venue, quote, error: result.reason.message });
+        return;
+      }
+      const book = result.value;
+      if (!(book.bid > 0 && book.ask > 0 && book.ask >= book.bid)) {
+        unavailable.push({ venue, quote, error: `Invalid top of book for ${book.pair}` });
+        return;
+      }
+      books.push({ venue, ...book });
+    });
+    return { books, unavailable };
+  }
+
+  // Buy at `buy`'s ask, sell at `sell`'s bid; the executable size is limited by the
+  // smaller top-of-book quantity where the venue reports one
+  static route(buy, sell, fees) {
+    const grossBps = ((sell.bid_usd - buy.ask_usd) / buy.ask_usd) * 10000;
+    const feesBps = fees[buy.venue] + fees[sell.venue];
+    const sizes = [
+      buy.ask_quantity !== null ? buy.ask_quantity * buy.ask_usd : null,
+      sell.bid_quantity !== null ? sell.bid_quantity * sell.bid_usd : null
+    ].filter(size => size !== null);
+    const maxNotional = sizes.length > 0 ? Math.min(...sizes) : null;
+    const netBps = grossBps - feesBps;
+
+    return {
+      buy: { venue: buy.venue, pair: buy.pair, price: buy.ask, price_usd: buy.ask_usd },
+      sell: { venue: sell.venue, pair: sell.pair, price: sell.bid, price_usd: sell.bid_usd },
+      gross_spread_bps: grossBps,
+      fees_bps: feesBps,
+      net_spread_bps: netBps,
+      top_of_book_notional_usd: maxNotional,
+      estimated_profit_usd: maxNotional !== null ? (maxNotional * netBps) / 10000 : null
+    };
+  }
+
+  static async scan(symbol, {
+    venues = Object.keys(ARBITRAGE_VENUES),
+    fees = {},
+    minNetSpreadBps = 0,
+    limit = DEFAULT_LIMIT
+  } = {}) {
+    const feeTable = { ...TAKER_FEES_BPS, ...fees };
+    const { books, unavailable } = await this.collectQuotes(symbol, venues);
+    if (books.length < 2) {
+      const reasons = unavailable.map(u => u.error).join('; ');
+      throw new Error(`Arbitrage scan needs prices from at least two books, got ${books.length}${reasons ? `: ${reasons}` : ''}`);
+    }
+
+    const rates = await this.quoteRates([...new Set(books.map(book => book.quote))]);
+    const priced = books.map(book => {
+      const rate = rates[book.quote].rate;
+      return { ...book, bid_usd: book.bid * rate, ask_usd: book.ask * rate, mid_usd: ((book.bid + book.ask) / 2) * rate };
+    });
+
+    const reference = median(priced.map(book => book.mid_usd));
+    const routes = [];
+    for (const buy of priced) {
+      for (const sell of priced) {
+        if (buy !== sell) routes.push(this.route(buy, sell, feeTable));
+      }
+    }
+    routes.sort((a, b) => b.net_spread_bps - a.net_spread_bps);
+    const opportunities = routes.filter(route => route.net_spread_bps > minNetSpreadBps);
+    const mids = priced.map(book => book.mid_usd);
+
+    return {
+      symbol: toTicker(symbol),
+      reference_price_usd: reference,
+      max_divergence_bps: ((Math.max(...mids) - Math.min(...mids)) / reference) * 10000,
+      opportunities: opportunities.slice(0, limit),
+      opportunity_count: opportunities.length,
+      // The least unprofitable route, so a quiet market still shows how close it is
+      best_route: routes[0],
+      books: priced.map(book => ({
+        venue: book.venue,
+        pair: book.pair,
+        quote: book.quote,
+        bid: book.bid,
+        ask: book.ask,
+        mid_usd: book.mid_usd,
+        deviation_bps: ((book.mid_usd - reference) / reference) * 10000,
+        taker_fee_bps: feeTable[book.venue]
+      })),
+      quote_rates: rates,
+      fees_bps: Object.fromEntries(venues.map(venue => [venue, feeTable[venue]])),
+      unavailable
+    };
+  }
+}
+
+const DEFAULT_MONITOR_COOLDOWN_MINUTES = 15;
+const REPUBLISH_WIDENING_BPS = 10;
+
+// Arbitrage Monitor
+// Optional background mode: scans a watchlist on an interval and emits 'divergence' for
+// every route whose net spread exceeds the threshold. A route stays quiet for the cooldown
+// after it is published, unless its net spread widens by REPUBLISH_WIDENING_BPS.
+class ArbitrageMonitor extends EventEmitter {
+  constructor({
+    symbols = (process.env.ARBITRAGE_WATCH_SYMBOLS || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean),
+    thresholdBps = parseFloat(process.env.ARBITRAGE_ALERT_BPS || '25'),
+    checkIntervalMs = parseInt(process.env.ARBITRAGE_SCAN_INTERVAL_MS || '60000'),
+    cooldownMinutes = DEFAULT_MONITOR_COOLDOWN_MINUTES
+  } = {}) {
+    super();
+    this.symbols = symbols;
+    this.thresholdBps = thresholdBps;
+    this.checkIntervalMs = checkIntervalMs;
+    this.cooldownMinutes = cooldownMinutes;
+    this.published = new Map();
+    this.timer = null;
+    this.scanning = false;
+    this.lastScanAt = null;
+    this.lastErrors = {};
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  // Starting with an empty watchlist is a no-op, which keeps the mode off by default
+  start() {
+    if (this.timer || this.symbols.length === 0) return;
+    this.timer = setInterval(() => this.scanAll(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  configure({ symbols, thresholdBps, checkIntervalMs }) {
+    const wasRunning = this.running;
+    this.stop();
+    if (symbols !== undefined) this.symbols = [...new Set(symbols.map(s => s.toUpperCase()))];
+    if (thresholdBps !== undefined) this.thresholdBps = thresholdBps;
+    if (checkIntervalMs !== undefined) this.checkIntervalMs = checkIntervalMs;
+    if (wasRunning) this.start();
+  }
+
+  shouldPublish(key, route, now) {
+    const previous = this.published.get(key);
+    if (!previous) return true;
+    const coolingDown = now - previous.at < this.cooldownMinutes * 60000;
+    return !coolingDown || route.net_spread_bps >= previous.net_spread_bps + REPUBLISH_WIDENING_BPS;
+  }
+
+  async scanAll(now = Date.now()) {
+    if (this.scanning) return [];
+    this.scanning = true;
+    const events = [];
+    try {
+      for (const symbol of this.symbols) {
+        try {
+          const scan = await ArbitrageScanner.scan(symbol, { minNetSpreadBps: this.thresholdBps, limit: Infinity });
+          delete this.lastErrors[symbol];
+          for (const route of scan.opportunities) {
+            const key = `${scan.symbol}:${route.buy.venue}:${route.buy.pair}>${route.sell.venue}:${route.sell.pair}`;
+            if (!this.shouldPublish(key, route, now)) continue;
+            this.published.set(key, { at: now, net_spread_bps: route.net_spread_bps });
+            events.push({
+              symbol: scan.symbol,
+              ...route,
+              threshold_bps: this.thresholdBps,
+              reference_price_usd: scan.reference_price_usd,
+              detected_at: new Date(now).toISOString()
+            });
+          }
+        } catch (error) {
+          this.lastErrors[symbol] = error.message;
+        }
+      }
+      this.lastScanAt = new Date(now).toISOString();
+    } finally {
+      this.scanning = false;
+    }
+
+    for (const event of events) {
+      console.log(`💱 Arbitrage divergence: ${event.symbol} buy ${event.buy.venue} ${event.buy.pair}, sell ${event.sell.venue} ${event.sell.pair} (${event.net_spread_bps.toFixed(1)} bps net)`);
+      this.emit('divergence', event);
+    }
+    return events;
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      symbols: this.symbols,
+      threshold_bps: this.thresholdBps,
+      check_interval_ms: this.checkIntervalMs,
+      cooldown_minutes: this.cooldownMinutes,
+      last_scan_at: this.lastScanAt,
+      last_errors: this.lastErrors
+    };
+  }
+}
+
+module.exports = {
+  ArbitrageScanner,
+  ArbitrageMonitor,
+  ARBITRAGE_VENUES,
+  TAKER_FEES_BPS
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { TokenBucket } = require('./upstream');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+const API_USAGE_FILE = process.env.API_USAGE_FILE || path.join(__dirname, '..', 'data', 'api-usage.json');
+
+// Usage counters are written at most this often, so a request does not cost a file write
+const USAGE_SAVE_DELAY_MS = 2000;
+
+const DEFAULT_QUOTA = {
+  requests_per_minute: parseInt(process.env.API_KEY_DEFAULT_RPM || '60'),
+  requests_per_day: parseInt(process.env.API_KEY_DEFAULT_DAILY || '10000')
+};
+
+function writeAtomically(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Scopes are "*" (everything), "admin" (key management), "<service>" or "<service>:*"
+// (every tool and resource of a service) and "<service>:<tool>" (a single tool).
+// Resources and prompts of a service are covered by "<service>:resources" and "<service>:prompts".
+function scopeAllows(scopes, service, item) {
+  return scopes.includes('*') ||
+    scopes.includes(service) ||
+    scopes.includes(`${service}:*`) ||
+    (item !== undefined && scopes.includes(`${service}:${item}`));
+}
+
+// Whether the principal may use anything at all of a service (connect, initialize, list).
+// A null principal is the local user of the stdio transport or the CLI.
+function canAccessService(principal, service) {
+  return !principal || principal.scopes.some(scope => scope === '*' || scope === service || scope.startsWith(`${service}:`));
+}
+
+function canUse(principal, service, item) {
+  return !principal || scopeAllows(principal.scopes, service, item);
+}
+
+// CORS_ORIGINS is a comma-separated allowlist; "*" allows any origin. Unset means no
+// cross-origin access.
+function parseOrigins(value = process.env.CORS_ORIGINS || '') {
+  return value.split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+// Network clients of a server without keys, when MCP_ALLOW_ANONYMOUS=true. They share
+// this principal; tools that act with the server's own credentials refuse it.
+const ANONYMOUS_PRINCIPAL = Object.freeze({ id: 'anonymous', name: 'anonymous', scopes: ['*'], quota: null, anonymous: true });
+
+// API Key Authentication
+// Keys are random bearer tokens; only their SHA-256 hashes are stored, in API_KEYS_FILE,
+// so they can be created and revoked at runtime. Daily usage counts are kept in
+// API_USAGE_FILE so a restart does not reset quotas. MCP_ADMIN_KEY, when set, is an extra key
+// with every scope and no quota, used to bootstrap the others. Authentication is enforced
+// as soon as MCP_ADMIN_KEY is set or the key file holds a key; until then network clients
+// are refused, unless MCP_ALLOW_ANONYMOUS=true lets them in as ANONYMOUS_PRINCIPAL.
+class ApiKeyAuth {
+  constructor({
+    file = API_KEYS_FILE,
+    usageFile = API_USAGE_FILE,
+    adminKey = process.env.MCP_ADMIN_KEY,
+    allowAnonymous = process.env.MCP_ALLOW_ANONYMOUS === 'true'
+  } = {}) {
+    this.file = file;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    this.allowAnonymous = allowAnonymous;
+    this.keys = new Map();
+    this.buckets = new Map();
+    this.usageFile = usageFile;
+    this.usage = new Map();
+    this.usageSaveTimer = null;
+    this.load();
+    this.loadUsage();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      stored.forEach(key => this.keys.set(key.id, key));
+    } catch (error) {
+      throw new Error(`Failed to load API keys from ${this.file}: ${error.message}`);
+    }
+  }
+
+  save() {
+    writeAtomically(this.file, Array.from(this.keys.values()));
+  }
+
+  // Lost counters only loosen quotas for the rest of the day, so a bad file is not fatal
+  loadUsage() {
+    if (!fs.existsSync(this.usageFile)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+      Object.entries(stored).forEach(([id, usage]) => this.usage.set(id, usage));
+    } catch (error) {
+      console.error(`🚨 Failed to load API key usage from ${this.usageFile}:`, error.message);
+    }
+  }
+
+  scheduleUsageSave() {
+    if (this.usageSaveTimer) return;
+    this.usageSaveTimer = setTimeout(() => this.saveUsage(), USAGE_SAVE_DELAY_MS);
+    this.usageSaveTimer.unref();
+  }
+
+  saveUsage() {
+    clearTimeout(this.usageSaveTimer);
+    this.usageSaveTimer = null;
+    try {
+      writeAtomically(this.usageFile, Object.fromEntries(this.usage));
+    } catch (error) {
+      console.error('🚨 Failed to save API key usage:', error.message);
+    }
+  }
+
+  isEnabled() {
+    return Boolean(this.adminKeyHash) || this.keys.size > 0;
+  }
+
+  // The principal for a request without a valid key: none while authentication is
+  // enabled or anonymous access is off, so the request must be refused
+  anonymousPrincipal() {
+    return !this.isEnabled() && this.allowAnonymous ? ANONYMOUS_PRINCIPAL : null;
+  }
+
+  static publicView(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  // Returns the new key in plain text; it cannot be recovered later
+  create({ name, scopes, requests_per_minute, requests_per_day }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('API key requires a name');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => typeof scope !== 'string' || !scope)) {
+      throw new Error('API key requires a non-empty array of scopes');
+    }
+    for (const [field, value] of Object.entries({ requests_per_minute, requests_per_day })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`${field} must be a positive integer`);
+      }
+    }
+
+    const secret = `mcp_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: secret.slice(0, 8),
+      hash: hashKey(secret),
+      scopes,
+      quota: {
+        requests_per_minute: requests_per_minute ?? DEFAULT_QUOTA.requests_per_minute,
+        requests_per_day: requests_per_day ?? DEFAULT_QUOTA.requests_per_day
+      },
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+    this.keys.set(record.id, record);
+    this.save();
+    return { key: secret, ...ApiKeyAuth.publicView(record) };
+  }
+
+  list() {
+    return Array.from(this.keys.values()).map(record => ({
+      ...ApiKeyAuth.publicView(record),
+      usage_today: this.usageFor(record.id).count
+    }));
+  }
+
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record || record.revoked_at) return false;
+    record.revoked_at = new Date().toISOString();
+    this.buckets.delete(id);
+    this.save();
+    return true;
+  }
+
+  // The principal as its key stands now: null once the key is revoked (or, for the anonymous
+  // principal, once keys are configured). Long-lived connections check this per message.
+  current(principal) {
+    if (principal.anonymous) return this.anonymousPrincipal();
+    if (principal.id === 'admin') return this.adminKeyHash ? principal : null;
+    const record = this.keys.get(principal.id);
+    if (!record || record.revoked_at) return null;
+    return { id: record.id, name: record.name, scopes: record.scopes, quota: record.quota };
+  }
+
+  // Resolves a presented key to a principal ({ id, name, scopes, quota }) or null
+  authenticate(secret) {
+    if (typeof secret !== 'string' || !secret) return null;
+    const hash = hashKey(secret);
+
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.adminKeyHash))) {
+      return { id: 'admin', name: 'MCP_ADMIN_KEY', scopes: ['*', 'admin'], quota: null };
+    }
+    for (const record of this.keys.values()) {
+      if (!record.revoked_at && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(record.hash))) {
+        return { id: record.id, name: record.name, scopes: record.scopes, quota: record.quota };
+      }
+    }
+    return null;
+  }
+
+  usageFor(id) {
+    const day = new Date().toISOString().slice(0, 10);
+    let usage = this.usage.get(id);
+    if (!usage || usage.day !== day) {
+      usage = { day, count: 0 };
+      this.usage.set(id, usage);
+    }
+    return usage;
+  }
+
+  // Charges `cost` requests to the principal. Returns null when allowed, otherwise
+  // { reason, retryAfter } with retryAfter in seconds.
+  consume(principal, cost = 1) {
+    if (!principal || !principal.quota) return null;
+    const { requests_per_minute, requests_per_day } = principal.quota;
+
+    const usage = this.usageFor(principal.id);
+    if (usage.count + cost > requests_per_day) {
+      const midnight = new Date(`${usage.day}T00:00:00Z`).getTime() + 86400000;
+      return { reason: `Daily quota of ${requests_per_day} requests exceeded`, retryAfter: Math.ceil((midnight - Date.now()) / 1000) };
+    }
+
+    let bucket = this.buckets.get(principal.id);
+    if (!bucket) {
+      bucket = new TokenBucket({ capacity: requests_per_minute, refillPerSecond: requests_per_minute / 60 });
+      this.buckets.set(principal.id, bucket);
+    }
+    for (let i = 0; i < cost; i++) {
+      const wait = bucket.tryAcquire();
+      if (wait > 0) {
+        return { reason: `Rate limit of ${requests_per_minute} requests per minute exceeded`, retryAfter: Math.ceil(wait) };
+      }
+    }
+
+    usage.count += cost;
+    this.scheduleUsageSave();
+    return null;
+  }
+}
+
+module.exports = {
+  ApiKeyAuth,
+  ANONYMOUS_PRINCIPAL,
+  scopeAllows,
+  canAccessService,
+  canUse,
+  parseOrigins
+};
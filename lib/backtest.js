@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const { CryptoGodEngine } = require('./crypto-god-engine');
+const { SentimentAnalyzer } = require('./sentiment');
+const { PERIODS_PER_YEAR } = require('./market-data');
+const { PredictionStrategies } = require('./strategies');
+const { JSONRPC_ERRORS, JsonRpcError } = require('./mcp');
+
+// Candle files live here; tool callers may only name files inside this directory
+const BACKTEST_DATA_DIR = process.env.BACKTEST_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Backtesting Engine
+// Replays candles bar by bar through calculateSimpleTechnicals and generateGodPrediction.
+// A signal computed at the close of bar i is filled at the open of bar i + 1, so no bar
+// ever sees its own future. Stop-loss and take-profit come from the prediction's
+// price_targets and are checked intrabar; when both are touched the stop is assumed first.
+// Only candle-derived factors vary in a replay, so backtests default to technical_focus and
+// report how much of the chosen strategy's weight sat on factors held at a neutral 0.5.
+class BacktestEngine {
+  static HELD_CONSTANT_FACTORS = ['fundamental', 'sentiment', 'market_structure', 'confluence'];
+
+  static DEFAULTS = {
+    interval: '1d',
+    initialCapital: 10000,
+    feeRate: 0.001,
+    slippageBps: 5,
+    allowShort: true,
+    warmup: 50,
+    lookback: 200,
+    horizonBars: 5,
+    maxCurvePoints: 500,
+    strategy: 'technical_focus',
+    // Sentiment and market structure can't be reconstructed from candles alone
+    sentiment: SentimentAnalyzer.unavailable('Backtests replay candles only'),
+    marketStructure: { available: false, reason: 'Backtests replay candles only' }
+  };
+
+  // Mistakes in the file a caller names are invalid params; messages only use the name the
+  // caller gave, never the server's path to the data directory
+  static resolveDataFile(fileName) {
+    const resolved = path.resolve(BACKTEST_DATA_DIR, fileName);
+    if (path.relative(BACKTEST_DATA_DIR, resolved).startsWith('..') || path.isAbsolute(path.relative(BACKTEST_DATA_DIR, resolved))) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Candle file ${fileName} must be inside the backtest data directory`);
+    }
+    return resolved;
+  }
+
+  static loadDataFile(fileName) {
+    return this.loadCandles(this.resolveDataFile(fileName), fileName);
+  }
+
+  // Accepts a JSON array of candle objects or Binance kline arrays, or a CSV with
+  // timestamp,open,high,low,close[,volume] columns (a header row is optional)
+  static loadCandles(filePath, name = path.basename(filePath)) {
+    const invalid = (reason) => new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Failed to load candles: ${reason}`);
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        throw invalid(`candle file ${name} not found`);
+      }
+      throw new Error(`Failed to load candles from ${name}: ${error.code || 'read error'}`);
+    }
+
+    let rows;
+    if (filePath.toLowerCase().endsWith('.csv')) {
+      rows = raw.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !/^[a-z]/i.test(line))
+        .map(line => line.split(','));
+    } else {
+      try {
+        rows = JSON.parse(raw);
+      } catch (error) {
+        throw invalid(`invalid JSON in ${name}`);
+      }
+      if (!Array.isArray(rows)) {
+        throw invalid(`${name} must contain an array`);
+      }
+    }
+
+    const candles = rows.map(row => this.normalizeCandle(row));
+    if (candles.some(c => [c.timestamp, c.open, c.high, c.low, c.close].some(v => !Number.isFinite(v)))) {
+      throw invalid(`${name} contains malformed rows`);
+    }
+    return candles.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  static normalizeCandle(row) {
+    if (Array.isArray(row)) {
+      const [timestamp, open, high, low, close, volume] = row;
+      return {
+        timestamp: Number(timestamp),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: volume === undefined || volume === '' ? null : parseFloat(volume)
+      };
+    }
+    return {
+      timestamp: Number(row.timestamp),
+      open: Number(row.open),
+      high: Number(row.high),
+      low: Number(row.low),
+      close: Number(row.close),
+      volume: row.volume === undefined || row.volume === null ? null : Number(row.volume)
+    };
+  }
+
+  static run(candles, options = {}) {
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const opts = { ...this.DEFAULTS, ...overrides };
+    if (candles.length < opts.warmup + 2) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Backtest needs at least ${opts.warmup + 2} candles, got ${candles.length}`);
+    }
+
+    const strategy = PredictionStrategies.resolve(opts.strategy);
+    const slippage = opts.slippageBps / 10000;
+    let cash = opts.initialCapital;
+    let position = null;
+    let pending = null;
+    let feesPaid = 0;
+    let barsInPosition = 0;
+    const trades = [];
+    const equityCurve = [];
+    const signals = [];
+
+    const equityAt = (price) => cash + (position ? position.direction * position.quantity * price : 0);
+
+    const openPosition = (index, side, rawPrice, targets) => {
+      const direction = side === 'long' ? 1 : -1;
+      const fill = rawPrice * (1 + direction * slippage);
+      const entryEquity = cash;
+      const quantity = cash / (fill * (1 + opts.feeRate));
+      const fee = quantity * fill * opts.feeRate;
+      cash -= direction * quantity * fill + fee;
+      feesPaid += fee;
+
+      // Discard targets that are already on the wrong side of the fill
+      const stopLoss = typeof targets.stopLoss === 'number' && direction * (fill - targets.stopLoss) > 0 ? targets.stopLoss : null;
+      const takeProfit = typeof targets.takeProfit === 'number' && direction * (targets.takeProfit - fill) > 0 ? targets.takeProfit : null;
+
+      position = { side, direction, quantity, entryPrice: fill, entryIndex: index, entryEquity, stopLoss, takeProfit };
+    };
+
+    const closePosition = (index, rawPrice, reason) => {
+      const fill = rawPrice * (1 - position.direction * slippage);
+      const fee = position.quantity * fill * opts.feeRate;
+      cash += position.direction * position.quantity * fill - fee;
+      feesPaid += fee;
+
+      const pnl = cash - position.entryEquity;
+      trades.push({
+        side: position.side,
+        entry_time: candles[position.entryIndex].timestamp,
+        exit_time: candles[index].timestamp,
+        entry_price: position.entryPrice,
+        exit_price: fill,
+        bars_held: index - position.entryIndex,
+        pnl,
+        return_pct: (pnl / position.entryEquity) * 100,
+        exit_reason: reason
+      });
+      position = null;
+    };
+
+    for (let i = opts.warmup; i < candles.length; i++) {
+      const bar = candles[i];
+
+      // 1. Fill the signal from the previous close at this bar's open
+      if (pending) {
+        if (position && position.side !== pending.side) {
+          closePosition(i, bar.open, 'signal_reversal');
+        }
+        if (!position) {
+          openPosition(i, pending.side, bar.open, pending);
+        }
+        pending = null;
+      }
+
+      // 2. Intrabar stop-loss / take-profit, filling at the open if price gapped through
+      if (position) {
+        const { direction, stopLoss, takeProfit } = position;
+        const adverse = direction === 1 ? bar.low : bar.high;
+        const favourable = direction === 1 ? bar.high : bar.low;
+
+        if (stopLoss !== null && direction * (adverse - stopLoss) <= 0) {
+          const gapped = direction * (bar.open - stopLoss) < 0;
+          closePosition(i, gapped ? bar.open : stopLoss, 'stop_loss');
+        } else if (takeProfit !== null && direction * (favourable - takeProfit) >= 0) {
+          const gapped = direction * (bar.open - takeProfit) > 0;
+          closePosition(i, gapped ? bar.open : takeProfit, 'take_profit');
+        }
+      }
+
+      // 3. Run the prediction pipeline on everything up to and including this close
+      const window = candles.slice(Math.max(0, i + 1 - opts.lookback), i + 1);
+      const technicals = CryptoGodEngine.calculateSimpleTechnicals(window);
+      const prediction = CryptoGodEngine.generateGodPrediction(technicals, null, opts.sentiment, opts.marketStructure, strategy, { timeframe: opts.interval });
+      signals.push({ index: i, direction: prediction.direction });
+
+      const side = prediction.direction === 'BULLISH' ? 'long'
+        : prediction.direction === 'BEARISH' && opts.allowShort ? 'short'
+        : null;
+      if (side && (!position || position.side !== side) && i < candles.length - 1) {
+        const { support, resistance } = prediction.price_targets;
+        pending = side === 'long'
+          ? { side, stopLoss: support, takeProfit: resistance }
+          : { side, stopLoss: resistance, takeProfit: support };
+      } else if (prediction.direction === 'BEARISH' && !opts.allowShort && position) {
+        pending = null;
+        closePosition(i, bar.close, 'bearish_signal');
+      }
+
+      if (position) barsInPosition++;
+      equityCurve.push({ timestamp: bar.timestamp, equity: equityAt(bar.close) });
+    }
+
+    if (position) {
+      closePosition(candles.length - 1, candles[candles.length - 1].close, 'end_of_data');
+      equityCurve[equityCurve.length - 1].equity = cash;
+    }
+
+    return {
+      parameters: {
+        interval: opts.interval,
+        initial_capital: opts.initialCapital,
+        fee_rate: opts.feeRate,
+        slippage_bps: opts.slippageBps,
+        allow_short: opts.allowShort,
+        warmup: opts.warmup,
+        lookback: opts.lookback,
+        horizon_bars: opts.horizonBars,
+        strategy: strategy.name
+      },
+      held_constant: this.heldConstant(strategy),
+      period: {
+        start: candles[opts.warmup].timestamp,
+        end: candles[candles.length - 1].timestamp,
+        bars: candles.length - opts.warmup
+      },
+      metrics: this.computeMetrics(trades, equityCurve, {
+        initialCapital: opts.initialCapital,
+        periodsPerYear: PERIODS_PER_YEAR[opts.interval] || 365,
+        feesPaid,
+        barsInPosition,
+        buyAndHold: (candles[candles.length - 1].close - candles[opts.warmup].open) / candles[opts.warmup].open
+      }),
+      signal_accuracy: this.scoreSignals(signals, candles, opts.horizonBars),
+      trades,
+      equity_curve: this.downsample(equityCurve, opts.maxCurvePoints)
+    };
+  }
+
+  // The strategy factors a candle replay cannot vary and their share of the total weight
+  static heldConstant(strategy) {
+    const totalWeight = Object.values(strategy.weights).reduce((a, b) => a + b, 0);
+    const factors = this.HELD_CONSTANT_FACTORS.filter(name => strategy.weights[name] > 0);
+    return {
+      factors,
+      weight: factors.reduce((sum, name) => sum + strategy.weights[name], 0) / totalWeight
+    };
+  }
+
+  static computeMetrics(trades, equityCurve, { initialCapital, periodsPerYear, feesPaid, barsInPosition, buyAndHold }) {
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+    }
+
+    const returns = [];
+    let previous = initialCapital;
+    for (const point of equityCurve) {
+      returns.push(previous === 0 ? 0 : (point.equity - previous) / previous);
+      previous = point.equity;
+    }
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length);
+
+    return {
+      total_trades: trades.length,
+      winning_trades: wins.length,
+      losing_trades: losses.length,
+      win_rate: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+      net_profit: finalEquity - initialCapital,
+      total_return_pct: ((finalEquity - initialCapital) / initialCapital) * 100,
+      buy_and_hold_return_pct: buyAndHold * 100,
+      average_trade_return_pct: trades.length > 0 ? trades.reduce((sum, t) => sum + t.return_pct, 0) / trades.length : null,
+      profit_factor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+      max_drawdown_pct: maxDrawdown * 100,
+      sharpe_ratio: stdDev > 0 ? (mean / stdDev) * Math.sqrt(periodsPerYear) : 0,
+      fees_paid: feesPaid,
+      exposure_pct: (barsInPosition / equityCurve.length) * 100,
+      final_equity: finalEquity
+    };
+  }
+
+  // Directional hit rate: did price move the predicted way over the next horizonBars closes?
+  static scoreSignals(signals, candles, horizonBars) {
+    const stats = {
+      BULLISH: { calls: 0, correct: 0 },
+      BEARISH: { calls: 0, correct: 0 },
+      NEUTRAL: { calls: 0 }
+    };
+
+    for (const { index, direction } of signals) {
+      if (direction === 'NEUTRAL') {
+        stats.NEUTRAL.calls++;
+        continue;
+      }
+      // Calls too close to the end of the data can't be scored yet
+      if (index + horizonBars >= candles.length) continue;
+
+      stats[direction].calls++;
+
+      const move = candles[index + horizonBars].close - candles[index].close;
+      if ((direction === 'BULLISH' && move > 0) || (direction === 'BEARISH' && move < 0)) {
+        stats[direction].correct++;
+      }
+    }
+
+    const scored = stats.BULLISH.calls + stats.BEARISH.calls;
+    const correct = stats.BULLISH.correct + stats.BEARISH.correct;
+    return {
+      horizon_bars: horizonBars,
+      bullish: { ...stats.BULLISH, hit_rate: stats.BULLISH.calls > 0 ? (stats.BULLISH.correct / stats.BULLISH.calls) * 100 : null },
+      bearish: { ...stats.BEARISH, hit_rate: stats.BEARISH.calls > 0 ? (stats.BEARISH.correct / stats.BEARISH.calls) * 100 : null },
+      neutral: stats.NEUTRAL,
+      overall_hit_rate: scored > 0 ? (correct / scored) * 100 : null
+    };
+  }
+
+  static downsample(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    const step = Math.ceil(points.length / maxPoints);
+    const sampled = points.filter((_, i) => i % step === 0);
+    if (sampled[sampled.length - 1] !== points[points.length - 1]) {
+      sampled.push(points[points.length - 1]);
+    }
+    return sampled;
+  }
+}
+
+module.exports = {
+  BacktestEngine,
+  BACKTEST_DATA_DIR
+};
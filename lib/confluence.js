@@ -0,0 +1,185 @@
+const { MarketDataRouter, INTERVAL_MS } = require('./market-data');
+const { CryptoGodEngine } = require('./crypto-god-engine');
+const { JSONRPC_ERRORS, JsonRpcError } = require('./mcp');
+
+const DEFAULT_CONFLUENCE_TIMEFRAMES = ['15m', '1h', '4h', '1d'];
+
+// Swing levels from different timeframes belong to the same zone when they are within this
+// percentage of the zone's lowest level; CONFLUENCE_LEVEL_TOLERANCE_PCT overrides it
+const LEVEL_TOLERANCE_PCT = parseFloat(process.env.CONFLUENCE_LEVEL_TOLERANCE_PCT || '0.5');
+
+// Net alignment beyond which the timeframes are reported as leaning one way
+const BIAS_THRESHOLD = 0.25;
+
+// Bullish and bearish regimes split at 50
+function rsiRegime(rsi) {
+  if (typeof rsi !== 'number') return 'unknown';
+  return rsi > 70 ? 'overbought' : rsi >= 50 ? 'bullish' : rsi >= 30 ? 'bearish' : 'oversold';
+}
+
+// Price against the moving averages that could be computed (SMA50 needs 50 candles)
+function trendOf(technicals) {
+  const averages = [technicals.sma_20, technicals.sma_50].filter(value => typeof value === 'number');
+  if (averages.every(value => technicals.last_close > value)) return 'up';
+  if (averages.every(value => technicals.last_close < value)) return 'down';
+  return 'mixed';
+}
+
+// Agreement is the share of timeframes on the winning side (a tie has no winner); alignment
+// is the net share, from -1 (all bearish) to 1 (all bullish)
+function tally(values, bullish, bearish) {
+  const up = values.filter(value => bullish.includes(value)).length;
+  const down = values.filter(value => bearish.includes(value)).length;
+  return {
+    up,
+    down,
+    agreement: up === down ? 0 : Math.max(up, down) / values.length,
+    alignment: (up - down) / values.length
+  };
+}
+
+// Multi-Timeframe Confluence
+// Runs the god_analysis technicals on several candle intervals of the same asset and
+// reports where they agree: trend direction (price against SMA20 and SMA50), RSI regime,
+// and support/resistance zones where swing levels from two or more timeframes coincide.
+// The confluence score (0-100) is the mean of the three agreements; the alignment feeds
+// the `confluence` prediction factor.
+class TimeframeConfluence {
+  // Candles for each timeframe, shortest first; a timeframe that fails is reported, but at
+  // least two are needed (INVALID_PARAMS otherwise, listing why each one failed)
+  static async collect(symbol, timeframes = DEFAULT_CONFLUENCE_TIMEFRAMES, { limit = 90 } = {}) {
+    const intervals = [...new Set(timeframes)].sort((a, b) => INTERVAL_MS[a] - INTERVAL_MS[b]);
+    const results = await Promise.allSettled(intervals.map(interval => MarketDataRouter.getOHLCV(symbol, { interval, limit })));
+
+    const frames = [];
+    const unavailable = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        unavailable.push({ interval: intervals[i], error: result.reason.message });
+      } else {
+        frames.push({ interval: intervals[i], candles: result.value.candles, provider: result.value.provider });
+      }
+    });
+    if (frames.length < 2) {
+      const reasons = unavailable.map(u => `${u.interval}: ${u.error}`).join('; ');
+      throw new JsonRpcError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Multi-timeframe analysis needs candles for at least two timeframes, got ${frames.length}${reasons ? ` (${reasons})` : ''}`,
+        { unavailable }
+      );
+    }
+    return { frames, unavailable };
+  }
+
+  // Swing levels of every timeframe grouped into price zones; zones touched by a single
+  // timeframe are dropped. A zone below the current price is support, above it resistance,
+  // whichever kind of swing formed it.
+  static levelZones(analysed, currentPrice, tolerancePct = LEVEL_TOLERANCE_PCT) {
+    const levels = analysed
+      .flatMap(frame => frame.technicals.support_resistance.map(level => ({ ...level, interval: frame.interval })))
+      .sort((a, b) => a.price - b.price);
+
+    const zones = [];
+    for (const level of levels) {
+      const zone = zones[zones.length - 1];
+      if (zone && ((level.price - zone.low) / zone.low) * 100 <= tolerancePct) {
+        zone.levels.push(level);
+        zone.high = level.price;
+      } else {
+        zones.push({ low: level.price, high: level.price, levels: [level] });
+      }
+    }
+
+    return zones
+      .map(zone => {
+        const price = zone.levels.reduce((sum, level) => sum + level.price, 0) / zone.levels.length;
+        return {
+          type: price < currentPrice ? 'support' : 'resistance',
+          price,
+          low: zone.low,
+          high: zone.high,
+          timeframes: [...new Set(zone.levels.map(level => level.interval))],
+          touches: zone.levels.length,
+          distance_pct: ((price - currentPrice) / currentPrice) * 100
+        };
+      })
+      .filter(zone => zone.timeframes.length >= 2)
+      .sort((a, b) => b.timeframes.length - a.timeframes.length || Math.abs(a.distance_pct) - Math.abs(b.distance_pct));
+  }
+
+  static analyze(frames, unavailable = []) {
+    const skipped = [...unavailable];
+    const analysed = [];
+    for (const frame of frames) {
+      const technicals = CryptoGodEngine.calculateSimpleTechnicals(frame.candles);
+      if (!technicals) {
+        skipped.push({ interval: frame.interval, error: `Only ${frame.candles.length} candles; at least 20 are needed` });
+        continue;
+      }
+      analysed.push({ ...frame, technicals, trend: trendOf(technicals), rsiRegime: rsiRegime(technicals.rsi) });
+    }
+    if (analysed.length < 2) {
+      throw new JsonRpcError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Multi-timeframe analysis needs at least two timeframes with enough candles, got ${analysed.length}`,
+        { unavailable: skipped }
+      );
+    }
+
+    // The shortest timeframe has the most recent close
+    const currentPrice = analysed[0].technicals.last_close;
+    const zones = this.levelZones(analysed, currentPrice);
+    const trend = tally(analysed.map(frame => frame.trend), ['up'], ['down']);
+    const momentum = tally(analysed.map(frame => frame.rsiRegime), ['bullish', 'overbought'], ['bearish', 'oversold']);
+    const inZones = new Set(zones.flatMap(zone => zone.timeframes));
+    const levelAgreement = inZones.size / analysed.length;
+    const alignment = (trend.alignment + momentum.alignment) / 2;
+
+    const regimes = {};
+    analysed.forEach(frame => { regimes[frame.rsiRegime] = (regimes[frame.rsiRegime] || 0) + 1; });
+
+    return {
+      timeframes: analysed.map(frame => frame.interval),
+      score: ((trend.agreement + momentum.agreement + levelAgreement) / 3) * 100,
+      alignment,
+      bias: alignment > BIAS_THRESHOLD ? 'BULLISH' : alignment < -BIAS_THRESHOLD ? 'BEARISH' : 'NEUTRAL',
+      trend: {
+        direction: trend.up > trend.down ? 'up' : trend.down > trend.up ? 'down' : 'mixed',
+        agreement: trend.agreement,
+        up: trend.up,
+        down: trend.down,
+        mixed: analysed.length - trend.up - trend.down
+      },
+      rsi: {
+        side: momentum.up > momentum.down ? 'bullish' : momentum.down > momentum.up ? 'bearish' : 'mixed',
+        agreement: momentum.agreement,
+        regimes
+      },
+      levels: {
+        agreement: levelAgreement,
+        tolerance_pct: LEVEL_TOLERANCE_PCT,
+        zones,
+        nearest_support: zones.filter(zone => zone.type === 'support').sort((a, b) => b.price - a.price)[0] || null,
+        nearest_resistance: zones.filter(zone => zone.type === 'resistance').sort((a, b) => a.price - b.price)[0] || null
+      },
+      by_timeframe: analysed.map(frame => ({
+        interval: frame.interval,
+        provider: frame.provider,
+        candles_analyzed: frame.candles.length,
+        last_close: frame.technicals.last_close,
+        sma_20: frame.technicals.sma_20,
+        sma_50: frame.technicals.sma_50,
+        rsi: frame.technicals.rsi,
+        trend: frame.trend,
+        rsi_regime: frame.rsiRegime,
+        levels: frame.technicals.support_resistance.length
+      })),
+      unavailable: skipped
+    };
+  }
+}
+
+module.exports = {
+  TimeframeConfluence,
+  DEFAULT_CONFLUENCE_TIMEFRAMES
+};
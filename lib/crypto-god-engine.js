@@ -0,0 +1,530 @@
+const { BinanceDataProvider, CoinGeckoDataProvider, MarketDataRouter } = require('./market-data');
+const { TechnicalIndicators } = require('./indicators');
+const { SentimentAnalyzer } = require('./sentiment');
+const { PredictionStrategies } = require('./strategies');
+const { UpstreamClient, CACHE_TTL } = require('./upstream');
+
+// Simplified Technical Analysis Engine
+class CryptoGodEngine {
+  static fearGreedURL = process.env.FEAR_GREED_API_URL || 'https://api.alternative.me/fng/';
+
+  // Candles come through the router and fail over; coin fundamentals only exist on
+  // CoinGecko, so when it cannot serve them the analysis goes ahead without them (coin is
+  // null and coinError says why)
+  static async getMarketData(symbol, { interval = '1d', limit = 90 } = {}) {
+    const details = CoinGeckoDataProvider.getCoinDetails(symbol)
+      .then(coin => ({ coin, coinError: null }), error => ({ coin: null, coinError: error.message }));
+    try {
+      const history = await MarketDataRouter.getOHLCV(symbol, { interval, limit });
+      const { coin, coinError } = await details;
+
+      return {
+        coin,
+        coinError,
+        historical: {
+          interval,
+          candles: history.candles,
+          provider: history.provider
+        }
+      };
+    } catch (error) {
+      console.error('Market data fetch error:', error.message);
+      throw new Error(`Failed to fetch market data: ${error.message}`, { cause: error });
+    }
+  }
+
+  static calculateSimpleTechnicals(candles) {
+    const closePrices = candles.map(c => c.close);
+    const length = closePrices.length;
+    
+    if (length < 20) return null;
+
+    // Simple Moving Averages
+    const sma_20 = this.calculateSMA(closePrices, 20);
+    const sma_50 = this.calculateSMA(closePrices, 50);
+    
+    // RSI Calculation (Wilder's smoothing)
+    const rsi = this.calculateRSI(closePrices, 14);
+    
+    // Bollinger Bands
+    const bb = this.calculateBollingerBands(closePrices, 20, 2);
+    
+    // Support and Resistance
+    const supportResistance = this.calculateSupportResistance(candles);
+    
+    return {
+      sma_20: sma_20[sma_20.length - 1],
+      sma_50: sma_50[sma_50.length - 1],
+      rsi: rsi[rsi.length - 1],
+      bollinger_bands: bb[bb.length - 1],
+      support_resistance: supportResistance,
+      last_close: closePrices[length - 1],
+      price_change_24h: this.calculatePriceChange24h(candles),
+      volatility: this.calculateVolatility(closePrices)
+    };
+  }
+
+  // Percentage change from the last candle that closed at least 24h before the latest one
+  static calculatePriceChange24h(candles) {
+    const latest = candles[candles.length - 1];
+    const cutoff = latest.timestamp - 24 * 60 * 60 * 1000;
+    let reference = candles[0];
+    for (let i = candles.length - 1; i >= 0; i--) {
+      if (candles[i].timestamp <= cutoff) {
+        reference = candles[i];
+        break;
+      }
+    }
+    return ((latest.close - reference.close) / reference.close) * 100;
+  }
+
+  static hasVolume(candles) {
+    return candles.length > 0 && candles.every(c => typeof c.volume === 'number');
+  }
+
+  static calculateSMA(prices, period) {
+    return TechnicalIndicators.compact(TechnicalIndicators.sma(prices, period));
+  }
+
+  // Wilder's RSI; returns only the computed values (no warm-up entries)
+  static calculateRSI(prices, period = 14) {
+    return TechnicalIndicators.compact(TechnicalIndicators.rsi(prices, period));
+  }
+
+  static calculateBollingerBands(prices, period = 20, multiplier = 2) {
+    const bands = TechnicalIndicators.bollingerBands(prices, period, multiplier);
+    const result = [];
+    for (let i = period - 1; i < prices.length; i++) {
+      result.push({
+        upper: bands.upper[i],
+        middle: bands.middle[i],
+        lower: bands.lower[i]
+      });
+    }
+    return result;
+  }
+
+  static calculateVolatility(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+    }
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
+    return Math.sqrt(variance) * 100; // As percentage
+  }
+
+  // Swing lows (support) and swing highs (resistance) over a ±lookback window.
+  // Level strength reflects the volume traded on the pivot candle relative to the average.
+  static calculateSupportResistance(candles) {
+    const levels = [];
+    const lookback = 10;
+    const withVolume = this.hasVolume(candles);
+    const avgVolume = withVolume ? candles.reduce((sum, c) => sum + c.volume, 0) / candles.length : 0;
+
+    const strengthOf = (candle) => {
+      if (!withVolume || avgVolume === 0) return 'medium';
+      const ratio = candle.volume / avgVolume;
+      return ratio > 1.5 ? 'strong' : ratio < 0.75 ? 'weak' : 'medium';
+    };
+    
+    for (let i = lookback; i < candles.length - lookback; i++) {
+      const window = candles.slice(i - lookback, i + lookback + 1);
+      const current = candles[i];
+
+      // Local minimum of the lows (support)
+      if (window.every((c, j) => j === lookback || c.low > current.low)) {
+        levels.push({ type: 'support', price: current.low, strength: strengthOf(current), timestamp: current.timestamp });
+      }
+
+      // Local maximum of the highs (resistance)
+      if (window.every((c, j) => j === lookback || c.high < current.high)) {
+        levels.push({ type: 'resistance', price: current.high, strength: strengthOf(current), timestamp: current.timestamp });
+      }
+    }
+    
+    return levels.slice(-10); // Return last 10 levels
+  }
+
+  // Elliott Wave count from zigzag swing pivots. Candidate patterns (a 5-wave impulse,
+  // a partial impulse and an A-B-C correction) ending at the latest swing are checked
+  // against the hard Elliott rules and scored on the Fibonacci guidelines they meet.
+  static analyzeElliottWave(candles, thresholdPct = null) {
+    const threshold = thresholdPct ?? this.zigzagThreshold(candles);
+    const pivots = TechnicalIndicators.zigzag(candles, threshold);
+    const base = {
+      zigzag_threshold_pct: threshold,
+      pivots: pivots.map(({ timestamp, type, price, confirmed }) => ({ timestamp, type, price, confirmed }))
+    };
+
+    if (pivots.length < 4) {
+      return {
+        trend: 'unknown',
+        pattern: 'insufficient_swings',
+        waves: [],
+        current_wave: null,
+        confidence: 0,
+        reasons: [`Only ${pivots.length} swing pivots found at a ${threshold.toFixed(2)}% zigzag threshold; at least 4 are needed`],
+        ...base
+      };
+    }
+
+    // A five-wave impulse that ended one swing ago means wave A of the correction is under way
+    const completedImpulse = pivots.length >= 7 ? this.fitImpulse(pivots.slice(-7, -1)) : null;
+    if (completedImpulse && completedImpulse.valid) {
+      completedImpulse.result = {
+        ...completedImpulse.result,
+        pattern: 'impulse_complete',
+        current_wave: 'A',
+        next_expected: 'waves B and C of the correction'
+      };
+    }
+
+    const candidates = [
+      this.fitImpulse(pivots.slice(-6)),
+      completedImpulse,
+      this.fitImpulse(pivots.slice(-5)),
+      this.fitImpulse(pivots.slice(-4)),
+      this.fitCorrection(pivots.slice(-4))
+    ].filter(candidate => candidate && candidate.valid);
+
+    if (candidates.length === 0) {
+      const rejected = [this.fitImpulse(pivots.slice(-6)), this.fitCorrection(pivots.slice(-4))].filter(Boolean);
+      return {
+        trend: 'unknown',
+        pattern: 'no_valid_count',
+        waves: [],
+        current_wave: null,
+        confidence: 0,
+        reasons: rejected.flatMap(candidate => candidate.reasons),
+        ...base
+      };
+    }
+
+    // Highest confidence wins; on ties the longer (earlier listed) count is kept
+    const best = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+    return { ...best.result, ...base };
+  }
+
+  // Threshold for swing detection: three times the ATR(14) as a percentage of price, within 1-15%
+  static zigzagThreshold(candles) {
+    const atr = TechnicalIndicators.last(TechnicalIndicators.atr(candles, 14));
+    const close = candles[candles.length - 1]?.close;
+    if (!atr || !close) return 5;
+    return Math.min(15, Math.max(1, (atr / close) * 100 * 3));
+  }
+
+  static describeWaves(points, labels) {
+    return labels.map((label, i) => ({
+      label,
+      start: { timestamp: points[i].timestamp, price: points[i].price },
+      end: { timestamp: points[i + 1].timestamp, price: points[i + 1].price },
+      length: Math.abs(points[i + 1].price - points[i].price)
+    }));
+  }
+
+  static checkRange(reasons, description, value, min, max) {
+    const passed = value >= min && value <= max;
+    reasons.push(`${passed ? 'Meets' : 'Misses'} guideline: ${description} ${(value * 100).toFixed(1)}% (expected ${(min * 100).toFixed(1)}-${(max * 100).toFixed(1)}%)`);
+    return passed;
+  }
+
+  static fitImpulse(points) {
+    if (points.length < 4) return null;
+
+    const direction = points[1].price > points[0].price ? 1 : -1;
+    const waveCount = points.length - 1;
+    const wave = (n) => direction * (points[n].price - points[n - 1].price);
+    const reasons = [];
+    let valid = true;
+    let guidelines = 0;
+    let passed = 0;
+
+    // Rule: wave 2 never retraces more than 100% of wave 1
+    if (direction * (points[2].price - points[0].price) > 0) {
+      reasons.push('Rule holds: wave 2 did not retrace beyond the start of wave 1');
+    } else {
+      reasons.push('Rule broken: wave 2 retraced beyond the start of wave 1');
+      valid = false;
+    }
+
+    guidelines++;
+    if (this.checkRange(reasons, 'wave 2 retracement of wave 1', -wave(2) / wave(1), 0.382, 0.786)) passed++;
+
+    guidelines++;
+    if (wave(3) >= wave(1) * 1.618) {
+      passed++;
+      reasons.push('Meets guideline: wave 3 extends at least 161.8% of wave 1');
+    } else {
+      reasons.push(`Misses guideline: wave 3 is ${((wave(3) / wave(1)) * 100).toFixed(1)}% of wave 1 (expected >= 161.8%)`);
+    }
+
+    if (waveCount >= 4) {
+      // Rule: wave 4 never enters the price territory of wave 1
+      if (direction * (points[4].price - points[1].price) > 0) {
+        reasons.push('Rule holds: wave 4 did not overlap wave 1');
+      } else {
+        reasons.push('Rule broken: wave 4 overlaps the price territory of wave 1');
+        valid = false;
+      }
+
+      guidelines++;
+      if (this.checkRange(reasons, 'wave 4 retracement of wave 3', -wave(4) / wave(3), 0.236, 0.5)) passed++;
+    }
+
+    if (waveCount === 5) {
+      // Rule: wave 3 is never the shortest impulse wave
+      if (wave(3) >= Math.min(wave(1), wave(5))) {
+        reasons.push('Rule holds: wave 3 is not the shortest of waves 1, 3 and 5');
+      } else {
+        reasons.push('Rule broken: wave 3 is the shortest of waves 1, 3 and 5');
+        valid = false;
+      }
+    } else if (wave(3) < wave(1)) {
+      reasons.push('Rule at risk: wave 3 is shorter than wave 1, so wave 5 must stay shorter than wave 3');
+    }
+
+    const labels = ['1', '2', '3', '4', '5'].slice(0, waveCount);
+    const inProgress = !points[points.length - 1].confirmed;
+    // A complete five-wave count explains more of the chart, so it gets a higher base
+    const confidence = valid ? (20 + waveCount * 8) + (passed / guidelines) * (80 - waveCount * 8) : 0;
+
+    return {
+      valid,
+      confidence,
+      reasons,
+      result: {
+        trend: direction === 1 ? 'bullish_impulse' : 'bearish_impulse',
+        pattern: waveCount === 5 ? 'impulse' : 'impulse_partial',
+        waves: this.describeWaves(points, labels),
+        current_wave: inProgress ? labels[labels.length - 1] : null,
+        next_expected: waveCount === 5 ? 'A-B-C correction' : `wave ${waveCount + 1}`,
+        confidence,
+        reasons
+      }
+    };
+  }
+
+  static fitCorrection(points) {
+    if (points.length < 4) return null;
+
+    const direction = points[1].price > points[0].price ? 1 : -1;
+    const waveA = direction * (points[1].price - points[0].price);
+    const waveB = -direction * (points[2].price - points[1].price);
+    const waveC = direction * (points[3].price - points[2].price);
+    const reasons = [];
+    let valid = true;
+    let passed = 0;
+    const guidelines = 3;
+
+    // Rule: in a zigzag correction wave B does not retrace all of wave A
+    if (waveB < waveA) {
+      reasons.push('Rule holds: wave B did not retrace beyond the start of wave A');
+    } else {
+      reasons.push('Rule broken: wave B retraced beyond the start of wave A');
+      valid = false;
+    }
+
+    if (this.checkRange(reasons, 'wave B retracement of wave A', waveB / waveA, 0.382, 0.886)) passed++;
+    if (this.checkRange(reasons, 'wave C length relative to wave A', waveC / waveA, 0.618, 1.618)) passed++;
+
+    if (direction * (points[3].price - points[1].price) > 0) {
+      passed++;
+      reasons.push('Meets guideline: wave C moved beyond the end of wave A');
+    } else {
+      reasons.push('Misses guideline: wave C has not moved beyond the end of wave A');
+    }
+
+    const confidence = valid ? 30 + (passed / guidelines) * 50 : 0;
+
+    return {
+      valid,
+      confidence,
+      reasons,
+      result: {
+        trend: direction === 1 ? 'bullish_correction' : 'bearish_correction',
+        pattern: 'abc_correction',
+        waves: this.describeWaves(points, ['A', 'B', 'C']),
+        current_wave: points[3].confirmed ? null : 'C',
+        next_expected: 'new impulse wave 1',
+        confidence,
+        reasons
+      }
+    };
+  }
+
+  static analyzeWyckoff(candles) {
+    const recent = candles.slice(-20);
+    const priceRange = Math.max(...recent.map(c => c.high)) - Math.min(...recent.map(c => c.low));
+    const avgPrice = recent.reduce((sum, c) => sum + c.close, 0) / recent.length;
+    
+    let phase = 'consolidation';
+    if (priceRange > avgPrice * 0.1) {
+      phase = 'markup_markdown';
+    } else if (priceRange < avgPrice * 0.02) {
+      phase = 'accumulation_distribution';
+    }
+
+    if (!this.hasVolume(candles) || candles.length < 40) {
+      return {
+        phase,
+        volumeAnalysis: 'unavailable',
+        priceVolumeRelationship: 'unavailable'
+      };
+    }
+
+    // Compare the last 20 candles with the 20 before them
+    const previous = candles.slice(-40, -20);
+    const recentVolume = recent.reduce((sum, c) => sum + c.volume, 0) / recent.length;
+    const previousVolume = previous.reduce((sum, c) => sum + c.volume, 0) / previous.length;
+    const volumeRatio = previousVolume > 0 ? recentVolume / previousVolume : 1;
+    const priceChange = (recent[recent.length - 1].close - recent[0].open) / recent[0].open;
+
+    const volumeAnalysis = volumeRatio > 1.3 ? 'high' : volumeRatio < 0.7 ? 'low' : 'medium';
+
+    let priceVolumeRelationship = 'neutral';
+    if (priceChange > 0.02) {
+      priceVolumeRelationship = volumeRatio >= 1 ? 'bullish_confirmation' : 'bullish_divergence';
+    } else if (priceChange < -0.02) {
+      priceVolumeRelationship = volumeRatio >= 1 ? 'bearish_confirmation' : 'bearish_divergence';
+    }
+
+    // Tight range on rising volume suggests absorption (accumulation or distribution)
+    if (phase === 'consolidation' && volumeAnalysis === 'high') {
+      phase = 'accumulation_distribution';
+    }
+    
+    return {
+      phase,
+      volumeAnalysis,
+      priceVolumeRelationship,
+      volume_ratio: volumeRatio
+    };
+  }
+
+  // CoinGecko's spot price when the coin details were fetched, else the last candle close
+  static currentPrice(data) {
+    if (data.coin) return data.coin.market_data.current_price.usd;
+    const { candles } = data.historical;
+    return candles.length > 0 ? candles[candles.length - 1].close : null;
+  }
+
+  static marketStructureAnalysis(data) {
+    if (!data.coin) {
+      return { available: false, reason: `Coin fundamentals unavailable: ${data.coinError}` };
+    }
+    const marketCap = data.coin.market_data.market_cap.usd;
+    const volume = data.coin.market_data.total_volume.usd;
+    
+    return {
+      available: true,
+      marketCapRank: data.coin.market_data.market_cap_rank,
+      liquidityScore: volume / marketCap,
+      volatilityRating: Math.abs(data.coin.market_data.price_change_percentage_24h) > 10 ? 'high' : 'normal',
+      institutionalInterest: marketCap > 1000000000 ? 'high' : 'medium',
+      retailSentiment: this.calculateSentiment(data.coin.sentiment_votes_up_percentage || 50)
+    };
+  }
+
+  // Scores caller-supplied headlines, or the CryptoPanic feed when CRYPTOPANIC_API_TOKEN is set.
+  // Without either source the result is explicitly marked unavailable.
+  static async getNewsSentiment(symbol, headlines = []) {
+    if (headlines.length > 0) {
+      return SentimentAnalyzer.analyze(headlines, 'provided_headlines');
+    }
+
+    try {
+      const fetched = await SentimentAnalyzer.fetchHeadlines(BinanceDataProvider.mapCoinGeckoToBinance(symbol));
+      if (fetched === null) {
+        return SentimentAnalyzer.unavailable('No sentiment source configured: pass headlines or set CRYPTOPANIC_API_TOKEN');
+      }
+      if (fetched.length === 0) {
+        return SentimentAnalyzer.unavailable(`CryptoPanic returned no headlines for ${symbol}`);
+      }
+      return SentimentAnalyzer.analyze(fetched, 'cryptopanic');
+    } catch (error) {
+      return SentimentAnalyzer.unavailable(error.message);
+    }
+  }
+
+  static async getFearGreedIndex() {
+    try {
+      const data = await UpstreamClient.get(this.fearGreedURL, { provider: 'alternative.me', ttl: CACHE_TTL.fearGreed });
+      return data.data[0];
+    } catch (error) {
+      return { 
+        value: 50, 
+        value_classification: 'neutral',
+        timestamp: Math.floor(Date.now() / 1000),
+        fallback: true
+      };
+    }
+  }
+
+  // Daily index values for the last `days` days, newest first. Unlike the current value
+  // there is no neutral fallback: a made-up history would be misleading.
+  static async getFearGreedHistory(days = 30) {
+    try {
+      const data = await UpstreamClient.get(this.fearGreedURL, {
+        provider: 'alternative.me',
+        ttl: CACHE_TTL.fearGreed,
+        params: { limit: days }
+      });
+      return data.data.map(entry => ({
+        value: parseInt(entry.value),
+        value_classification: entry.value_classification,
+        date: new Date(parseInt(entry.timestamp) * 1000).toISOString().slice(0, 10)
+      }));
+    } catch (error) {
+      throw new Error(`Fear & Greed history failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Scores the inputs with a prediction strategy (a registered name or an inline config,
+  // see lib/strategies.js) and reports how much each factor contributed.
+  // `timeframe` names the candle interval(s) the prediction was made on. With a
+  // multi-timeframe confluence that has zones on both sides of the price, the nearest
+  // ones replace the Bollinger bands as price targets.
+  static generateGodPrediction(technicals, fundamentals, sentiment, marketStructure, strategy = 'default', { timeframe = '1d', confluence = null } = {}) {
+    const resolved = PredictionStrategies.resolve(strategy);
+    const { finalScore, factors } = PredictionStrategies.score(resolved, { technicals, fundamentals, sentiment, marketStructure, confluence });
+    const { bullish, bearish, highRiskUpper, highRiskLower } = resolved.thresholds;
+    const zones = confluence?.levels.nearest_support && confluence.levels.nearest_resistance ? confluence.levels : null;
+
+    const prediction = {
+      direction: finalScore > bullish ? 'BULLISH' : finalScore < bearish ? 'BEARISH' : 'NEUTRAL',
+      confidence: Math.abs(finalScore - 0.5) * 200,
+      timeframe,
+      price_targets: {
+        support: zones ? zones.nearest_support.price : technicals?.bollinger_bands?.lower || 'N/A',
+        resistance: zones ? zones.nearest_resistance.price : technicals?.bollinger_bands?.upper || 'N/A'
+      },
+      risk_level: finalScore > highRiskUpper || finalScore < highRiskLower ? 'HIGH' : 'MEDIUM',
+      strategy: resolved.name,
+      score: finalScore,
+      factor_breakdown: factors
+    };
+
+    return prediction;
+  }
+
+  static extractFundamentals(data) {
+    if (!data.coin) return null;
+    const marketData = data.coin.market_data;
+    return {
+      marketCap: marketData.market_cap.usd,
+      marketCapRank: marketData.market_cap_rank,
+      volume24h: marketData.total_volume.usd,
+      liquidityScore: marketData.total_volume.usd / marketData.market_cap.usd,
+      priceChange24h: marketData.price_change_percentage_24h
+    };
+  }
+
+  static calculateSentiment(upPercentage) {
+    return upPercentage > 60 ? 'bullish' : upPercentage < 40 ? 'bearish' : 'neutral';
+  }
+}
+
+module.exports = {
+  CryptoGodEngine
+};
@@ -0,0 +1,115 @@
+const { UpstreamClient, CACHE_TTL } = require('./upstream');
+const { symbolRegistry } = require('./symbols');
+
+function toLevels(levels) {
+  return levels.map(([price, quantity]) => ({ price: parseFloat(price), quantity: parseFloat(quantity) }));
+}
+
+// Coinbase Exchange: <ticker>-<quote> products; USDC is converted 1:1 into USD balances, so
+// there are no USDC products
+class CoinbaseExchange {
+  static id = 'coinbase';
+  static baseURL = process.env.COINBASE_API_URL || 'https://api.exchange.coinbase.com';
+
+  static pairFor(symbol, quote = 'USD') {
+    return symbolRegistry.pair(symbol, this.id, quote);
+  }
+
+  // Level 2 book (aggregated by price)
+  static async getOrderBook(symbol) {
+    try {
+      const pair = this.pairFor(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/products/${pair}/book`, {
+        provider: this.id,
+        ttl: CACHE_TTL.depth,
+        params: { level: 2 }
+      });
+      return { pair, quote: 'USD', bids: toLevels(data.bids), asks: toLevels(data.asks) };
+    } catch (error) {
+      throw new Error(`Coinbase order book fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // The ticker has no sizes for the best bid and ask
+  static async getBookTicker(symbol, quote = 'USD') {
+    try {
+      const pair = this.pairFor(symbol, quote);
+      const data = await UpstreamClient.get(`${this.baseURL}/products/${pair}/ticker`, {
+        provider: this.id,
+        ttl: CACHE_TTL.depth
+      });
+      return {
+        pair,
+        quote,
+        bid: parseFloat(data.bid),
+        bid_quantity: null,
+        ask: parseFloat(data.ask),
+        ask_quantity: null
+      };
+    } catch (error) {
+      throw new Error(`Coinbase ticker fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+// Kraken: <ticker><quote> pairs under Kraken's own tickers for some assets (XBT, XDG);
+// errors are reported in the response body
+class KrakenExchange {
+  static id = 'kraken';
+  static baseURL = process.env.KRAKEN_API_URL || 'https://api.kraken.com/0/public';
+
+  static pairFor(symbol, quote = 'USD') {
+    return symbolRegistry.pair(symbol, this.id, quote);
+  }
+
+  // Results are keyed by Kraken's internal pair name (e.g. XXBTZUSD), which is not the
+  // name that was requested, so the single result is taken whatever its key
+  static async request(endpoint, pair, params = {}) {
+    const data = await UpstreamClient.get(`${this.baseURL}/${endpoint}`, {
+      provider: this.id,
+      ttl: CACHE_TTL.depth,
+      params: { pair, ...params }
+    });
+    if (data.error && data.error.length > 0) {
+      throw new Error(data.error.join(', '));
+    }
+    const [result] = Object.values(data.result || {});
+    if (!result) {
+      throw new Error(`No ${endpoint} data for ${pair}`);
+    }
+    return result;
+  }
+
+  static async getOrderBook(symbol, { limit = 500 } = {}) {
+    try {
+      const pair = this.pairFor(symbol);
+      const book = await this.request('Depth', pair, { count: limit });
+      return { pair, quote: 'USD', bids: toLevels(book.bids), asks: toLevels(book.asks) };
+    } catch (error) {
+      throw new Error(`Kraken order book fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // a and b are [price, whole lot volume, lot volume]
+  static async getBookTicker(symbol, quote = 'USD') {
+    try {
+      const pair = this.pairFor(symbol, quote);
+      const ticker = await this.request('Ticker', pair);
+      return {
+        pair,
+        quote,
+        bid: parseFloat(ticker.b[0]),
+        bid_quantity: parseFloat(ticker.b[2]),
+        ask: parseFloat(ticker.a[0]),
+        ask_quantity: parseFloat(ticker.a[2])
+      };
+    } catch (error) {
+      throw new Error(`Kraken ticker fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+module.exports = {
+  CoinbaseExchange,
+  KrakenExchange
+};
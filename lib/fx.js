@@ -0,0 +1,158 @@
+const path = require('path');
+const { UpstreamClient, CACHE_TTL } = require('./upstream');
+
+// ISO 4217 currency codes
+const CURRENCY_PATTERN = '^[A-Za-z]{3}$';
+
+const USD_QUOTE = Object.freeze({ currency: 'USD', rate: 1, provider: null, as_of: null });
+
+// FX providers are static classes with an id and getRates() returning
+// { rates: { <code>: units per US dollar }, as_of }
+
+// ExchangeRate-API open access: daily rates for about 160 currencies (including KWD), no key
+class ExchangeRateApiProvider {
+  static id = 'exchangerate-api';
+  static baseURL = process.env.EXCHANGERATE_API_URL || 'https://open.er-api.com/v6';
+
+  static async getRates() {
+    try {
+      const data = await UpstreamClient.get(`${this.baseURL}/latest/USD`, { provider: this.id, ttl: CACHE_TTL.fx });
+      if (data.result !== 'success') {
+        throw new Error(data['error-type'] || 'unsuccessful response');
+      }
+      return { rates: data.rates, as_of: new Date(data.time_last_update_unix * 1000).toISOString() };
+    } catch (error) {
+      throw new Error(`ExchangeRate-API rates fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+// Frankfurter: European Central Bank reference rates (about 30 currencies; no KWD)
+class FrankfurterProvider {
+  static id = 'frankfurter';
+  static baseURL = process.env.FRANKFURTER_API_URL || 'https://api.frankfurter.app';
+
+  static async getRates() {
+    try {
+      const data = await UpstreamClient.get(`${this.baseURL}/latest`, { provider: this.id, ttl: CACHE_TTL.fx, params: { from: 'USD' } });
+      return { rates: { USD: 1, ...data.rates }, as_of: data.date };
+    } catch (error) {
+      throw new Error(`Frankfurter rates fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+// Fixed rates from FX_STATIC_RATES, e.g. "KWD:0.307,EUR:0.92" (units per US dollar), for
+// pegged currencies or deployments without outbound access to an FX API
+class StaticFxProvider {
+  static id = 'static';
+
+  static async getRates() {
+    const rates = { USD: 1 };
+    for (const entry of (process.env.FX_STATIC_RATES || '').split(',').map(s => s.trim()).filter(Boolean)) {
+      const [code, value] = entry.split(':').map(s => s.trim());
+      const rate = parseFloat(value);
+      if (new RegExp(CURRENCY_PATTERN).test(code || '') && rate > 0) {
+        rates[code.toUpperCase()] = rate;
+      }
+    }
+    return { rates, as_of: null };
+  }
+}
+
+// FX Rates
+// Fiat rates per US dollar from the registered providers in priority order (FX_PROVIDERS,
+// default "exchangerate-api,frankfurter,static"); a provider that fails or does not quote a
+// currency falls through to the next. FX_PROVIDER_MODULE names a module exporting a
+// custom provider, which is registered ahead of the built-in ones.
+class FxRates {
+  static providers = new Map();
+  static priority = [];
+
+  static register(provider, { first = false } = {}) {
+    if (!provider || !provider.id || typeof provider.getRates !== 'function') {
+      throw new Error('FX provider must declare a static id and getRates()');
+    }
+    this.providers.set(provider.id, provider);
+    this.priority = this.priority.filter(id => id !== provider.id);
+    if (first) {
+      this.priority.unshift(provider.id);
+    } else {
+      this.priority.push(provider.id);
+    }
+    return this;
+  }
+
+  static setPriority(providerIds) {
+    const unknown = providerIds.filter(id => !this.providers.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown FX provider(s): ${unknown.join(', ')}`);
+    }
+    this.priority = [...providerIds];
+  }
+
+  static loadModule(modulePath) {
+    try {
+      return this.register(require(path.resolve(modulePath)), { first: true });
+    } catch (error) {
+      throw new Error(`Failed to load FX provider from ${modulePath}: ${error.message}`);
+    }
+  }
+
+  // Units of `currency` per US dollar
+  static async quote(currency) {
+    const code = currency.toUpperCase();
+    if (code === 'USD') return USD_QUOTE;
+
+    const failures = [];
+    let unavailable = false;
+    for (const id of this.priority) {
+      try {
+        const { rates, as_of } = await this.providers.get(id).getRates();
+        const rate = rates[code];
+        if (typeof rate === 'number' && rate > 0) {
+          return { currency: code, rate, provider: id, as_of };
+        }
+        failures.push(`${id}: no rate for ${code}`);
+      } catch (error) {
+        unavailable = true;
+        failures.push(`${id}: ${error.message}`);
+      }
+    }
+    // When every provider answered, the currency is simply not quoted anywhere
+    const error = new Error(`No FX rate for ${code} (${failures.join('; ')})`);
+    if (!unavailable) error.code = 'UNSUPPORTED_CURRENCY';
+    throw error;
+  }
+
+  // Candles re-denominated at a fixed rate; volumes are in the base asset and stay as they are
+  static convertCandles(candles, rate) {
+    return candles.map(candle => ({
+      ...candle,
+      open: candle.open * rate,
+      high: candle.high * rate,
+      low: candle.low * rate,
+      close: candle.close * rate
+    }));
+  }
+}
+
+FxRates.register(ExchangeRateApiProvider);
+FxRates.register(FrankfurterProvider);
+FxRates.register(StaticFxProvider);
+
+if (process.env.FX_PROVIDER_MODULE) {
+  FxRates.loadModule(process.env.FX_PROVIDER_MODULE);
+}
+if (process.env.FX_PROVIDERS) {
+  FxRates.setPriority(process.env.FX_PROVIDERS.split(',').map(id => id.trim()).filter(Boolean));
+}
+
+module.exports = {
+  FxRates,
+  ExchangeRateApiProvider,
+  FrankfurterProvider,
+  StaticFxProvider,
+  CURRENCY_PATTERN,
+  USD_QUOTE
+};
@@ -0,0 +1,247 @@
+const axios = require('axios');
+
+// Failure reported by the GitHub REST API (status is null for network errors)
+class GitHubApiError extends Error {
+  constructor(message, status = null, details = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.rateLimited = Boolean(details.rateLimited);
+    this.details = details;
+  }
+}
+
+// GitHub REST API Client
+// Authenticates with GITHUB_TOKEN; GITHUB_API_URL points it at GitHub Enterprise or a
+// local stub. Responses are trimmed to the fields MCP clients need.
+class GitHubClient {
+  static baseURL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+  static token = process.env.GITHUB_TOKEN || null;
+  static API_VERSION = '2022-11-28';
+
+  static hasToken() {
+    return Boolean(this.token);
+  }
+
+  static requireToken(action) {
+    if (!this.hasToken()) {
+      throw new GitHubApiError(`GITHUB_TOKEN is not configured; it is required to ${action}`, 401);
+    }
+  }
+
+  // Owner, repo and path segments are interpolated into URLs, so each one is encoded and
+  // dot segments are refused (they would be resolved away and reach other endpoints)
+  static repoPath(owner, repo, ...rest) {
+    const segments = ['repos', owner, repo, ...rest];
+    if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+      throw new GitHubApiError(`Invalid path segment in ${segments.join('/')}`, 422);
+    }
+    return segments.map(segment => encodeURIComponent(segment)).join('/');
+  }
+
+  static async request(method, path, { params, data } = {}) {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': this.API_VERSION,
+      'User-Agent': 'mcp-global-gateway'
+    };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.baseURL}/${path}`,
+        params,
+        data,
+        headers,
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      throw this.toApiError(error);
+    }
+  }
+
+  static toApiError(error) {
+    if (!error.response) {
+      return new GitHubApiError(`GitHub request failed: ${error.message}`);
+    }
+
+    const { status, data, headers } = error.response;
+    const rateLimited = status === 429 || (status === 403 && headers['x-ratelimit-remaining'] === '0');
+    return new GitHubApiError(`GitHub API error ${status}: ${data?.message || error.message}`, status, {
+      rateLimited,
+      errors: data?.errors,
+      documentation_url: data?.documentation_url,
+      rate_limit_reset: headers['x-ratelimit-reset'] ? new Date(parseInt(headers['x-ratelimit-reset']) * 1000).toISOString() : undefined
+    });
+  }
+
+  static formatRepository(repo) {
+    return {
+      full_name: repo.full_name,
+      description: repo.description,
+      private: repo.private,
+      html_url: repo.html_url,
+      default_branch: repo.default_branch,
+      language: repo.language,
+      stars: repo.stargazers_count,
+      forks: repo.forks_count,
+      open_issues: repo.open_issues_count,
+      updated_at: repo.updated_at
+    };
+  }
+
+  static formatIssue(issue) {
+    return {
+      number: issue.number,
+      title: issue.title,
+      state: issue.state,
+      user: issue.user?.login,
+      labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+      assignees: (issue.assignees || []).map(user => user.login),
+      comments: issue.comments,
+      html_url: issue.html_url,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      body: issue.body
+    };
+  }
+
+  static formatPullRequest(pr) {
+    return {
+      number: pr.number,
+      title: pr.title,
+      state: pr.state,
+      draft: pr.draft,
+      merged: pr.merged,
+      user: pr.user?.login,
+      head: pr.head?.ref,
+      base: pr.base?.ref,
+      html_url: pr.html_url,
+      created_at: pr.created_at,
+      updated_at: pr.updated_at,
+      body: pr.body
+    };
+  }
+
+  static async listRepositories({ owner, type, sort, per_page = 30, page = 1 } = {}) {
+    if (!owner) this.requireToken('list your own repositories');
+    const path = owner ? `users/${encodeURIComponent(owner)}/repos` : 'user/repos';
+    const repos = await this.request('get', path, { params: { type, sort, per_page, page } });
+    return repos.map(repo => this.formatRepository(repo));
+  }
+
+  static async createRepository({ name, description, private: isPrivate = false, auto_init = false, org }) {
+    this.requireToken('create repositories');
+    const path = org ? `orgs/${encodeURIComponent(org)}/repos` : 'user/repos';
+    const repo = await this.request('post', path, { data: { name, description, private: isPrivate, auto_init } });
+    return this.formatRepository(repo);
+  }
+
+  static async getRepository({ owner, repo }) {
+    return this.formatRepository(await this.request('get', this.repoPath(owner, repo)));
+  }
+
+  // The issues endpoint also returns pull requests; those are filtered out here
+  static async listIssues({ owner, repo, state = 'open', labels, per_page = 30, page = 1 }) {
+    const issues = await this.request('get', this.repoPath(owner, repo, 'issues'), {
+      params: { state, labels: labels && labels.join(','), per_page, page }
+    });
+    return issues.filter(issue => !issue.pull_request).map(issue => this.formatIssue(issue));
+  }
+
+  static async getIssue({ owner, repo, issue_number }) {
+    return this.formatIssue(await this.request('get', this.repoPath(owner, repo, 'issues', String(issue_number))));
+  }
+
+  static async createIssue({ owner, repo, title, body, labels, assignees }) {
+    this.requireToken('create issues');
+    const issue = await this.request('post', this.repoPath(owner, repo, 'issues'), { data: { title, body, labels, assignees } });
+    return this.formatIssue(issue);
+  }
+
+  static async addIssueComment({ owner, repo, issue_number, body }) {
+    this.requireToken('comment on issues');
+    const comment = await this.request('post', this.repoPath(owner, repo, 'issues', String(issue_number), 'comments'), { data: { body } });
+    return { id: comment.id, html_url: comment.html_url, user: comment.user?.login, created_at: comment.created_at };
+  }
+
+  static async listPullRequests({ owner, repo, state = 'open', base, head, per_page = 30, page = 1 }) {
+    const pulls = await this.request('get', this.repoPath(owner, repo, 'pulls'), { params: { state, base, head, per_page, page } });
+    return pulls.map(pr => this.formatPullRequest(pr));
+  }
+
+  static async getPullRequest({ owner, repo, pull_number }) {
+    const pr = await this.request('get', this.repoPath(owner, repo, 'pulls', String(pull_number)));
+    return {
+      ...this.formatPullRequest(pr),
+      mergeable: pr.mergeable,
+      additions: pr.additions,
+      deletions: pr.deletions,
+      changed_files: pr.changed_files
+    };
+  }
+
+  static async createPullRequest({ owner, repo, title, head, base, body, draft = false }) {
+    this.requireToken('create pull requests');
+    const pr = await this.request('post', this.repoPath(owner, repo, 'pulls'), { data: { title, head, base, body, draft } });
+    return this.formatPullRequest(pr);
+  }
+
+  // Files come back decoded as UTF-8 text; directories come back as a listing
+  static async getFileContents({ owner, repo, path = '', ref }) {
+    const contents = await this.request('get', this.repoPath(owner, repo, 'contents', ...path.split('/').filter(Boolean)), { params: { ref } });
+
+    if (Array.isArray(contents)) {
+      return {
+        type: 'dir',
+        path,
+        entries: contents.map(entry => ({ name: entry.name, path: entry.path, type: entry.type, size: entry.size }))
+      };
+    }
+    return {
+      type: contents.type,
+      path: contents.path,
+      sha: contents.sha,
+      size: contents.size,
+      html_url: contents.html_url,
+      content: contents.encoding === 'base64' ? Buffer.from(contents.content, 'base64').toString('utf8') : contents.content ?? null
+    };
+  }
+
+  // Updating an existing file requires the blob sha returned by getFileContents
+  static async createOrUpdateFile({ owner, repo, path, content, message, branch, sha }) {
+    this.requireToken('write file contents');
+    const result = await this.request('put', this.repoPath(owner, repo, 'contents', ...path.split('/').filter(Boolean)), {
+      data: { message, content: Buffer.from(content, 'utf8').toString('base64'), branch, sha }
+    });
+    return {
+      path: result.content?.path,
+      sha: result.content?.sha,
+      commit: { sha: result.commit?.sha, html_url: result.commit?.html_url, message: result.commit?.message }
+    };
+  }
+
+  static async search(kind, { query, sort, order, per_page = 30, page = 1 }) {
+    const result = await this.request('get', `search/${kind}`, { params: { q: query, sort, order, per_page, page } });
+    const format = {
+      repositories: repo => this.formatRepository(repo),
+      issues: issue => ({ ...this.formatIssue(issue), is_pull_request: Boolean(issue.pull_request) }),
+      code: item => ({ name: item.name, path: item.path, repository: item.repository?.full_name, html_url: item.html_url })
+    }[kind];
+
+    return {
+      total_count: result.total_count,
+      incomplete_results: result.incomplete_results,
+      items: result.items.map(format)
+    };
+  }
+}
+
+module.exports = {
+  GitHubClient,
+  GitHubApiError
+};
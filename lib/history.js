@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { INTERVAL_MS } = require('./market-data');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || '365');
+const PREDICTION_HORIZON_HOURS = parseInt(process.env.PREDICTION_HORIZON_HOURS || '24');
+
+// Collections and the field their records are ordered and filtered by. Candles use their
+// open time (epoch ms); everything else uses when it was recorded.
+const HISTORY_COLLECTIONS = {
+  candles: 'timestamp',
+  analysis_snapshots: 'recorded_at',
+  predictions: 'created_at',
+  fear_greed: 'recorded_at',
+  market_overview: 'recorded_at'
+};
+
+// The overview is cached upstream for two minutes; recording it more often adds nothing
+const MARKET_OVERVIEW_SPACING_MS = 5 * 60 * 1000;
+
+function timeOf(value) {
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+// Historical Data Store
+// An embedded store with one JSON Lines file per collection in HISTORY_DIR. A collection
+// is loaded into memory on first use. Inserts and updates are appended to its file; an
+// updated record is written again in full and the last line for an id wins, so updating
+// costs one append however large the collection is. Loading compacts the file (through a
+// temporary one, like the alert store) when it holds superseded lines or records older
+// than HISTORY_RETENTION_DAYS.
+class HistoryStore {
+  constructor({ dir = HISTORY_DIR, retentionDays = HISTORY_RETENTION_DAYS } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.collections = new Map();
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name}.jsonl`);
+  }
+
+  collection(name) {
+    if (!HISTORY_COLLECTIONS[name]) {
+      throw new Error(`Unknown history collection: ${name}`);
+    }
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.load(name));
+    }
+    return this.collections.get(name);
+  }
+
+  // A crash mid-append can leave a truncated last line; such lines are skipped and the
+  // file is rewritten without them, its superseded lines and expired records
+  load(name) {
+    const records = new Map();
+    const file = this.fileFor(name);
+    if (!fs.existsSync(file)) return records;
+
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    } catch (error) {
+      throw new Error(`Failed to load history from ${file}: ${error.message}`);
+    }
+
+    const cutoff = Date.now() - this.retentionDays * 86400000;
+    const field = HISTORY_COLLECTIONS[name];
+    let dropped = 0;
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        dropped++;
+        continue;
+      }
+      if (timeOf(record[field]) < cutoff) {
+        dropped++;
+        continue;
+      }
+      if (records.has(record.id)) dropped++;
+      records.set(record.id, record);
+    }
+
+    if (dropped > 0) {
+      this.rewrite(name, records);
+    }
+    return records;
+  }
+
+  rewrite(name, records = this.collection(name)) {
+    const file = this.fileFor(name);
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(tmp, Array.from(records.values()).map(record => `${JSON.stringify(record)}\n`).join(''));
+    fs.renameSync(tmp, file);
+  }
+
+  // Records with an id that is already stored are skipped, which makes keyed records
+  // (candles, Fear & Greed days) idempotent. Returns the records that were added.
+  insertMany(name, records) {
+    const collection = this.collection(name);
+    const recordedAt = new Date().toISOString();
+    const added = [];
+    for (const record of records) {
+      const stored = { id: crypto.randomUUID(), recorded_at: recordedAt, ...record };
+      if (collection.has(stored.id)) continue;
+      collection.set(stored.id, stored);
+      added.push(stored);
+    }
+
+    this.append(name, added);
+    return added;
+  }
+
+  append(name, records) {
+    if (records.length === 0) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.fileFor(name), records.map(record => `${JSON.stringify(record)}\n`).join(''));
+  }
+
+  insert(name, record) {
+    return this.insertMany(name, [record])[0] || null;
+  }
+
+  update(name, id, changes) {
+    const record = this.collection(name).get(id);
+    if (!record) return null;
+    Object.assign(record, changes);
+    this.append(name, [record]);
+    return record;
+  }
+
+  // `where` matches fields by equality (undefined values are ignored); `since` and `until`
+  // bound the collection's time field. Results are newest first unless order is 'asc'.
+  query(name, { where = {}, since, until, limit = 100, order = 'desc' } = {}) {
+    const field = HISTORY_COLLECTIONS[name];
+    const conditions = Object.entries(where).filter(([, value]) => value !== undefined);
+    const from = since !== undefined ? timeOf(since) : -Infinity;
+    const to = until !== undefined ? timeOf(until) : Infinity;
+
+    const matches = Array.from(this.collection(name).values()).filter(record => {
+      const time = timeOf(record[field]);
+      return time >= from && time <= to && conditions.every(([key, value]) => record[key] === value);
+    });
+    matches.sort((a, b) => order === 'asc'
+      ? timeOf(a[field]) - timeOf(b[field])
+      : timeOf(b[field]) - timeOf(a[field]));
+    return limit === null ? matches : matches.slice(0, limit);
+  }
+
+  recordCandles(symbol, interval, candles) {
+    return this.insertMany('candles', candles.map(candle => ({
+      id: `${symbol}:${interval}:${candle.timestamp}`,
+      symbol,
+      interval,
+      ...candle
+    }))).length;
+  }
+
+  // Stores the snapshot and the candles it was computed from, and records its prediction
+  // for later scoring. `marketSymbol` is the symbol as requested, which is what the market
+  // data providers are queried with when the prediction is scored.
+  recordAnalysis(analysis, { marketSymbol, candles = [] }) {
+    const snapshot = this.insert('analysis_snapshots', {
+      symbol: analysis.symbol,
+      interval: analysis.interval,
+      analyzed_at: analysis.timestamp,
+      analysis
+    });
+    this.recordCandles(analysis.symbol, analysis.interval, candles);
+
+    const prediction = analysis.market_analysis.god_prediction;
+    const createdAt = Date.parse(analysis.timestamp);
+
+    // At most one prediction per symbol, interval and strategy per candle, so repeated
+    // calls do not skew accuracy towards whatever was asked about most
+    const [previous] = this.query('predictions', {
+      where: { symbol: analysis.symbol, interval: analysis.interval, strategy: prediction.strategy },
+      limit: 1
+    });
+    if (previous && createdAt - Date.parse(previous.created_at) < INTERVAL_MS[analysis.interval]) {
+      return { snapshot, prediction: null };
+    }
+
+    return {
+      snapshot,
+      prediction: this.insert('predictions', {
+        symbol: analysis.symbol,
+        market_symbol: marketSymbol,
+        interval: analysis.interval,
+        strategy: prediction.strategy,
+        direction: prediction.direction,
+        confidence: prediction.confidence,
+        score: prediction.score,
+        risk_level: prediction.risk_level,
+        price: analysis.current_price,
+        snapshot_id: snapshot.id,
+        created_at: new Date(createdAt).toISOString(),
+        evaluate_at: new Date(createdAt + PREDICTION_HORIZON_HOURS * 3600000).toISOString(),
+        status: 'pending',
+        scoring_attempts: 0,
+        last_error: null,
+        outcome: null
+      })
+    };
+  }
+
+  // Fallback readings (upstream unavailable) are not history
+  recordFearGreed(reading) {
+    if (!reading || reading.fallback) return null;
+    return this.insert('fear_greed', {
+      id: `fear_greed:${reading.timestamp}`,
+      value: parseInt(reading.value),
+      value_classification: reading.value_classification,
+      timestamp: new Date(parseInt(reading.timestamp) * 1000).toISOString()
+    });
+  }
+
+  recordMarketOverview(overview) {
+    const [latest] = this.query('market_overview', { limit: 1 });
+    if (latest && Date.now() - Date.parse(latest.recorded_at) < MARKET_OVERVIEW_SPACING_MS) {
+      return null;
+    }
+    return this.insert('market_overview', { ...overview });
+  }
+
+  // Reads file stats rather than loading every collection; record counts are only known
+  // for collections already in memory
+  getStatus() {
+    const collections = {};
+    for (const name of Object.keys(HISTORY_COLLECTIONS)) {
+      let stats = null;
+      try {
+        stats = fs.statSync(this.fileFor(name));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      collections[name] = {
+        file_bytes: stats ? stats.size : 0,
+        modified_at: stats ? stats.mtime.toISOString() : null,
+        records: this.collections.has(name) ? this.collections.get(name).size : null
+      };
+    }
+    return {
+      dir: this.dir,
+      retention_days: this.retentionDays,
+      prediction_horizon_hours: PREDICTION_HORIZON_HOURS,
+      collections
+    };
+  }
+}
+
+module.exports = {
+  HistoryStore,
+  HISTORY_COLLECTIONS
+};
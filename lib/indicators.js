@@ -0,0 +1,340 @@
+// Technical Indicator Library
+// Every indicator returns a full series aligned to its input: element i belongs to
+// candle i, and warm-up positions that don't have enough history yet are null.
+// Candles use the { timestamp, open, high, low, close, volume } shape from market-data.js.
+class TechnicalIndicators {
+
+  static sma(values, period = 20) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) result[i] = sum / period;
+    }
+    return result;
+  }
+
+  // Seeded with the SMA of the first `period` values; leading nulls in the input are skipped
+  static ema(values, period = 20) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(v => v !== null && v !== undefined);
+    if (start === -1 || values.length - start < period) return result;
+
+    const k = 2 / (period + 1);
+    let prev = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+    result[start + period - 1] = prev;
+    for (let i = start + period; i < values.length; i++) {
+      prev = values[i] * k + prev * (1 - k);
+      result[i] = prev;
+    }
+    return result;
+  }
+
+  // Wilder's smoothing: the first value is a simple average, then avg = (prev * (n - 1) + x) / n
+  static wilderSmooth(values, period, start = 0) {
+    const result = new Array(values.length).fill(null);
+    if (values.length - start < period) return result;
+
+    let prev = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+    result[start + period - 1] = prev;
+    for (let i = start + period; i < values.length; i++) {
+      prev = (prev * (period - 1) + values[i]) / period;
+      result[i] = prev;
+    }
+    return result;
+  }
+
+  static rsi(closes, period = 14) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    const gains = [0];
+    const losses = [0];
+    for (let i = 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      gains.push(change > 0 ? change : 0);
+      losses.push(change < 0 ? -change : 0);
+    }
+
+    const avgGain = this.wilderSmooth(gains, period, 1);
+    const avgLoss = this.wilderSmooth(losses, period, 1);
+    for (let i = period; i < closes.length; i++) {
+      if (avgLoss[i] === 0) {
+        result[i] = avgGain[i] === 0 ? 50 : 100;
+      } else {
+        result[i] = 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+      }
+    }
+    return result;
+  }
+
+  static macd(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fast = this.ema(closes, fastPeriod);
+    const slow = this.ema(closes, slowPeriod);
+    const macd = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+    const signal = this.ema(macd, signalPeriod);
+    const histogram = macd.map((value, i) => (value !== null && signal[i] !== null ? value - signal[i] : null));
+    return { macd, signal, histogram };
+  }
+
+  // Uses the population standard deviation, as in Bollinger's original definition
+  static bollingerBands(closes, period = 20, multiplier = 2) {
+    const middle = this.sma(closes, period);
+    const upper = new Array(closes.length).fill(null);
+    const lower = new Array(closes.length).fill(null);
+
+    for (let i = period - 1; i < closes.length; i++) {
+      const window = closes.slice(i - period + 1, i + 1);
+      const variance = window.reduce((sum, price) => sum + Math.pow(price - middle[i], 2), 0) / period;
+      const stdDev = Math.sqrt(variance);
+      upper[i] = middle[i] + stdDev * multiplier;
+      lower[i] = middle[i] - stdDev * multiplier;
+    }
+    return { upper, middle, lower };
+  }
+
+  static trueRange(candles) {
+    return candles.map((c, i) => {
+      if (i === 0) return c.high - c.low;
+      const prevClose = candles[i - 1].close;
+      return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+    });
+  }
+
+  // The first true range has no previous close, so smoothing starts at the second candle
+  static atr(candles, period = 14) {
+    return this.wilderSmooth(this.trueRange(candles), period, 1);
+  }
+
+  static stochastic(candles, kPeriod = 14, dPeriod = 3, smooth = 1) {
+    const rawK = new Array(candles.length).fill(null);
+    for (let i = kPeriod - 1; i < candles.length; i++) {
+      const window = candles.slice(i - kPeriod + 1, i + 1);
+      const highest = Math.max(...window.map(c => c.high));
+      const lowest = Math.min(...window.map(c => c.low));
+      rawK[i] = highest === lowest ? 50 : ((candles[i].close - lowest) / (highest - lowest)) * 100;
+    }
+
+    const k = smooth > 1 ? this.smaOfSeries(rawK, smooth) : rawK;
+    const d = this.smaOfSeries(k, dPeriod);
+    return { k, d };
+  }
+
+  static adx(candles, period = 14) {
+    const length = candles.length;
+    const plusDI = new Array(length).fill(null);
+    const minusDI = new Array(length).fill(null);
+    if (length <= period) return { adx: new Array(length).fill(null), plusDI, minusDI };
+
+    const tr = this.trueRange(candles);
+    const plusDM = [0];
+    const minusDM = [0];
+    for (let i = 1; i < length; i++) {
+      const up = candles[i].high - candles[i - 1].high;
+      const down = candles[i - 1].low - candles[i].low;
+      plusDM.push(up > down && up > 0 ? up : 0);
+      minusDM.push(down > up && down > 0 ? down : 0);
+    }
+
+    // Wilder smooths running totals; the ratios are identical to smoothing averages
+    const smoothedTR = this.wilderSmooth(tr, period, 1);
+    const smoothedPlus = this.wilderSmooth(plusDM, period, 1);
+    const smoothedMinus = this.wilderSmooth(minusDM, period, 1);
+
+    const dx = new Array(length).fill(null);
+    for (let i = period; i < length; i++) {
+      plusDI[i] = smoothedTR[i] === 0 ? 0 : (smoothedPlus[i] / smoothedTR[i]) * 100;
+      minusDI[i] = smoothedTR[i] === 0 ? 0 : (smoothedMinus[i] / smoothedTR[i]) * 100;
+      const sum = plusDI[i] + minusDI[i];
+      dx[i] = sum === 0 ? 0 : (Math.abs(plusDI[i] - minusDI[i]) / sum) * 100;
+    }
+
+    return { adx: this.wilderSmooth(dx, period, period), plusDI, minusDI };
+  }
+
+  static obv(candles) {
+    const result = new Array(candles.length).fill(null);
+    if (!this.hasVolume(candles)) return result;
+
+    let total = 0;
+    candles.forEach((c, i) => {
+      if (i > 0) {
+        if (c.close > candles[i - 1].close) total += c.volume;
+        else if (c.close < candles[i - 1].close) total -= c.volume;
+      }
+      result[i] = total;
+    });
+    return result;
+  }
+
+  // Cumulative VWAP anchored at the first candle, using the typical price (H + L + C) / 3
+  static vwap(candles) {
+    const result = new Array(candles.length).fill(null);
+    if (!this.hasVolume(candles)) return result;
+
+    let priceVolume = 0;
+    let volume = 0;
+    candles.forEach((c, i) => {
+      priceVolume += ((c.high + c.low + c.close) / 3) * c.volume;
+      volume += c.volume;
+      result[i] = volume === 0 ? null : priceVolume / volume;
+    });
+    return result;
+  }
+
+  // Senkou spans are plotted `displacement` candles ahead, so senkouA[i] is the cloud
+  // that applies at candle i. Chikou is the close plotted `displacement` candles back.
+  static ichimoku(candles, conversionPeriod = 9, basePeriod = 26, spanBPeriod = 52, displacement = 26) {
+    const length = candles.length;
+    const midpoint = (period) => candles.map((_, i) => {
+      if (i < period - 1) return null;
+      const window = candles.slice(i - period + 1, i + 1);
+      return (Math.max(...window.map(c => c.high)) + Math.min(...window.map(c => c.low))) / 2;
+    });
+
+    const tenkan = midpoint(conversionPeriod);
+    const kijun = midpoint(basePeriod);
+    const spanB = midpoint(spanBPeriod);
+    const senkouA = new Array(length).fill(null);
+    const senkouB = new Array(length).fill(null);
+    const chikou = new Array(length).fill(null);
+
+    for (let i = 0; i < length; i++) {
+      const source = i - displacement;
+      if (source >= 0 && tenkan[source] !== null && kijun[source] !== null) {
+        senkouA[i] = (tenkan[source] + kijun[source]) / 2;
+      }
+      if (source >= 0 && spanB[source] !== null) {
+        senkouB[i] = spanB[source];
+      }
+      if (i + displacement < length) {
+        chikou[i] = candles[i + displacement].close;
+      }
+    }
+    return { tenkan, kijun, senkouA, senkouB, chikou };
+  }
+
+  // Swing pivots where price reverses by at least thresholdPct from the running extreme.
+  // Swing highs use candle highs and swing lows use candle lows. The final pivot is the
+  // current extreme and is marked unconfirmed, since the swing may still extend.
+  static zigzag(candles, thresholdPct = 5) {
+    const pivots = [];
+    if (candles.length < 2) return pivots;
+
+    const t = thresholdPct / 100;
+    const pivotAt = (index, type, confirmed = true) => ({
+      index,
+      timestamp: candles[index].timestamp,
+      type,
+      price: type === 'high' ? candles[index].high : candles[index].low,
+      confirmed
+    });
+
+    let direction = 0;
+    let highIndex = 0;
+    let lowIndex = 0;
+    let extremeIndex = 0;
+
+    for (let i = 1; i < candles.length; i++) {
+      const c = candles[i];
+
+      if (direction === 0) {
+        if (c.high > candles[highIndex].high) highIndex = i;
+        if (c.low < candles[lowIndex].low) lowIndex = i;
+        if (candles[highIndex].high >= candles[lowIndex].low * (1 + t)) {
+          if (lowIndex < highIndex) {
+            pivots.push(pivotAt(lowIndex, 'low'));
+            direction = 1;
+            extremeIndex = highIndex;
+          } else {
+            pivots.push(pivotAt(highIndex, 'high'));
+            direction = -1;
+            extremeIndex = lowIndex;
+          }
+        }
+      } else if (direction === 1) {
+        if (c.high >= candles[extremeIndex].high) {
+          extremeIndex = i;
+        } else if (c.low <= candles[extremeIndex].high * (1 - t)) {
+          pivots.push(pivotAt(extremeIndex, 'high'));
+          direction = -1;
+          extremeIndex = i;
+        }
+      } else {
+        if (c.low <= candles[extremeIndex].low) {
+          extremeIndex = i;
+        } else if (c.high >= candles[extremeIndex].low * (1 + t)) {
+          pivots.push(pivotAt(extremeIndex, 'low'));
+          direction = 1;
+          extremeIndex = i;
+        }
+      }
+    }
+
+    if (direction !== 0) {
+      pivots.push(pivotAt(extremeIndex, direction === 1 ? 'high' : 'low', false));
+    }
+    return pivots;
+  }
+
+  // SMA over a series that may start with nulls (e.g. another indicator's output)
+  static smaOfSeries(values, period) {
+    const result = new Array(values.length).fill(null);
+    for (let i = period - 1; i < values.length; i++) {
+      const window = values.slice(i - period + 1, i + 1);
+      if (window.every(v => v !== null)) {
+        result[i] = window.reduce((a, b) => a + b, 0) / period;
+      }
+    }
+    return result;
+  }
+
+  static hasVolume(candles) {
+    return candles.length > 0 && candles.every(c => typeof c.volume === 'number');
+  }
+
+  // Drops warm-up nulls, for callers that only want the computed values
+  static compact(series) {
+    return series.filter(v => v !== null);
+  }
+
+  static last(series) {
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (series[i] !== null) return series[i];
+    }
+    return null;
+  }
+}
+
+// Indicator catalogue used by the technical_indicators tool: defaults and how to run each one
+const INDICATOR_DEFINITIONS = {
+  sma: { defaults: { period: 20 }, run: (candles, p) => TechnicalIndicators.sma(candles.map(c => c.close), p.period) },
+  ema: { defaults: { period: 20 }, run: (candles, p) => TechnicalIndicators.ema(candles.map(c => c.close), p.period) },
+  rsi: { defaults: { period: 14 }, run: (candles, p) => TechnicalIndicators.rsi(candles.map(c => c.close), p.period) },
+  macd: {
+    defaults: { fast: 12, slow: 26, signal: 9 },
+    run: (candles, p) => TechnicalIndicators.macd(candles.map(c => c.close), p.fast, p.slow, p.signal)
+  },
+  bollinger: {
+    defaults: { period: 20, multiplier: 2 },
+    run: (candles, p) => TechnicalIndicators.bollingerBands(candles.map(c => c.close), p.period, p.multiplier)
+  },
+  atr: { defaults: { period: 14 }, run: (candles, p) => TechnicalIndicators.atr(candles, p.period) },
+  stochastic: {
+    defaults: { period: 14, signal: 3, smooth: 1 },
+    run: (candles, p) => TechnicalIndicators.stochastic(candles, p.period, p.signal, p.smooth)
+  },
+  adx: { defaults: { period: 14 }, run: (candles, p) => TechnicalIndicators.adx(candles, p.period) },
+  obv: { defaults: {}, requiresVolume: true, run: (candles) => TechnicalIndicators.obv(candles) },
+  vwap: { defaults: {}, requiresVolume: true, run: (candles) => TechnicalIndicators.vwap(candles) },
+  ichimoku: {
+    defaults: { conversion: 9, base: 26, spanB: 52, displacement: 26 },
+    run: (candles, p) => TechnicalIndicators.ichimoku(candles, p.conversion, p.base, p.spanB, p.displacement)
+  }
+};
+
+module.exports = {
+  TechnicalIndicators,
+  INDICATOR_DEFINITIONS
+};
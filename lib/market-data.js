@@ -0,0 +1,436 @@
+const { UpstreamClient, CACHE_TTL } = require('./upstream');
+const { symbolRegistry, toTicker, toCoinGeckoId } = require('./symbols');
+
+// Candle intervals the tools accept (Binance kline notation); CoinGecko serves only 4h and 1d
+const SUPPORTED_INTERVALS = ['1m', '5m', '15m', '1h', '4h', '1d'];
+
+// Bars per year for each interval, used to annualise per-bar statistics
+const PERIODS_PER_YEAR = {
+  '1m': 525600,
+  '5m': 105120,
+  '15m': 35040,
+  '1h': 8760,
+  '4h': 2190,
+  '1d': 365
+};
+
+// Candle length of each interval in milliseconds
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Upstream failures that say something about the provider rather than the request:
+// network errors, timeouts, 5xx and 429. Anything else (e.g. a 400 for a symbol the
+// exchange does not list) is the caller's.
+function isProviderFault(error) {
+  if (typeof error.providerFault === 'boolean') return error.providerFault;
+  const status = error.response?.status;
+  if (status) return status >= 500 || status === 429;
+  return Boolean(error.isAxiosError || error.request);
+}
+
+// Prefixes the upstream error with what was being fetched, keeping its HTTP status and
+// whether it was the provider's fault
+function providerError(action, error) {
+  const wrapped = new Error(`${action}: ${error.message}`, { cause: error });
+  wrapped.status = error.response?.status ?? error.status ?? null;
+  wrapped.providerFault = isProviderFault(error);
+  return wrapped;
+}
+
+// Market Data Provider Interface
+// Providers are static classes exposing getCurrentPrice, get24hrStats and getOHLCV.
+// Candles are normalised to { timestamp, open, high, low, close, volume }, timestamped
+// with their open time. 24h stats report volume in units of the asset and quoteVolume in
+// US dollars (USDT on Binance). A provider that can only serve some calls (e.g. some candle
+// intervals) says so through supports(), and the router passes it over for the rest.
+class MarketDataProvider {
+  static id = 'base';
+
+  static supports(method, ...args) {
+    return true;
+  }
+
+  static async getCurrentPrice(symbol) {
+    throw new Error(`${this.id} provider does not implement getCurrentPrice`);
+  }
+
+  static async get24hrStats(symbol) {
+    throw new Error(`${this.id} provider does not implement get24hrStats`);
+  }
+
+  static async getOHLCV(symbol, options = {}) {
+    throw new Error(`${this.id} provider does not implement getOHLCV`);
+  }
+}
+
+// Binance API Integration
+class BinanceDataProvider extends MarketDataProvider {
+  static id = 'binance';
+  static baseURL = process.env.BINANCE_API_URL || 'https://api.binance.com/api/v3';
+
+  // Assets the registry knows Binance does not list go straight to the next provider
+  static supports(method, symbol) {
+    return symbolRegistry.listedOn(symbol, this.id);
+  }
+
+  static async getCurrentPrice(symbol) {
+    try {
+      const binanceSymbol = this.pairFor(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/ticker/price?symbol=${binanceSymbol}`, { provider: this.id, ttl: CACHE_TTL.price });
+      return parseFloat(data.price);
+    } catch (error) {
+      throw providerError('Binance price fetch failed', error);
+    }
+  }
+
+  static async get24hrStats(symbol) {
+    try {
+      const binanceSymbol = this.pairFor(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/ticker/24hr?symbol=${binanceSymbol}`, { provider: this.id, ttl: CACHE_TTL.ticker });
+      return {
+        price: parseFloat(data.lastPrice),
+        change24h: parseFloat(data.priceChangePercent),
+        volume: parseFloat(data.volume),
+        quoteVolume: parseFloat(data.quoteVolume),
+        high: parseFloat(data.highPrice),
+        low: parseFloat(data.lowPrice),
+        count: parseInt(data.count)
+      };
+    } catch (error) {
+      throw providerError('Binance 24hr stats failed', error);
+    }
+  }
+
+  static async getOHLCV(symbol, { interval = '1d', limit = 90 } = {}) {
+    try {
+      const binanceSymbol = this.pairFor(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/klines?symbol=${binanceSymbol}&interval=${interval}&limit=${limit}`, { provider: this.id, ttl: CACHE_TTL.candles });
+      return data.map(kline => ({
+        timestamp: kline[0],
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5])
+      }));
+    } catch (error) {
+      throw providerError('Binance klines fetch failed', error);
+    }
+  }
+
+  // Depth snapshot of the <symbol>USDT book, levels as { price, quantity } from the best price out
+  static async getOrderBook(symbol, { limit = 500 } = {}) {
+    try {
+      const binanceSymbol = this.pairFor(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/depth?symbol=${binanceSymbol}&limit=${limit}`, { provider: this.id, ttl: CACHE_TTL.depth });
+      const toLevels = levels => levels.map(([price, quantity]) => ({ price: parseFloat(price), quantity: parseFloat(quantity) }));
+      return { pair: binanceSymbol, quote: 'USDT', bids: toLevels(data.bids), asks: toLevels(data.asks) };
+    } catch (error) {
+      throw providerError('Binance order book fetch failed', error);
+    }
+  }
+
+  // Best bid/ask with their quantities on the <symbol><quote> book
+  static async getBookTicker(symbol, quote = 'USDT') {
+    try {
+      const binanceSymbol = this.pairFor(symbol, quote);
+      const data = await UpstreamClient.get(`${this.baseURL}/ticker/bookTicker?symbol=${binanceSymbol}`, { provider: this.id, ttl: CACHE_TTL.depth });
+      return {
+        pair: binanceSymbol,
+        quote,
+        bid: parseFloat(data.bidPrice),
+        bid_quantity: parseFloat(data.bidQty),
+        ask: parseFloat(data.askPrice),
+        ask_quantity: parseFloat(data.askQty)
+      };
+    } catch (error) {
+      throw providerError('Binance book ticker fetch failed', error);
+    }
+  }
+
+  static pairFor(symbol, quote = 'USDT') {
+    return symbolRegistry.pair(symbol, this.id, quote);
+  }
+
+  static mapCoinGeckoToBinance(coinGeckoSymbol) {
+    return toTicker(coinGeckoSymbol);
+  }
+}
+
+// CoinGecko API Integration
+class CoinGeckoDataProvider extends MarketDataProvider {
+  static id = 'coingecko';
+  static baseURL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+
+  // CoinGecko's /ohlc endpoint picks the candle length from the day range: 30 minutes up
+  // to 2 days, 4 hours up to 30 days and 4 days beyond. Only the 4-hour candles match a
+  // supported interval, so these are the ranges requested.
+  static OHLC_DAYS = [7, 14, 30];
+  static OHLC_CANDLE_MS = INTERVAL_MS['4h'];
+
+  // Daily candles are built from the 4-hour ones, so at most 30 of them are available
+  static OHLCV_INTERVALS = ['4h', '1d'];
+
+  static supports(method, symbol, { interval = '1d' } = {}) {
+    return method !== 'getOHLCV' || this.OHLCV_INTERVALS.includes(interval);
+  }
+
+  static async getCurrentPrice(symbol) {
+    try {
+      const id = this.mapTickerToCoinGecko(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/simple/price?ids=${id}&vs_currencies=usd`, { provider: this.id, ttl: CACHE_TTL.price });
+      if (!data[id]) {
+        throw new Error(`unknown coin id ${id}`);
+      }
+      return data[id].usd;
+    } catch (error) {
+      throw providerError('CoinGecko price fetch failed', error);
+    }
+  }
+
+  static async get24hrStats(symbol) {
+    try {
+      const id = this.mapTickerToCoinGecko(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/coins/markets?vs_currency=usd&ids=${id}`, { provider: this.id, ttl: CACHE_TTL.ticker });
+      const coin = data[0];
+      if (!coin) {
+        throw new Error(`unknown coin id ${id}`);
+      }
+      return {
+        price: coin.current_price,
+        change24h: coin.price_change_percentage_24h,
+        // CoinGecko only reports dollar volume, aggregated across exchanges
+        volume: coin.total_volume / coin.current_price,
+        quoteVolume: coin.total_volume,
+        high: coin.high_24h,
+        low: coin.low_24h,
+        count: null
+      };
+    } catch (error) {
+      throw providerError('CoinGecko 24hr stats failed', error);
+    }
+  }
+
+  // CoinGecko stamps candles with their close time; they are re-stamped with their open
+  // time like every other provider's. Volume is not provided.
+  static async getOHLCV(symbol, { interval = '1d', limit = 90 } = {}) {
+    try {
+      if (!this.OHLCV_INTERVALS.includes(interval)) {
+        throw new Error(`${interval} candles are not available (only ${this.OHLCV_INTERVALS.join(', ')})`);
+      }
+      const id = this.mapTickerToCoinGecko(symbol);
+      // A daily candle needs the day before the first one to be complete
+      const spanDays = (INTERVAL_MS[interval] * (interval === '1d' ? limit + 1 : limit)) / INTERVAL_MS['1d'];
+      const days = this.OHLC_DAYS.find(d => d >= spanDays) || this.OHLC_DAYS[this.OHLC_DAYS.length - 1];
+      const data = await UpstreamClient.get(`${this.baseURL}/coins/${id}/ohlc?vs_currency=usd&days=${days}`, { provider: this.id, ttl: CACHE_TTL.candles });
+      const candles = data.map(([closeTime, open, high, low, close]) => ({
+        timestamp: closeTime - this.OHLC_CANDLE_MS,
+        open,
+        high,
+        low,
+        close,
+        volume: null
+      }));
+      return (interval === '1d' ? this.dailyCandles(candles) : candles).slice(-limit);
+    } catch (error) {
+      throw providerError('CoinGecko OHLC fetch failed', error);
+    }
+  }
+
+  // Merges 4-hour candles into UTC days. Days missing one of their six candles are dropped,
+  // except the current one, which is still forming like the last candle of any interval.
+  static dailyCandles(candles) {
+    const perDay = INTERVAL_MS['1d'] / this.OHLC_CANDLE_MS;
+    const days = new Map();
+    for (const candle of candles) {
+      const day = candle.timestamp - (candle.timestamp % INTERVAL_MS['1d']);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(candle);
+    }
+
+    const today = Date.now() - (Date.now() % INTERVAL_MS['1d']);
+    return Array.from(days.entries())
+      .filter(([day, group]) => group.length === perDay || day === today)
+      .map(([day, group]) => ({
+        timestamp: day,
+        open: group[0].open,
+        high: Math.max(...group.map(c => c.high)),
+        low: Math.min(...group.map(c => c.low)),
+        close: group[group.length - 1].close,
+        volume: null
+      }));
+  }
+
+  // Coin fundamentals (market cap, rank, community sentiment) are only available from CoinGecko
+  static async getCoinDetails(symbol) {
+    try {
+      const id = this.mapTickerToCoinGecko(symbol);
+      const data = await UpstreamClient.get(`${this.baseURL}/coins/${id}?localization=false&tickers=true&market_data=true&community_data=true&developer_data=true&sparkline=true`, { provider: this.id, ttl: CACHE_TTL.coin, timeout: 10000 });
+      return data;
+    } catch (error) {
+      throw providerError('CoinGecko coin details failed', error);
+    }
+  }
+
+  static async getGlobalData() {
+    try {
+      const data = await UpstreamClient.get(`${this.baseURL}/global`, { provider: this.id, ttl: CACHE_TTL.global });
+      return data.data;
+    } catch (error) {
+      throw providerError('CoinGecko global data failed', error);
+    }
+  }
+
+  static mapTickerToCoinGecko(symbol) {
+    return toCoinGeckoId(symbol);
+  }
+}
+
+// Market Data Router
+// Dispatches to providers in priority order (MARKET_DATA_PROVIDERS, e.g. "binance,coingecko").
+// Only provider faults (see isProviderFault) fail over to the next provider and count
+// against health; a provider with FAILURE_THRESHOLD of them in a row is skipped for
+// COOLDOWN_MS. Other errors, such as an unknown symbol, go straight back to the caller.
+class MarketDataRouter {
+  static FAILURE_THRESHOLD = 3;
+  static COOLDOWN_MS = 60000;
+
+  static providers = new Map();
+  static priority = [];
+  static health = new Map();
+
+  static register(provider) {
+    if (!provider || !provider.id) {
+      throw new Error('Market data provider must declare a static id');
+    }
+    this.providers.set(provider.id, provider);
+    this.health.set(provider.id, {
+      healthy: true,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccess: null,
+      disabledUntil: null
+    });
+    if (!this.priority.includes(provider.id)) {
+      this.priority.push(provider.id);
+    }
+    return this;
+  }
+
+  static unregister(providerId) {
+    this.providers.delete(providerId);
+    this.health.delete(providerId);
+    this.priority = this.priority.filter(id => id !== providerId);
+  }
+
+  static setPriority(providerIds) {
+    const unknown = providerIds.filter(id => !this.providers.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown market data provider(s): ${unknown.join(', ')}`);
+    }
+    this.priority = [...providerIds];
+  }
+
+  static orderedProviders() {
+    const now = Date.now();
+    const candidates = this.priority.map(id => this.providers.get(id)).filter(Boolean);
+    const available = candidates.filter(p => !(this.health.get(p.id).disabledUntil > now));
+    // When every provider is cooling down, still try them all rather than fail outright
+    return available.length > 0 ? available : candidates;
+  }
+
+  static recordSuccess(providerId) {
+    const health = this.health.get(providerId);
+    health.healthy = true;
+    health.consecutiveFailures = 0;
+    health.lastSuccess = new Date().toISOString();
+    health.disabledUntil = null;
+  }
+
+  static recordFailure(providerId, error) {
+    const health = this.health.get(providerId);
+    health.consecutiveFailures += 1;
+    health.lastError = { message: error.message, at: new Date().toISOString() };
+    if (health.consecutiveFailures >= this.FAILURE_THRESHOLD) {
+      health.healthy = false;
+      health.disabledUntil = Date.now() + this.COOLDOWN_MS;
+    }
+  }
+
+  static async request(method, ...args) {
+    const providers = this.orderedProviders();
+    if (providers.length === 0) {
+      throw new Error('No market data providers registered');
+    }
+
+    const failures = [];
+    for (const provider of providers) {
+      // Providers that don't support this call are skipped without affecting their health
+      if (typeof provider[method] !== 'function' || provider[method] === MarketDataProvider[method] || !provider.supports(method, ...args)) {
+        continue;
+      }
+      try {
+        const data = await provider[method](...args);
+        this.recordSuccess(provider.id);
+        return { provider: provider.id, data };
+      } catch (error) {
+        if (!isProviderFault(error)) throw error;
+        this.recordFailure(provider.id, error);
+        failures.push(`${provider.id}: ${error.message}`);
+      }
+    }
+    if (failures.length === 0) {
+      throw new Error(`No market data provider supports ${method}`);
+    }
+    throw new Error(`All market data providers failed for ${method} (${failures.join('; ')})`);
+  }
+
+  static async getCurrentPrice(symbol) {
+    const { provider, data } = await this.request('getCurrentPrice', symbol);
+    return { price: data, provider };
+  }
+
+  static async get24hrStats(symbol) {
+    const { provider, data } = await this.request('get24hrStats', symbol);
+    return { ...data, provider };
+  }
+
+  static async getOHLCV(symbol, options = {}) {
+    const { provider, data } = await this.request('getOHLCV', symbol, options);
+    return { candles: data, provider };
+  }
+
+  static getHealth() {
+    return this.priority.map(id => ({
+      provider: id,
+      ...this.health.get(id),
+      disabledUntil: this.health.get(id).disabledUntil
+        ? new Date(this.health.get(id).disabledUntil).toISOString()
+        : null
+    }));
+  }
+}
+
+MarketDataRouter.register(BinanceDataProvider);
+MarketDataRouter.register(CoinGeckoDataProvider);
+
+if (process.env.MARKET_DATA_PROVIDERS) {
+  MarketDataRouter.setPriority(process.env.MARKET_DATA_PROVIDERS.split(',').map(id => id.trim()).filter(Boolean));
+}
+
+module.exports = {
+  SUPPORTED_INTERVALS,
+  PERIODS_PER_YEAR,
+  INTERVAL_MS,
+  MarketDataProvider,
+  BinanceDataProvider,
+  CoinGeckoDataProvider,
+  MarketDataRouter,
+  isProviderFault
+};
@@ -0,0 +1,397 @@
+const { canUse } = require('./auth');
+const { findRateLimit } = require('./upstream');
+
+// JSON-RPC 2.0 Support
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP-specific
+  RESOURCE_NOT_FOUND: -32002,
+  // Gateway-defined server errors
+  UNAUTHORIZED: -32001,
+  RATE_LIMITED: -32003,
+  FORBIDDEN: -32004
+};
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Errors that are not JsonRpcErrors are internal errors, unless a provider's rate limit
+// refused them locally: the caller can retry those
+function jsonRpcErrorResponse(id, error) {
+  const rateLimit = !(error instanceof JsonRpcError) && findRateLimit(error);
+  if (rateLimit) {
+    error = new JsonRpcError(JSONRPC_ERRORS.RATE_LIMITED, error.message, { retry_after: rateLimit.retryAfter });
+  }
+  const isRpcError = error instanceof JsonRpcError;
+  const response = {
+    jsonrpc: "2.0",
+    id: id ?? null,
+    error: {
+      code: isRpcError ? error.code : JSONRPC_ERRORS.INTERNAL_ERROR,
+      message: error.message
+    }
+  };
+  if (isRpcError && error.data !== undefined) {
+    response.error.data = error.data;
+  }
+  return response;
+}
+
+function isValidJsonRpcId(id) {
+  return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// JSON Schema Validation
+// Covers the subset of JSON Schema used by tool inputSchemas: type, required,
+// properties, additionalProperties, enum, numeric/string/array bounds, pattern and items.
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+  const actual = schemaTypeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const field = path || '(root)';
+
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      errors.push({ field, message: `must be of type ${types.join(' or ')}, got ${schemaTypeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ field, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (schemaTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: propertyPath, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, propertyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// MCP Tool Registry
+// Each tool is declared once (name, schema, handler) and every transport
+// (HTTP, WebSocket, SSE) lists and dispatches tools through the same registry.
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool registration requires a name and a handler');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: "object", properties: {}, required: [] },
+      handler: tool.handler
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  list() {
+    return Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({
+      name,
+      description,
+      inputSchema
+    }));
+  }
+
+  // Runs the handler and returns its raw result; arguments are checked against the inputSchema first.
+  // Handlers receive the caller's context ({ principal, clientId, notify }) after the arguments.
+  async execute(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    const errors = validateSchema(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw new JsonRpcError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Invalid arguments for tool ${name}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        { tool: name, errors }
+      );
+    }
+
+    return tool.handler(args, context);
+  }
+
+  // Runs the handler and wraps the result as MCP text content
+  async call(name, args = {}, context = {}) {
+    const data = await this.execute(name, args, context);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+}
+
+// MCP Request Handling
+// A service bundles what one MCP server exposes: `name`, `info` (serverInfo), a
+// ToolRegistry and, optionally, a ResourceRegistry with its subscriptions and a
+// PromptRegistry. Every transport dispatches through processMCPMessage.
+function requireResourceUri(service, params) {
+  if (!params || typeof params.uri !== 'string') {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'A string "uri" parameter is required');
+  }
+  if (!service.resources.find(params.uri)) {
+    throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`, { uri: params.uri });
+  }
+  return params.uri;
+}
+
+// `context` carries the authenticated principal and, on transports that can push
+// messages, identifies the calling client ({ principal, clientId, notify })
+async function dispatchMCPMethod(service, method, params, context = {}) {
+  // resources/* and prompts/* are only served by services that have them, and are
+  // authorised by the "<service>:resources" and "<service>:prompts" scopes
+  for (const feature of ['resources', 'prompts']) {
+    if (!method.startsWith(`${feature}/`)) continue;
+    if (!service[feature]) {
+      throw new JsonRpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    if (!canUse(context.principal, service.name, feature)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.FORBIDDEN, `API key is not allowed to use ${service.name} ${feature}`);
+    }
+  }
+
+  switch (method) {
+    case 'initialize': {
+      const capabilities = { tools: { listChanged: true } };
+      if (service.resources) {
+        capabilities.resources = { subscribe: Boolean(service.subscriptions), listChanged: false };
+      }
+      if (service.prompts) {
+        capabilities.prompts = { listChanged: false };
+      }
+      return {
+        protocolVersion: "2024-11-05",
+        capabilities,
+        serverInfo: service.info
+      };
+    }
+
+    case 'ping':
+      return {};
+
+    case 'tools/list':
+      return { tools: service.tools.list().filter(tool => canUse(context.principal, service.name, tool.name)) };
+
+    case 'tools/call': {
+      if (!params || typeof params.name !== 'string') {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'tools/call requires a string "name" parameter');
+      }
+      const args = params.arguments ?? {};
+      if (typeof args !== 'object' || Array.isArray(args) || args === null) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'tools/call "arguments" must be an object');
+      }
+      if (!canUse(context.principal, service.name, params.name)) {
+        throw new JsonRpcError(JSONRPC_ERRORS.FORBIDDEN, `API key is not allowed to call ${params.name}`);
+      }
+      return service.tools.call(params.name, args, context);
+    }
+
+    case 'resources/list':
+      return { resources: await service.resources.list() };
+
+    case 'resources/templates/list':
+      return { resourceTemplates: service.resources.templates() };
+
+    case 'resources/read': {
+      const uri = requireResourceUri(service, params);
+      return service.resources.read(uri);
+    }
+
+    case 'resources/subscribe': {
+      const uri = requireResourceUri(service, params);
+      if (!service.subscriptions || !service.resources.isSubscribable(uri)) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Resource does not support subscriptions: ${uri}`);
+      }
+      if (!context.clientId || typeof context.notify !== 'function') {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'resources/subscribe requires a WebSocket, SSE or Streamable HTTP session');
+      }
+      service.subscriptions.subscribe(uri, context.clientId, context.notify);
+      return {};
+    }
+
+    case 'resources/unsubscribe': {
+      const uri = requireResourceUri(service, params);
+      if (service.subscriptions && context.clientId) {
+        service.subscriptions.unsubscribe(uri, context.clientId);
+      }
+      return {};
+    }
+
+    case 'prompts/list':
+      return { prompts: service.prompts.list() };
+
+    case 'prompts/get': {
+      if (!params || typeof params.name !== 'string') {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'prompts/get requires a string "name" parameter');
+      }
+      const args = params.arguments ?? {};
+      if (typeof args !== 'object' || Array.isArray(args) || args === null) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'prompts/get "arguments" must be an object');
+      }
+      return service.prompts.get(params.name, args);
+    }
+
+    default:
+      throw new JsonRpcError(JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+// Handles a single JSON-RPC message; resolves to null for notifications
+async function handleMCPRequest(service, request, context = {}) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return jsonRpcErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+  }
+
+  const { jsonrpc, method, params } = request;
+  const isNotification = !('id' in request);
+  const id = isValidJsonRpcId(request.id) ? request.id : null;
+
+  if (jsonrpc !== '2.0' || typeof method !== 'string' || (!isNotification && !isValidJsonRpcId(request.id)) ||
+      (params !== undefined && (typeof params !== 'object' || params === null))) {
+    return jsonRpcErrorResponse(id, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request'));
+  }
+
+  if (isNotification) {
+    // Notifications (e.g. notifications/initialized) never get a response, even on failure
+    if (!method.startsWith('notifications/')) {
+      dispatchMCPMethod(service, method, params, context).catch(error => console.error('MCP Notification Error:', error.message));
+    }
+    return null;
+  }
+
+  try {
+    return { jsonrpc: "2.0", id, result: await dispatchMCPMethod(service, method, params, context) };
+  } catch (error) {
+    if (!(error instanceof JsonRpcError)) {
+      console.error('MCP Error:', error);
+    }
+    return jsonRpcErrorResponse(id, error);
+  }
+}
+
+// Handles a single message or a batch; resolves to null when nothing should be sent back
+async function processMCPMessage(service, message, context = {}) {
+  if (!Array.isArray(message)) {
+    return handleMCPRequest(service, message, context);
+  }
+
+  if (message.length === 0) {
+    return jsonRpcErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch'));
+  }
+
+  const responses = (await Promise.all(message.map(request => handleMCPRequest(service, request, context)))).filter(Boolean);
+  return responses.length > 0 ? responses : null;
+}
+
+module.exports = {
+  JSONRPC_ERRORS,
+  JsonRpcError,
+  jsonRpcErrorResponse,
+  isValidJsonRpcId,
+  validateSchema,
+  ToolRegistry,
+  dispatchMCPMethod,
+  handleMCPRequest,
+  processMCPMessage
+};
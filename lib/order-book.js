@@ -0,0 +1,209 @@
+const { BinanceDataProvider } = require('./market-data');
+const { CoinbaseExchange, KrakenExchange } = require('./exchanges');
+
+// Depth bands (percent either side of the mid price) reported for every book
+const DEPTH_BANDS_PCT = [1, 2];
+const DEFAULT_NOTIONAL = 100000;
+const DEFAULT_WALL_MULTIPLE = 5;
+const MAX_WALLS_PER_SIDE = 5;
+
+// Venues are static classes with an id and getOrderBook(symbol) returning
+// { pair, quote, bids, asks } with levels as { price, quantity }
+const ORDER_BOOK_VENUES = {
+  binance: BinanceDataProvider,
+  coinbase: CoinbaseExchange,
+  kraken: KrakenExchange
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Order Book Analysis
+// Measures a depth snapshot around its mid price: spread, resting depth within each band,
+// bid/ask imbalance, the cost of filling a market order of a given notional, and walls
+// (single levels far larger than the levels around them). Books from several venues are
+// also merged into one aggregate book, which models an order routed across all of them.
+class OrderBookAnalyzer {
+  static normalize(book) {
+    const valid = level => Number.isFinite(level.price) && level.price > 0 && Number.isFinite(level.quantity) && level.quantity > 0;
+    const bids = book.bids.filter(valid).sort((a, b) => b.price - a.price);
+    const asks = book.asks.filter(valid).sort((a, b) => a.price - b.price);
+    if (bids.length === 0 || asks.length === 0) {
+      throw new Error('Order book has an empty side');
+    }
+    return { bids, asks };
+  }
+
+  static depthWithin(bids, asks, mid, bandPct) {
+    const sum = (levels) => levels.reduce((total, level) => ({
+      quantity: total.quantity + level.quantity,
+      notional: total.notional + level.price * level.quantity
+    }), { quantity: 0, notional: 0 });
+
+    const bid = sum(bids.filter(level => level.price >= mid * (1 - bandPct / 100)));
+    const ask = sum(asks.filter(level => level.price <= mid * (1 + bandPct / 100)));
+    const total = bid.notional + ask.notional;
+    return {
+      band_pct: bandPct,
+      bid_quantity: bid.quantity,
+      bid_notional: bid.notional,
+      ask_quantity: ask.quantity,
+      ask_notional: ask.notional,
+      // +1 when all resting liquidity in the band is bids, -1 when it is all asks
+      imbalance: total > 0 ? (bid.notional - ask.notional) / total : null
+    };
+  }
+
+  // Walks the levels from the best price until `notional` (in the quote currency) is spent
+  static simulateFill(levels, notional, mid) {
+    let remaining = notional;
+    let quantity = 0;
+    let worstPrice = null;
+    let levelsConsumed = 0;
+
+    for (const level of levels) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, level.price * level.quantity);
+      quantity += take / level.price;
+      remaining -= take;
+      worstPrice = level.price;
+      levelsConsumed++;
+    }
+
+    const filled = notional - Math.max(remaining, 0);
+    const averagePrice = quantity > 0 ? filled / quantity : null;
+    return {
+      notional,
+      filled_notional: filled,
+      fully_filled: remaining <= notional * 1e-9,
+      quantity,
+      average_price: averagePrice,
+      worst_price: worstPrice,
+      levels_consumed: levelsConsumed,
+      slippage_bps: averagePrice === null ? null : (Math.abs(averagePrice - mid) / mid) * 10000
+    };
+  }
+
+  // A wall is a level within the widest depth band whose notional is at least
+  // `wallMultiple` times the median level notional on its side of that band
+  static findWalls(levels, side, mid, wallMultiple) {
+    const band = Math.max(...DEPTH_BANDS_PCT) / 100;
+    const near = levels.filter(level => Math.abs(level.price - mid) / mid <= band);
+    if (near.length < 3) return [];
+
+    const typical = median(near.map(level => level.price * level.quantity));
+    return near
+      .map(level => ({ level, notional: level.price * level.quantity }))
+      .filter(({ notional }) => notional >= typical * wallMultiple)
+      .sort((a, b) => b.notional - a.notional)
+      .slice(0, MAX_WALLS_PER_SIDE)
+      .map(({ level, notional }) => ({
+        side,
+        price: level.price,
+        quantity: level.quantity,
+        notional,
+        distance_pct: ((level.price - mid) / mid) * 100,
+        multiple_of_median: notional / typical,
+        ...(level.venue ? { venue: level.venue } : {})
+      }));
+  }
+
+  static analyze(book, { notional = DEFAULT_NOTIONAL, wallMultiple = DEFAULT_WALL_MULTIPLE } = {}) {
+    const { bids, asks } = this.normalize(book);
+    const bestBid = bids[0].price;
+    const bestAsk = asks[0].price;
+    const mid = (bestBid + bestAsk) / 2;
+
+    return {
+      best_bid: bestBid,
+      best_ask: bestAsk,
+      mid_price: mid,
+      spread: bestAsk - bestBid,
+      spread_bps: ((bestAsk - bestBid) / mid) * 10000,
+      levels: { bids: bids.length, asks: asks.length },
+      depth: DEPTH_BANDS_PCT.map(band => this.depthWithin(bids, asks, mid, band)),
+      slippage: {
+        buy: this.simulateFill(asks, notional, mid),
+        sell: this.simulateFill(bids, notional, mid)
+      },
+      walls: [
+        ...this.findWalls(bids, 'bid', mid, wallMultiple),
+        ...this.findWalls(asks, 'ask', mid, wallMultiple)
+      ]
+    };
+  }
+
+  // USD and USDT books are merged at par; venues that fail are reported, not fatal,
+  // unless every venue fails
+  static async analyzeVenues(symbol, { venues = Object.keys(ORDER_BOOK_VENUES), notional = DEFAULT_NOTIONAL, wallMultiple = DEFAULT_WALL_MULTIPLE } = {}) {
+    const results = await Promise.allSettled(venues.map(venue => ORDER_BOOK_VENUES[venue].getOrderBook(symbol)));
+
+    const books = [];
+    const unavailable = [];
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        books.push({ venue: venues[i], ...result.value });
+      } else {
+        unavailable.push({ venue: venues[i], error: result.reason.message });
+      }
+    });
+    if (books.length === 0) {
+      throw new Error(`Order book analysis failed: ${unavailable.map(u => u.error).join('; ')}`);
+    }
+
+    const perVenue = [];
+    for (const book of books) {
+      try {
+        perVenue.push({ venue: book.venue, pair: book.pair, quote: book.quote, ...this.analyze(book, { notional, wallMultiple }) });
+      } catch (error) {
+        unavailable.push({ venue: book.venue, error: error.message });
+      }
+    }
+    if (perVenue.length === 0) {
+      throw new Error(`Order book analysis failed: ${unavailable.map(u => u.error).join('; ')}`);
+    }
+
+    const usable = books.filter(book => perVenue.some(v => v.venue === book.venue));
+    const tag = (book, levels) => levels.map(level => ({ ...level, venue: book.venue }));
+    const merged = {
+      bids: usable.flatMap(book => tag(book, book.bids)),
+      asks: usable.flatMap(book => tag(book, book.asks))
+    };
+    const aggregate = this.analyze(merged, { notional, wallMultiple });
+
+    // Each venue's share of the resting liquidity within the widest band of the aggregate mid
+    const widest = Math.max(...DEPTH_BANDS_PCT);
+    const shares = usable.map(book => {
+      const { bids, asks } = this.normalize(book);
+      const depth = this.depthWithin(bids, asks, aggregate.mid_price, widest);
+      return { venue: book.venue, notional: depth.bid_notional + depth.ask_notional };
+    });
+    const totalShare = shares.reduce((sum, share) => sum + share.notional, 0);
+
+    return {
+      symbol: symbol.toUpperCase(),
+      notional,
+      aggregate: {
+        ...aggregate,
+        // The best bid on one venue can be above the best ask on another
+        crossed: aggregate.spread < 0,
+        venue_share: shares.map(share => ({
+          venue: share.venue,
+          depth_notional: share.notional,
+          share: totalShare > 0 ? share.notional / totalShare : null
+        }))
+      },
+      venues: perVenue,
+      unavailable
+    };
+  }
+}
+
+module.exports = {
+  OrderBookAnalyzer,
+  ORDER_BOOK_VENUES,
+  DEPTH_BANDS_PCT
+};
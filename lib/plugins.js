@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { JSONRPC_ERRORS, JsonRpcError, ToolRegistry } = require('./mcp');
+const { ResourceRegistry, ResourceSubscriptions } = require('./resources');
+const { PromptRegistry } = require('./prompts');
+
+// Service names become URL path segments (/mcp/<name>); "sse" is taken by the SSE transport
+const SERVICE_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+const RESERVED_SERVICE_NAMES = new Set(['sse']);
+
+const PLUGINS_DIR = process.env.PLUGINS_DIR || path.join(__dirname, '..', 'plugins');
+
+// Service Registry
+// Holds every MCP service the gateway serves. Built-in services register themselves;
+// plugins are modules that export a definition (or a function returning one, called
+// with { options, JsonRpcError, JSONRPC_ERRORS }):
+//
+//   {
+//     name: 'weather',                         // mounted at /mcp/weather
+//     description: 'Forecasts',                // shown on /services
+//     serverInfo: { name: 'weather-server', version: '1.0.0' },
+//     tools: [{ name, description, inputSchema, handler }],
+//     resources: [{ scheme, uriTemplate, name, list, read, subscribe }],
+//     prompts: [{ name, description, arguments, get }]
+//   }
+//
+// Plugins are discovered from PLUGINS_DIR (each .js file or directory module) and from
+// the PLUGINS_CONFIG JSON file: { "plugins": [{ "module": "./x", "options": {}, "enabled": true }] }.
+class ServiceRegistry {
+  constructor() {
+    this.services = new Map();
+  }
+
+  register(service) {
+    if (!service || !SERVICE_NAME_PATTERN.test(service.name || '') || RESERVED_SERVICE_NAMES.has(service.name)) {
+      throw new Error(`Invalid service name: ${service && service.name}`);
+    }
+    if (this.services.has(service.name)) {
+      throw new Error(`Service already registered: ${service.name}`);
+    }
+    if (!service.info || !(service.tools instanceof ToolRegistry)) {
+      throw new Error(`Service ${service.name} requires info and a ToolRegistry`);
+    }
+    // The service object itself is stored, not a copy, so broadcasts can match the
+    // service held by each client against the one the gateway built
+    service.description = service.description || '';
+    service.source = service.source || 'built-in';
+    this.services.set(service.name, service);
+    return service;
+  }
+
+  get(name) {
+    return this.services.get(name);
+  }
+
+  list() {
+    return Array.from(this.services.values());
+  }
+
+  // Builds a service from a plugin definition's plain tool/resource/prompt arrays
+  static fromDefinition(definition, source) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Plugin must export a service definition object or a function returning one');
+    }
+
+    const tools = new ToolRegistry();
+    (definition.tools || []).forEach(tool => tools.register(tool));
+
+    const service = {
+      name: definition.name,
+      description: definition.description || '',
+      info: definition.serverInfo || { name: `${definition.name}-mcp-server`, version: '1.0.0' },
+      tools,
+      source
+    };
+
+    if (definition.resources && definition.resources.length > 0) {
+      service.resources = new ResourceRegistry();
+      definition.resources.forEach(provider => service.resources.register(provider));
+      if (definition.resources.some(provider => typeof provider.subscribe === 'function')) {
+        service.subscriptions = new ResourceSubscriptions(service.resources);
+      }
+    }
+
+    if (definition.prompts && definition.prompts.length > 0) {
+      service.prompts = new PromptRegistry();
+      definition.prompts.forEach(prompt => service.prompts.register(prompt));
+    }
+
+    return service;
+  }
+
+  // Accepts a file or directory path, or the name of an installed package
+  loadPlugin(modulePath, options = {}) {
+    try {
+      const isPath = path.isAbsolute(modulePath) || modulePath.startsWith('.');
+      const resolved = require.resolve(isPath ? path.resolve(modulePath) : modulePath);
+      const exported = require(resolved);
+      const definition = typeof exported === 'function'
+        ? exported({ options, JsonRpcError, JSONRPC_ERRORS })
+        : exported;
+      const relative = path.relative(process.cwd(), resolved);
+      return this.register(ServiceRegistry.fromDefinition(definition, relative.startsWith('..') ? resolved : relative));
+    } catch (error) {
+      throw new Error(`Failed to load plugin ${modulePath}: ${error.message}`);
+    }
+  }
+
+  loadFromDirectory(dir = PLUGINS_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() || entry.name.endsWith('.js'))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(entry => this.loadPlugin(path.join(dir, entry.name)));
+  }
+
+  // Relative module paths in the config file are resolved against the file's directory
+  loadFromConfig(file) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read plugin config ${file}: ${error.message}`);
+    }
+
+    return (config.plugins || [])
+      .filter(entry => entry.enabled !== false)
+      .map(entry => this.loadPlugin(
+        entry.module.startsWith('.') ? path.resolve(path.dirname(file), entry.module) : entry.module,
+        entry.options
+      ));
+  }
+
+  loadConfigured() {
+    const loaded = this.loadFromDirectory();
+    if (process.env.PLUGINS_CONFIG) {
+      loaded.push(...this.loadFromConfig(process.env.PLUGINS_CONFIG));
+    }
+    return loaded;
+  }
+}
+
+module.exports = {
+  ServiceRegistry,
+  PLUGINS_DIR
+};
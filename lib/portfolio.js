@@ -0,0 +1,181 @@
+const math = require('mathjs');
+const { MarketDataRouter, PERIODS_PER_YEAR } = require('./market-data');
+
+// Fewer aligned returns than this make correlation and VaR estimates meaningless
+const MIN_RETURN_OBSERVATIONS = 20;
+
+// Portfolio Analytics
+// Marks holdings to market and measures risk from historical closes. Risk statistics use
+// simple per-bar returns on the timestamps every asset has in common, and treat the current
+// allocation as constant over the lookback (a portfolio rebalanced every bar).
+class PortfolioAnalyzer {
+
+  static async analyze(holdings, { interval = '1d', lookback = 90, confidence = 0.95 } = {}) {
+    const symbols = holdings.map(h => h.symbol.toUpperCase());
+
+    try {
+      const [quotes, histories] = await Promise.all([
+        Promise.all(symbols.map(symbol => MarketDataRouter.getCurrentPrice(symbol))),
+        Promise.all(symbols.map(symbol => MarketDataRouter.getOHLCV(symbol, { interval, limit: lookback + 1 })))
+      ]);
+
+      const positions = this.valuePositions(holdings, symbols, quotes);
+      const totalValue = positions.reduce((sum, p) => sum + p.market_value, 0);
+      const totalCost = positions.reduce((sum, p) => sum + (p.cost_value ?? 0), 0);
+      const costKnown = positions.every(p => p.cost_value !== null);
+
+      positions.forEach(p => {
+        p.allocation_pct = totalValue > 0 ? (p.market_value / totalValue) * 100 : 0;
+      });
+
+      return {
+        summary: {
+          market_value: totalValue,
+          cost_value: costKnown ? totalCost : null,
+          unrealized_pnl: costKnown ? totalValue - totalCost : null,
+          unrealized_pnl_pct: costKnown && totalCost > 0 ? ((totalValue - totalCost) / totalCost) * 100 : null,
+          positions: positions.length
+        },
+        positions,
+        risk: this.riskMetrics(symbols, positions.map(p => p.allocation_pct / 100), histories, {
+          interval,
+          confidence,
+          totalValue
+        })
+      };
+    } catch (error) {
+      throw new Error(`Portfolio analysis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  static valuePositions(holdings, symbols, quotes) {
+    return holdings.map((holding, i) => {
+      const price = quotes[i].price;
+      const marketValue = holding.quantity * price;
+      const hasCost = typeof holding.cost_basis === 'number';
+      const costValue = hasCost ? holding.quantity * holding.cost_basis : null;
+
+      return {
+        symbol: symbols[i],
+        quantity: holding.quantity,
+        price,
+        price_provider: quotes[i].provider,
+        market_value: marketValue,
+        cost_basis: hasCost ? holding.cost_basis : null,
+        cost_value: costValue,
+        unrealized_pnl: hasCost ? marketValue - costValue : null,
+        unrealized_pnl_pct: hasCost && costValue > 0 ? ((marketValue - costValue) / costValue) * 100 : null
+      };
+    });
+  }
+
+  // Per-asset return series restricted to the timestamps all assets share
+  static alignReturns(histories) {
+    const closeMaps = histories.map(({ candles }) => new Map(candles.map(c => [c.timestamp, c.close])));
+    const common = Array.from(closeMaps[0].keys())
+      .filter(ts => closeMaps.every(closes => closes.has(ts)))
+      .sort((a, b) => a - b);
+
+    const returns = closeMaps.map(closes => {
+      const series = [];
+      for (let i = 1; i < common.length; i++) {
+        const previous = closes.get(common[i - 1]);
+        series.push(previous === 0 ? 0 : (closes.get(common[i]) - previous) / previous);
+      }
+      return series;
+    });
+
+    return { timestamps: common.slice(1), returns };
+  }
+
+  static maxDrawdown(returns) {
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    for (const r of returns) {
+      equity *= 1 + r;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    }
+    return maxDrawdown;
+  }
+
+  static covariance(returns) {
+    const n = returns[0].length;
+    const demeaned = returns.map(series => {
+      const mean = math.mean(series);
+      return series.map(r => r - mean);
+    });
+    return math.divide(math.multiply(demeaned, math.transpose(demeaned)), n - 1);
+  }
+
+  // Historical VaR and CVaR, reported as positive loss fractions
+  static historicalVaR(returns, confidence) {
+    const cutoff = math.quantileSeq(returns, 1 - confidence);
+    const tail = returns.filter(r => r <= cutoff);
+    return {
+      var: Math.max(0, -cutoff),
+      cvar: Math.max(0, -math.mean(tail))
+    };
+  }
+
+  static riskMetrics(symbols, weights, histories, { interval, confidence, totalValue }) {
+    const { timestamps, returns } = this.alignReturns(histories);
+    if (timestamps.length < MIN_RETURN_OBSERVATIONS) {
+      return {
+        available: false,
+        reason: `Only ${timestamps.length} overlapping ${interval} returns; at least ${MIN_RETURN_OBSERVATIONS} are needed`
+      };
+    }
+
+    const periodsPerYear = PERIODS_PER_YEAR[interval] || 365;
+    const annualize = Math.sqrt(periodsPerYear);
+    const covariance = this.covariance(returns);
+    const portfolioVariance = math.multiply(weights, math.multiply(covariance, weights));
+    const portfolioReturns = timestamps.map((_, t) => weights.reduce((sum, w, i) => sum + w * returns[i][t], 0));
+    const { var: valueAtRisk, cvar } = this.historicalVaR(portfolioReturns, confidence);
+
+    const correlation = {};
+    symbols.forEach((a, i) => {
+      correlation[a] = {};
+      symbols.forEach((b, j) => {
+        const stdA = math.sqrt(covariance[i][i]);
+        const stdB = math.sqrt(covariance[j][j]);
+        // Clamped because rounding can push perfectly correlated series just past +/-1
+        correlation[a][b] = stdA > 0 && stdB > 0 ? Math.max(-1, Math.min(1, covariance[i][j] / (stdA * stdB))) : null;
+      });
+    });
+
+    return {
+      available: true,
+      interval,
+      observations: timestamps.length,
+      period: { start: timestamps[0], end: timestamps[timestamps.length - 1] },
+      confidence,
+      volatility: {
+        per_period_pct: math.sqrt(portfolioVariance) * 100,
+        annualized_pct: math.sqrt(portfolioVariance) * annualize * 100
+      },
+      value_at_risk: {
+        pct: valueAtRisk * 100,
+        amount: valueAtRisk * totalValue
+      },
+      conditional_value_at_risk: {
+        pct: cvar * 100,
+        amount: cvar * totalValue
+      },
+      max_drawdown_pct: this.maxDrawdown(portfolioReturns) * 100,
+      assets: symbols.map((symbol, i) => ({
+        symbol,
+        weight: weights[i],
+        annualized_volatility_pct: math.std(returns[i]) * annualize * 100,
+        max_drawdown_pct: this.maxDrawdown(returns[i]) * 100
+      })),
+      correlation_matrix: correlation
+    };
+  }
+}
+
+module.exports = {
+  PortfolioAnalyzer
+};
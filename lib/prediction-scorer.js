@@ -0,0 +1,164 @@
+const { MarketDataRouter, INTERVAL_MS } = require('./market-data');
+
+const PREDICTION_DIRECTIONS = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+
+// Moves smaller than this (in percent) count as NEUTRAL
+const NEUTRAL_BAND_PCT = parseFloat(process.env.PREDICTION_NEUTRAL_BAND_PCT || '1');
+
+// Hourly candles are fetched to price the evaluation time; providers return at most 1000
+const MAX_LOOKBACK_HOURS = 998;
+const MAX_SCORING_ATTEMPTS = 5;
+
+// Prediction Scorer
+// Once a prediction's evaluate_at time has passed, the price at that time is read from the
+// hourly candle that contains it and compared with the price when the prediction was
+// made. The realised direction (BULLISH/BEARISH beyond NEUTRAL_BAND_PCT, else NEUTRAL)
+// decides whether the prediction was correct. Predictions that cannot be priced after
+// MAX_SCORING_ATTEMPTS runs, or whose evaluation time is out of reach of the candle
+// history, are marked expired.
+class PredictionScorer {
+  constructor(store, {
+    checkIntervalMs = parseInt(process.env.PREDICTION_SCORING_INTERVAL_MS || '900000'),
+    neutralBandPct = NEUTRAL_BAND_PCT
+  } = {}) {
+    this.store = store;
+    this.checkIntervalMs = checkIntervalMs;
+    this.neutralBandPct = neutralBandPct;
+    this.timer = null;
+    this.scoring = false;
+    this.lastRunAt = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.scoreDue(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  realisedDirection(changePct) {
+    if (changePct > this.neutralBandPct) return 'BULLISH';
+    if (changePct < -this.neutralBandPct) return 'BEARISH';
+    return 'NEUTRAL';
+  }
+
+  async priceAt(prediction, time, now) {
+    const hours = Math.ceil((now - time) / INTERVAL_MS['1h']) + 2;
+    const { candles, provider } = await MarketDataRouter.getOHLCV(prediction.market_symbol, { interval: '1h', limit: hours });
+    this.store.recordCandles(prediction.symbol, '1h', candles);
+
+    const candle = candles.find(c => c.timestamp <= time && time < c.timestamp + INTERVAL_MS['1h']);
+    if (!candle) {
+      throw new Error(`${provider} returned no hourly candle covering ${new Date(time).toISOString()}`);
+    }
+    return { price: candle.close, provider };
+  }
+
+  async score(prediction, now = Date.now()) {
+    const evaluateAt = Date.parse(prediction.evaluate_at);
+    if (now - evaluateAt > MAX_LOOKBACK_HOURS * INTERVAL_MS['1h']) {
+      return this.store.update('predictions', prediction.id, {
+        status: 'expired',
+        last_error: 'Evaluation time is older than the available hourly candle history'
+      });
+    }
+
+    try {
+      const { price, provider } = await this.priceAt(prediction, evaluateAt, now);
+      const changePct = ((price - prediction.price) / prediction.price) * 100;
+      const actualDirection = this.realisedDirection(changePct);
+      return this.store.update('predictions', prediction.id, {
+        status: 'scored',
+        last_error: null,
+        scoring_attempts: prediction.scoring_attempts + 1,
+        outcome: {
+          price,
+          change_pct: changePct,
+          actual_direction: actualDirection,
+          correct: actualDirection === prediction.direction,
+          provider,
+          scored_at: new Date(now).toISOString()
+        }
+      });
+    } catch (error) {
+      const attempts = prediction.scoring_attempts + 1;
+      return this.store.update('predictions', prediction.id, {
+        status: attempts >= MAX_SCORING_ATTEMPTS ? 'expired' : 'pending',
+        scoring_attempts: attempts,
+        last_error: error.message
+      });
+    }
+  }
+
+  // Scores due predictions one at a time; predictions on the same symbol share the cached
+  // candle request
+  async scoreDue(now = Date.now()) {
+    if (this.scoring) return [];
+    this.scoring = true;
+    const scored = [];
+    try {
+      const due = this.store.query('predictions', { where: { status: 'pending' }, until: now, limit: null, order: 'asc' })
+        .filter(prediction => Date.parse(prediction.evaluate_at) <= now);
+      for (const prediction of due) {
+        const result = await this.score(prediction, now);
+        if (result.status === 'scored') scored.push(result);
+      }
+      this.lastRunAt = new Date(now).toISOString();
+      if (scored.length > 0) {
+        console.log(`🎯 Scored ${scored.length} prediction(s)`);
+      }
+    } catch (error) {
+      console.error('🚨 Prediction scoring failed:', error.message);
+    } finally {
+      this.scoring = false;
+    }
+    return scored;
+  }
+
+  // Accuracy over a set of predictions, overall and per predicted direction
+  static summarize(predictions) {
+    const scored = predictions.filter(p => p.status === 'scored');
+    const accuracy = (list) => list.length > 0 ? list.filter(p => p.outcome.correct).length / list.length : null;
+    const averageConfidence = (list) => list.length > 0 ? list.reduce((sum, p) => sum + p.confidence, 0) / list.length : null;
+
+    const byDirection = {};
+    for (const direction of PREDICTION_DIRECTIONS) {
+      const list = scored.filter(p => p.direction === direction);
+      byDirection[direction] = {
+        scored: list.length,
+        correct: list.filter(p => p.outcome.correct).length,
+        accuracy: accuracy(list),
+        average_change_pct: list.length > 0 ? list.reduce((sum, p) => sum + p.outcome.change_pct, 0) / list.length : null
+      };
+    }
+
+    return {
+      total: predictions.length,
+      pending: predictions.filter(p => p.status === 'pending').length,
+      expired: predictions.filter(p => p.status === 'expired').length,
+      scored: scored.length,
+      correct: scored.filter(p => p.outcome.correct).length,
+      accuracy: accuracy(scored),
+      average_confidence_correct: averageConfidence(scored.filter(p => p.outcome.correct)),
+      average_confidence_incorrect: averageConfidence(scored.filter(p => !p.outcome.correct)),
+      by_direction: byDirection
+    };
+  }
+
+  getStatus() {
+    return {
+      check_interval_ms: this.checkIntervalMs,
+      neutral_band_pct: this.neutralBandPct,
+      last_run_at: this.lastRunAt
+    };
+  }
+}
+
+module.exports = {
+  PredictionScorer,
+  PREDICTION_DIRECTIONS
+};
@@ -0,0 +1,161 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { BinanceDataProvider } = require('./market-data');
+
+// Binance Live Ticker Stream
+// One upstream WebSocket carries the <symbol>usdt@ticker streams for every ticker that
+// has at least one subscriber. Streams are added and removed with SUBSCRIBE/UNSUBSCRIBE
+// frames on the same connection, and the connection reconnects with backoff.
+class BinancePriceStream extends EventEmitter {
+  constructor(url = process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443/stream') {
+    super();
+    this.url = url;
+    this.refCounts = new Map();
+    this.latest = new Map();
+    this.socket = null;
+    this.requestId = 0;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+  }
+
+  static toTicker(symbol) {
+    return BinanceDataProvider.mapCoinGeckoToBinance(symbol);
+  }
+
+  static streamName(ticker) {
+    return `${ticker.toLowerCase()}usdt@ticker`;
+  }
+
+  subscribe(symbol) {
+    const ticker = BinancePriceStream.toTicker(symbol);
+    const count = this.refCounts.get(ticker) || 0;
+    this.refCounts.set(ticker, count + 1);
+
+    if (count === 0) {
+      if (this.isOpen()) {
+        this.send('SUBSCRIBE', [BinancePriceStream.streamName(ticker)]);
+      } else {
+        this.connect();
+      }
+    }
+    return ticker;
+  }
+
+  unsubscribe(symbol) {
+    const ticker = BinancePriceStream.toTicker(symbol);
+    const count = this.refCounts.get(ticker) || 0;
+    if (count > 1) {
+      this.refCounts.set(ticker, count - 1);
+      return;
+    }
+
+    this.refCounts.delete(ticker);
+    this.latest.delete(ticker);
+    if (this.refCounts.size === 0) {
+      this.close();
+    } else if (this.isOpen()) {
+      this.send('UNSUBSCRIBE', [BinancePriceStream.streamName(ticker)]);
+    }
+  }
+
+  getLatest(symbol) {
+    return this.latest.get(BinancePriceStream.toTicker(symbol)) || null;
+  }
+
+  isOpen() {
+    return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  send(method, params) {
+    this.socket.send(JSON.stringify({ method, params, id: ++this.requestId }));
+  }
+
+  connect() {
+    if (this.socket || this.reconnectTimer) return;
+
+    const streams = Array.from(this.refCounts.keys()).map(BinancePriceStream.streamName);
+    const socket = new WebSocket(`${this.url}?streams=${streams.join('/')}`);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.reconnectAttempts = 0;
+      console.log(`📡 Binance stream connected (${streams.length} symbols)`);
+      // Tickers subscribed while the socket was connecting are not in the URL
+      const pending = Array.from(this.refCounts.keys())
+        .map(BinancePriceStream.streamName)
+        .filter(stream => !streams.includes(stream));
+      if (pending.length > 0) this.send('SUBSCRIBE', pending);
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return;
+      }
+      if (message.data && message.data.e === '24hrTicker') {
+        this.handleTicker(message.data);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error('🚨 Binance stream error:', error.message);
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (this.refCounts.size > 0) this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(30000, 1000 * Math.pow(2, this.reconnectAttempts++));
+    console.log(`🔄 Binance stream reconnecting in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.refCounts.size > 0) this.connect();
+    }, delay);
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+
+  handleTicker(data) {
+    const ticker = data.s.replace(/USDT$/, '');
+    if (!this.refCounts.has(ticker)) return;
+
+    const update = {
+      symbol: ticker,
+      price: parseFloat(data.c),
+      change24h: parseFloat(data.P),
+      volume: parseFloat(data.v),
+      quoteVolume: parseFloat(data.q),
+      high: parseFloat(data.h),
+      low: parseFloat(data.l),
+      count: parseInt(data.n),
+      event_time: new Date(data.E).toISOString()
+    };
+    this.latest.set(ticker, update);
+    this.emit('update', ticker, update);
+  }
+
+  getStatus() {
+    return {
+      connected: this.isOpen(),
+      symbols: Array.from(this.refCounts.entries()).map(([symbol, subscribers]) => ({ symbol, subscribers }))
+    };
+  }
+}
+
+module.exports = {
+  BinancePriceStream
+};
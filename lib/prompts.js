@@ -0,0 +1,64 @@
+const { JSONRPC_ERRORS, JsonRpcError } = require('./mcp');
+
+// MCP Prompt Registry
+// A prompt declares its arguments and a get(args) function that returns the prompt
+// messages, either as a full { description, messages } result or as a plain string,
+// which becomes a single user message.
+class PromptRegistry {
+  constructor() {
+    this.prompts = new Map();
+  }
+
+  register(prompt) {
+    if (!prompt || !prompt.name || typeof prompt.get !== 'function') {
+      throw new Error('Prompt registration requires a name and a get function');
+    }
+    if (this.prompts.has(prompt.name)) {
+      throw new Error(`Prompt already registered: ${prompt.name}`);
+    }
+    this.prompts.set(prompt.name, {
+      name: prompt.name,
+      description: prompt.description || '',
+      arguments: prompt.arguments || [],
+      get: prompt.get
+    });
+    return this;
+  }
+
+  list() {
+    return Array.from(this.prompts.values()).map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    }));
+  }
+
+  async get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments.filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''));
+    if (missing.length > 0) {
+      throw new JsonRpcError(
+        JSONRPC_ERRORS.INVALID_PARAMS,
+        `Missing required argument(s) for prompt ${name}: ${missing.map(arg => arg.name).join(', ')}`,
+        { prompt: name, missing: missing.map(arg => arg.name) }
+      );
+    }
+
+    const result = await prompt.get(args);
+    if (typeof result === 'string') {
+      return {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text: result } }]
+      };
+    }
+    return { description: prompt.description, ...result };
+  }
+}
+
+module.exports = {
+  PromptRegistry
+};
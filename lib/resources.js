@@ -0,0 +1,137 @@
+// MCP Resource Registry
+// Resource providers own a URI scheme (e.g. price://) and declare a URI template, how to
+// list and read their resources and, optionally, how to watch one for changes.
+class ResourceRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider || !provider.scheme || typeof provider.read !== 'function') {
+      throw new Error('Resource registration requires a scheme and a read function');
+    }
+    if (this.providers.has(provider.scheme)) {
+      throw new Error(`Resource scheme already registered: ${provider.scheme}`);
+    }
+    this.providers.set(provider.scheme, {
+      name: provider.name || provider.scheme,
+      description: provider.description || '',
+      mimeType: provider.mimeType || 'application/json',
+      list: async () => [],
+      ...provider
+    });
+    return this;
+  }
+
+  find(uri) {
+    const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(uri || '');
+    return match ? this.providers.get(match[1].toLowerCase()) : undefined;
+  }
+
+  async list() {
+    const lists = await Promise.all(Array.from(this.providers.values()).map(provider => provider.list()));
+    return lists.flat();
+  }
+
+  templates() {
+    return Array.from(this.providers.values())
+      .filter(provider => provider.uriTemplate)
+      .map(({ uriTemplate, name, description, mimeType }) => ({ uriTemplate, name, description, mimeType }));
+  }
+
+  // Resolves to MCP resource contents, serialising JSON payloads as text
+  async read(uri) {
+    const provider = this.find(uri);
+    if (!provider) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+    const data = await provider.read(uri);
+    return {
+      contents: [{
+        uri,
+        mimeType: provider.mimeType,
+        text: typeof data === 'string' ? data : JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+
+  isSubscribable(uri) {
+    const provider = this.find(uri);
+    return Boolean(provider && typeof provider.subscribe === 'function');
+  }
+}
+
+// Tracks which clients are subscribed to which resource URIs. The first subscriber of a
+// URI starts the provider's watch and the last one to leave stops it; every change is
+// pushed to each subscriber as notifications/resources/updated.
+class ResourceSubscriptions {
+  constructor(registry) {
+    this.registry = registry;
+    this.subscriptions = new Map();
+  }
+
+  subscribe(uri, clientId, notify) {
+    const provider = this.registry.find(uri);
+    if (!provider || typeof provider.subscribe !== 'function') {
+      throw new Error(`Resource does not support subscriptions: ${uri}`);
+    }
+
+    let entry = this.subscriptions.get(uri);
+    if (!entry) {
+      entry = { clients: new Map(), release: null };
+      this.subscriptions.set(uri, entry);
+      // A watch that fails to start (e.g. an unknown symbol) must not leave an empty entry
+      try {
+        entry.release = provider.subscribe(uri, () => this.publish(uri));
+      } catch (error) {
+        this.subscriptions.delete(uri);
+        throw error;
+      }
+    }
+    entry.clients.set(clientId, notify);
+  }
+
+  unsubscribe(uri, clientId) {
+    const entry = this.subscriptions.get(uri);
+    if (!entry || !entry.clients.delete(clientId)) return false;
+
+    if (entry.clients.size === 0) {
+      this.subscriptions.delete(uri);
+      if (typeof entry.release === 'function') entry.release();
+    }
+    return true;
+  }
+
+  removeClient(clientId) {
+    for (const uri of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(uri, clientId);
+    }
+  }
+
+  publish(uri) {
+    const entry = this.subscriptions.get(uri);
+    if (!entry) return;
+
+    const notification = {
+      jsonrpc: "2.0",
+      method: "notifications/resources/updated",
+      params: { uri }
+    };
+    for (const notify of entry.clients.values()) {
+      try {
+        notify(notification);
+      } catch (error) {
+        console.error('Resource notification failed:', error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    return Array.from(this.subscriptions.entries()).map(([uri, entry]) => ({ uri, subscribers: entry.clients.size }));
+  }
+}
+
+module.exports = {
+  ResourceRegistry,
+  ResourceSubscriptions
+};
@@ -0,0 +1,172 @@
+const { UpstreamClient, CACHE_TTL } = require('./upstream');
+
+// Lexicon-based sentiment scoring for crypto news headlines.
+// Weights are in [-3, 3]; multi-word phrases are matched before single words,
+// and a negator up to two words earlier flips the sign of a term.
+const SENTIMENT_LEXICON = {
+  'all-time high': 3,
+  'etf approval': 3,
+  'short squeeze': 2,
+  'record high': 3,
+  'rate cut': 1.5,
+  'sec lawsuit': -3,
+  'rug pull': -3,
+  'sell-off': -2,
+  'rate hike': -1.5,
+  'bullish': 2,
+  'surge': 2,
+  'surges': 2,
+  'soar': 2.5,
+  'soars': 2.5,
+  'rally': 2,
+  'rallies': 2,
+  'gain': 1,
+  'gains': 1,
+  'jump': 1.5,
+  'jumps': 1.5,
+  'breakout': 2,
+  'adoption': 1.5,
+  'approve': 2,
+  'approves': 2,
+  'approved': 2,
+  'partnership': 1.5,
+  'upgrade': 1,
+  'inflow': 1.5,
+  'inflows': 1.5,
+  'accumulate': 1,
+  'accumulation': 1,
+  'recover': 1,
+  'recovers': 1,
+  'recovery': 1,
+  'optimism': 1.5,
+  'outperform': 1.5,
+  'launch': 0.5,
+  'bearish': -2,
+  'crash': -3,
+  'crashes': -3,
+  'plunge': -2.5,
+  'plunges': -2.5,
+  'tumble': -2,
+  'tumbles': -2,
+  'drop': -1.5,
+  'drops': -1.5,
+  'fall': -1.5,
+  'falls': -1.5,
+  'decline': -1.5,
+  'declines': -1.5,
+  'selloff': -2,
+  'dump': -2,
+  'hack': -3,
+  'hacked': -3,
+  'exploit': -2.5,
+  'ban': -2.5,
+  'bans': -2.5,
+  'lawsuit': -2,
+  'sues': -2,
+  'fraud': -3,
+  'scam': -3,
+  'bankruptcy': -3,
+  'bankrupt': -3,
+  'liquidation': -1.5,
+  'liquidations': -1.5,
+  'outflow': -1.5,
+  'outflows': -1.5,
+  'delist': -2,
+  'delisting': -2,
+  'fear': -1.5,
+  'warning': -1,
+  'investigation': -1.5,
+  'crackdown': -2
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', "isn't", "won't", "doesn't", "didn't", 'without', 'fails', 'failed']);
+
+// Normalisation constant, as in VADER: score = sum / sqrt(sum^2 + alpha)
+const NORMALIZATION_ALPHA = 15;
+
+class SentimentAnalyzer {
+
+  static tokenize(text) {
+    return text.toLowerCase().replace(/[^a-z0-9'\-\s]/g, ' ').split(/\s+/).filter(Boolean);
+  }
+
+  static scoreText(text) {
+    const tokens = this.tokenize(text);
+    const matches = [];
+    let total = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const bigram = i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null;
+      const term = bigram && SENTIMENT_LEXICON[bigram] !== undefined ? bigram : tokens[i];
+      const weight = SENTIMENT_LEXICON[term];
+      if (weight === undefined) continue;
+
+      const negated = tokens.slice(Math.max(0, i - 2), i).some(token => NEGATORS.has(token));
+      const value = negated ? -weight : weight;
+      matches.push({ term, weight: value, negated });
+      total += value;
+      if (term === bigram) i++;
+    }
+
+    return {
+      text,
+      score: total === 0 ? 0 : total / Math.sqrt(total * total + NORMALIZATION_ALPHA),
+      matches
+    };
+  }
+
+  static classify(score) {
+    return score > 0.3 ? 'bullish' : score < -0.3 ? 'bearish' : 'neutral';
+  }
+
+  static analyze(texts, source) {
+    const scored = texts.map(text => this.scoreText(text));
+    const relevant = scored.filter(item => item.matches.length > 0);
+    const score = relevant.length > 0
+      ? relevant.reduce((sum, item) => sum + item.score, 0) / relevant.length
+      : 0;
+
+    return {
+      available: true,
+      source,
+      overall_sentiment: this.classify(score),
+      score,
+      texts_analyzed: scored.length,
+      texts_with_signal: relevant.length,
+      breakdown: scored
+    };
+  }
+
+  static unavailable(reason) {
+    return {
+      available: false,
+      source: null,
+      overall_sentiment: 'unavailable',
+      score: null,
+      reason
+    };
+  }
+
+  // CryptoPanic news feed, used when CRYPTOPANIC_API_TOKEN is configured
+  static async fetchHeadlines(ticker) {
+    const token = process.env.CRYPTOPANIC_API_TOKEN;
+    if (!token) return null;
+
+    try {
+      const baseURL = process.env.CRYPTOPANIC_API_URL || 'https://cryptopanic.com/api/v1';
+      const data = await UpstreamClient.get(`${baseURL}/posts/`, {
+        provider: 'cryptopanic',
+        ttl: CACHE_TTL.news,
+        params: { auth_token: token, currencies: ticker.toUpperCase(), public: true }
+      });
+      return data.results.map(post => post.title).filter(Boolean);
+    } catch (error) {
+      throw new Error(`CryptoPanic news fetch failed: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+module.exports = {
+  SentimentAnalyzer,
+  SENTIMENT_LEXICON
+};
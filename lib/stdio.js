@@ -0,0 +1,52 @@
+const readline = require('readline');
+const crypto = require('crypto');
+const { JSONRPC_ERRORS, JsonRpcError, jsonRpcErrorResponse, processMCPMessage } = require('./mcp');
+
+// MCP stdio Transport
+// The client launches the server as a subprocess and exchanges newline-delimited JSON-RPC
+// messages over stdin/stdout. stdout carries protocol messages only, so the process must
+// send its logs to stderr. The client is the local user who started the process, so
+// requests are not authenticated.
+function serveStdio(service, { input = process.stdin, output = process.stdout } = {}) {
+  const write = (message) => {
+    if (!output.writableEnded) output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const client = {
+    principal: null,
+    clientId: crypto.randomUUID(),
+    notify: write
+  };
+
+  const handleLine = async (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      write(jsonRpcErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error')));
+      return;
+    }
+
+    const response = await processMCPMessage(service, message, client);
+    if (response !== null) write(response);
+  };
+
+  // Requests still running when stdin closes are answered before `closed` resolves
+  const pending = new Set();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    const request = handleLine(line).finally(() => pending.delete(request));
+    pending.add(request);
+  });
+
+  client.closed = new Promise(resolve => {
+    lines.once('close', () => Promise.allSettled(pending).then(() => resolve()));
+  });
+  return client;
+}
+
+module.exports = {
+  serveStdio
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+// Factor Scorers
+// Each factor maps the analysis inputs to a score in [0, 1] (0.5 is neutral) and returns
+// a short detail explaining the score. Strategies pick factors through their weights and
+// tune them through `params`.
+const FACTOR_SCORERS = {
+  technical: {
+    defaults: { oversold: 30, overbought: 70, oversoldScore: 0.8, overboughtScore: 0.2, neutralScore: 0.5 },
+    score: ({ technicals }, p) => {
+      if (!technicals || typeof technicals.rsi !== 'number') {
+        return { score: 0.5, detail: 'RSI unavailable' };
+      }
+      if (technicals.rsi < p.oversold) return { score: p.oversoldScore, detail: `RSI ${technicals.rsi.toFixed(1)} is oversold (< ${p.oversold})` };
+      if (technicals.rsi > p.overbought) return { score: p.overboughtScore, detail: `RSI ${technicals.rsi.toFixed(1)} is overbought (> ${p.overbought})` };
+      return { score: p.neutralScore, detail: `RSI ${technicals.rsi.toFixed(1)} is neutral` };
+    }
+  },
+
+  trend: {
+    defaults: { aboveBothScore: 0.8, mixedScore: 0.5, belowBothScore: 0.2 },
+    score: ({ technicals }, p) => {
+      const price = technicals?.last_close;
+      if (typeof price !== 'number' || typeof technicals.sma_20 !== 'number' || typeof technicals.sma_50 !== 'number') {
+        return { score: 0.5, detail: 'Moving averages unavailable' };
+      }
+      if (price > technicals.sma_20 && price > technicals.sma_50) return { score: p.aboveBothScore, detail: 'Price above SMA20 and SMA50' };
+      if (price < technicals.sma_20 && price < technicals.sma_50) return { score: p.belowBothScore, detail: 'Price below SMA20 and SMA50' };
+      return { score: p.mixedScore, detail: 'Price between SMA20 and SMA50' };
+    }
+  },
+
+  fundamental: {
+    defaults: { liquidityThreshold: 0.1, liquidScore: 0.7, illiquidScore: 0.4 },
+    score: ({ fundamentals }, p) => {
+      if (!fundamentals || typeof fundamentals.liquidityScore !== 'number') {
+        return { score: 0.5, detail: 'Fundamentals unavailable' };
+      }
+      const liquid = fundamentals.liquidityScore > p.liquidityThreshold;
+      return {
+        score: liquid ? p.liquidScore : p.illiquidScore,
+        detail: `Volume/market cap ${fundamentals.liquidityScore.toFixed(3)} is ${liquid ? 'above' : 'at or below'} ${p.liquidityThreshold}`
+      };
+    }
+  },
+
+  sentiment: {
+    defaults: { positiveScore: 0.7, negativeScore: 0.3, neutralScore: 0.5 },
+    score: ({ sentiment }, p) => {
+      if (!sentiment || !sentiment.available) {
+        return { score: 0.5, detail: 'No sentiment source available' };
+      }
+      if (sentiment.score > 0) return { score: p.positiveScore, detail: `Sentiment score ${sentiment.score.toFixed(2)} is positive` };
+      if (sentiment.score < 0) return { score: p.negativeScore, detail: `Sentiment score ${sentiment.score.toFixed(2)} is negative` };
+      return { score: p.neutralScore, detail: 'Sentiment is neutral' };
+    }
+  },
+
+  market_structure: {
+    defaults: { highInterestScore: 0.8, otherScore: 0.5 },
+    score: ({ marketStructure }, p) => {
+      if (!marketStructure || marketStructure.available === false) {
+        return { score: 0.5, detail: 'Market structure unavailable' };
+      }
+      const high = marketStructure.institutionalInterest === 'high';
+      return {
+        score: high ? p.highInterestScore : p.otherScore,
+        detail: `Institutional interest is ${marketStructure.institutionalInterest}`
+      };
+    }
+  },
+
+  confluence: {
+    defaults: {},
+    score: ({ confluence }) => {
+      if (!confluence) {
+        return { score: 0.5, detail: 'Single-timeframe analysis' };
+      }
+      const count = confluence.timeframes.length;
+      const share = (name, side, agreement) => agreement > 0 ? `${name} ${side} on ${Math.round(agreement * count)}/${count} timeframes` : `${name} split`;
+      return {
+        score: 0.5 + confluence.alignment / 2,
+        detail: `${share('Trend', confluence.trend.direction, confluence.trend.agreement)}, ${share('RSI', confluence.rsi.side, confluence.rsi.agreement)} (confluence ${confluence.score.toFixed(0)})`
+      };
+    }
+  }
+};
+
+const BUILT_IN_STRATEGIES = [
+  {
+    name: 'default',
+    description: 'Original god_analysis weighting of technicals, fundamentals, sentiment and market structure',
+    weights: { technical: 0.4, fundamental: 0.3, sentiment: 0.2, market_structure: 0.1 },
+    thresholds: { bullish: 0.6, bearish: 0.4, highRiskUpper: 0.7, highRiskLower: 0.3 }
+  },
+  {
+    name: 'technical_focus',
+    description: 'Price action only: RSI regime and moving-average trend, equally weighted',
+    weights: { technical: 0.5, trend: 0.5 },
+    thresholds: { bullish: 0.6, bearish: 0.4, highRiskUpper: 0.75, highRiskLower: 0.25 }
+  },
+  {
+    name: 'multi_timeframe',
+    description: 'Default for god_analysis with timeframes: trend and RSI alignment across timeframes leads, with the default factors behind it',
+    weights: { confluence: 0.4, technical: 0.2, fundamental: 0.15, sentiment: 0.15, market_structure: 0.1 },
+    thresholds: { bullish: 0.6, bearish: 0.4, highRiskUpper: 0.7, highRiskLower: 0.3 }
+  }
+];
+
+// Prediction Strategy Registry
+// Strategies are named configurations of factor weights, direction thresholds and factor
+// params. They can be registered in code, loaded from a JSON or JS file
+// (PREDICTION_STRATEGIES_FILE), or passed inline per call.
+class PredictionStrategies {
+  static strategies = new Map();
+
+  static registerFactor(name, scorer) {
+    if (!scorer || typeof scorer.score !== 'function') {
+      throw new Error(`Factor ${name} must provide a score(inputs, params) function`);
+    }
+    FACTOR_SCORERS[name] = { defaults: scorer.defaults || {}, score: scorer.score };
+  }
+
+  static normalize(config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('Strategy config must be an object');
+    }
+
+    const weights = config.weights || {};
+    const factors = Object.keys(weights);
+    if (factors.length === 0 || factors.some(f => typeof weights[f] !== 'number' || weights[f] < 0)) {
+      throw new Error('Strategy weights must map factor names to non-negative numbers');
+    }
+    if (factors.every(f => weights[f] === 0)) {
+      throw new Error('Strategy weights must not all be zero');
+    }
+    const unknown = factors.filter(f => !FACTOR_SCORERS[f]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown strategy factor(s): ${unknown.join(', ')}`);
+    }
+
+    const thresholds = { bullish: 0.6, bearish: 0.4, highRiskUpper: 0.7, highRiskLower: 0.3, ...config.thresholds };
+    if (!(thresholds.bearish < thresholds.bullish)) {
+      throw new Error('Strategy bearish threshold must be below the bullish threshold');
+    }
+
+    return {
+      name: config.name || 'inline',
+      description: config.description || '',
+      weights: { ...weights },
+      thresholds,
+      params: { ...config.params }
+    };
+  }
+
+  static register(config) {
+    if (!config || !config.name) {
+      throw new Error('Strategy registration requires a name');
+    }
+    const strategy = this.normalize(config);
+    this.strategies.set(strategy.name, strategy);
+    return strategy;
+  }
+
+  // JSON files hold an array of strategy configs; JS modules may also export `factors`
+  static loadFromFile(filePath) {
+    const resolved = path.resolve(filePath);
+    let exported;
+    try {
+      exported = resolved.endsWith('.js')
+        ? require(resolved)
+        : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load strategies from ${filePath}: ${error.message}`);
+    }
+
+    const { strategies = [], factors = {} } = Array.isArray(exported) ? { strategies: exported } : exported;
+    Object.entries(factors).forEach(([name, scorer]) => this.registerFactor(name, scorer));
+    return strategies.map(config => this.register(config));
+  }
+
+  // Accepts a registered strategy name or an inline config object
+  static resolve(strategy = 'default') {
+    if (typeof strategy === 'object') {
+      return this.normalize(strategy);
+    }
+    const found = this.strategies.get(strategy);
+    if (!found) {
+      throw new Error(`Unknown prediction strategy: ${strategy}`);
+    }
+    return found;
+  }
+
+  static list() {
+    return Array.from(this.strategies.values());
+  }
+
+  static listFactors() {
+    return Object.entries(FACTOR_SCORERS).map(([name, scorer]) => ({ name, defaults: scorer.defaults }));
+  }
+
+  // Weighted score of every factor; weights are normalised so the final score stays in [0, 1]
+  static score(strategy, inputs) {
+    const totalWeight = Object.values(strategy.weights).reduce((a, b) => a + b, 0);
+    const factors = {};
+    let finalScore = 0;
+
+    for (const [name, weight] of Object.entries(strategy.weights)) {
+      const scorer = FACTOR_SCORERS[name];
+      const params = { ...scorer.defaults, ...strategy.params[name] };
+      const { score, detail } = scorer.score(inputs, params);
+      const normalizedWeight = weight / totalWeight;
+      const contribution = score * normalizedWeight;
+
+      factors[name] = { score, weight: normalizedWeight, contribution, detail };
+      finalScore += contribution;
+    }
+
+    return { finalScore, factors };
+  }
+}
+
+BUILT_IN_STRATEGIES.forEach(config => PredictionStrategies.register(config));
+
+if (process.env.PREDICTION_STRATEGIES_FILE) {
+  PredictionStrategies.loadFromFile(process.env.PREDICTION_STRATEGIES_FILE);
+}
+
+module.exports = {
+  PredictionStrategies,
+  FACTOR_SCORERS
+};
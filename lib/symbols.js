@@ -0,0 +1,304 @@
+const fs = require('fs');
+
+// Known assets. The CoinGecko id is the canonical asset id; tickers are the exchange
+// tickers, with `venue_tickers` where an exchange uses its own. Contract addresses are
+// keyed by chain. Stablecoins carry the currency they are `pegged` to.
+const KNOWN_ASSETS = [
+  { id: 'bitcoin', ticker: 'BTC', name: 'Bitcoin', venue_tickers: { kraken: 'XBT' } },
+  { id: 'ethereum', ticker: 'ETH', name: 'Ethereum', aliases: ['ether'] },
+  {
+    id: 'tether', ticker: 'USDT', name: 'Tether', pegged: 'USD',
+    contracts: {
+      ethereum: '0xdac17f958d2ee523a2206206994597c13d831ec7',
+      tron: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t',
+      solana: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+    }
+  },
+  { id: 'binancecoin', ticker: 'BNB', name: 'BNB', aliases: ['binance coin'] },
+  { id: 'solana', ticker: 'SOL', name: 'Solana' },
+  { id: 'ripple', ticker: 'XRP', name: 'XRP' },
+  {
+    id: 'usd-coin', ticker: 'USDC', name: 'USD Coin', pegged: 'USD',
+    contracts: {
+      ethereum: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+      solana: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+    }
+  },
+  { id: 'cardano', ticker: 'ADA', name: 'Cardano' },
+  { id: 'dogecoin', ticker: 'DOGE', name: 'Dogecoin', venue_tickers: { kraken: 'XDG' } },
+  { id: 'tron', ticker: 'TRX', name: 'TRON' },
+  { id: 'avalanche-2', ticker: 'AVAX', name: 'Avalanche' },
+  { id: 'polkadot', ticker: 'DOT', name: 'Polkadot' },
+  { id: 'chainlink', ticker: 'LINK', name: 'Chainlink', contracts: { ethereum: '0x514910771af9ca656af840dff83e8264ecf986ca' } },
+  { id: 'the-open-network', ticker: 'TON', name: 'Toncoin' },
+  { id: 'shiba-inu', ticker: 'SHIB', name: 'Shiba Inu', contracts: { ethereum: '0x95ad61b0a150d79219dcf64e1e6cc01f0b64c4ce' } },
+  { id: 'litecoin', ticker: 'LTC', name: 'Litecoin' },
+  { id: 'bitcoin-cash', ticker: 'BCH', name: 'Bitcoin Cash' },
+  { id: 'uniswap', ticker: 'UNI', name: 'Uniswap', contracts: { ethereum: '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984' } },
+  { id: 'cosmos', ticker: 'ATOM', name: 'Cosmos Hub' },
+  { id: 'stellar', ticker: 'XLM', name: 'Stellar' },
+  { id: 'ethereum-classic', ticker: 'ETC', name: 'Ethereum Classic' },
+  { id: 'near', ticker: 'NEAR', name: 'NEAR Protocol' },
+  { id: 'aptos', ticker: 'APT', name: 'Aptos' },
+  { id: 'arbitrum', ticker: 'ARB', name: 'Arbitrum', contracts: { arbitrum: '0x912ce59144191c1204e64559fe8253a0e49e6548' } },
+  { id: 'optimism', ticker: 'OP', name: 'Optimism', contracts: { optimism: '0x4200000000000000000000000000000000000042' } },
+  { id: 'filecoin', ticker: 'FIL', name: 'Filecoin' },
+  { id: 'internet-computer', ticker: 'ICP', name: 'Internet Computer' },
+  { id: 'dai', ticker: 'DAI', name: 'Dai', pegged: 'USD', contracts: { ethereum: '0x6b175474e89094c44da98b954eedeac495271d0f' } },
+  { id: 'first-digital-usd', ticker: 'FDUSD', name: 'First Digital USD', pegged: 'USD', contracts: { ethereum: '0xc5f0f7b66764f6ec8c8dff7ba683102295e16409' } },
+  { id: 'pepe', ticker: 'PEPE', name: 'Pepe', contracts: { ethereum: '0x6982508145454ce325ddbe47a25d4ec3d2311933' } },
+  { id: 'sui', ticker: 'SUI', name: 'Sui' },
+  { id: 'hedera-hashgraph', ticker: 'HBAR', name: 'Hedera' },
+  { id: 'aave', ticker: 'AAVE', name: 'Aave', contracts: { ethereum: '0x7fc66500c84a76ad7e9c93437bfc5ac33e2ddae9' } },
+  { id: 'monero', ticker: 'XMR', name: 'Monero', unlisted: ['binance', 'coinbase'] },
+  {
+    id: 'polygon-ecosystem-token', ticker: 'POL', name: 'POL (ex-MATIC)', aliases: ['polygon', 'matic'],
+    contracts: { ethereum: '0x455e53cbb86018ac2b8092fdcd39d8444affc3f6' }
+  }
+];
+
+// How each exchange names a pair and which quote currencies the registry knows it lists
+const EXCHANGE_VENUES = {
+  binance: { quotes: ['USDT', 'USDC', 'FDUSD'], pair: (base, quote) => `${base}${quote}` },
+  coinbase: { quotes: ['USD', 'USDT'], pair: (base, quote) => `${base}-${quote}` },
+  kraken: { quotes: ['USD', 'USDT', 'USDC'], pair: (base, quote) => `${base}${quote}` }
+};
+
+const QUOTE_CURRENCIES = [...new Set(Object.values(EXCHANGE_VENUES).flatMap(venue => venue.quotes))]
+  .sort((a, b) => b.length - a.length);
+
+const EVM_ADDRESS = /^0x[0-9a-f]{40}$/i;
+const MAX_SUGGESTIONS = 5;
+const MIN_SUGGESTION_SCORE = 0.6;
+
+function normalizeKey(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// EVM addresses are case-insensitive (the mixed case is only a checksum); other chains'
+// addresses are not
+function normalizeAddress(address) {
+  const trimmed = String(address).trim();
+  return EVM_ADDRESS.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Symbol Registry
+// Resolves whatever a caller calls an asset (ticker, CoinGecko id, name, alias, an
+// exchange's own ticker, a contract address or a pair such as BTCUSDT or BTC-USD) to one
+// registry asset, and names that asset's pairs on each exchange. Unknown symbols get
+// suggestions ranked by edit distance to every known key. Extra assets can be loaded from
+// the JSON array in SYMBOLS_FILE; an entry with a known id replaces the built-in one.
+class SymbolRegistry {
+  constructor(assets = KNOWN_ASSETS, { file = process.env.SYMBOLS_FILE } = {}) {
+    this.assets = new Map();
+    this.keys = new Map();
+    this.contracts = new Map();
+    for (const entry of [...assets, ...SymbolRegistry.loadFile(file)]) {
+      const asset = SymbolRegistry.normalize(entry);
+      this.assets.set(asset.id, asset);
+    }
+    this.index();
+  }
+
+  static loadFile(file) {
+    if (!file) return [];
+    try {
+      const assets = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(assets)) throw new Error('expected a JSON array of assets');
+      return assets;
+    } catch (error) {
+      throw new Error(`Failed to load symbols from ${file}: ${error.message}`);
+    }
+  }
+
+  static normalize(asset) {
+    if (!asset || typeof asset.id !== 'string' || typeof asset.ticker !== 'string' || !asset.id.trim() || !asset.ticker.trim()) {
+      throw new Error(`Assets require an id and a ticker: ${JSON.stringify(asset)}`);
+    }
+    return {
+      id: normalizeKey(asset.id),
+      ticker: asset.ticker.trim().toUpperCase(),
+      name: asset.name || asset.ticker.trim().toUpperCase(),
+      aliases: asset.aliases || [],
+      venue_tickers: asset.venue_tickers || {},
+      contracts: Object.fromEntries(Object.entries(asset.contracts || {}).map(([chain, address]) => [chain, normalizeAddress(address)])),
+      unlisted: asset.unlisted || [],
+      ...(asset.pegged ? { pegged: asset.pegged.toUpperCase() } : {})
+    };
+  }
+
+  // Tickers and ids must be unambiguous; names and aliases are indexed after them, and one
+  // claimed by two assets stays with the first
+  index() {
+    const claim = (asset, key, kind) => {
+      const owner = this.keys.get(key);
+      if (!owner) {
+        this.keys.set(key, { asset, kind });
+      } else if (owner.asset !== asset && (kind === 'ticker' || kind === 'id')) {
+        throw new Error(`Symbol ${key} is claimed by both ${owner.asset.id} and ${asset.id}`);
+      }
+    };
+
+    const assets = this.list();
+    for (const asset of assets) {
+      claim(asset, normalizeKey(asset.id), 'id');
+      claim(asset, normalizeKey(asset.ticker), 'ticker');
+    }
+    for (const asset of assets) {
+      claim(asset, normalizeKey(asset.name), 'name');
+      asset.aliases.forEach(alias => claim(asset, normalizeKey(alias), 'alias'));
+      Object.values(asset.venue_tickers).forEach(ticker => claim(asset, normalizeKey(ticker), 'alias'));
+      for (const [chain, address] of Object.entries(asset.contracts)) {
+        this.contracts.set(address, { asset, chain });
+      }
+    }
+  }
+
+  get(id) {
+    return this.assets.get(normalizeKey(id)) || null;
+  }
+
+  list() {
+    return Array.from(this.assets.values());
+  }
+
+  // Returns { asset, matched_by, chain?, quote? } or null
+  lookup(symbol) {
+    const input = String(symbol).trim();
+    if (!input) return null;
+
+    const contract = this.contracts.get(normalizeAddress(input));
+    if (contract) {
+      return { asset: contract.asset, matched_by: 'contract', chain: contract.chain };
+    }
+
+    const key = this.keys.get(normalizeKey(input));
+    if (key) {
+      return { asset: key.asset, matched_by: key.kind };
+    }
+
+    // A pair: base and quote, optionally separated by - / or _
+    const upper = input.toUpperCase();
+    for (const quote of QUOTE_CURRENCIES) {
+      if (!upper.endsWith(quote) || upper.length === quote.length) continue;
+      const base = upper.slice(0, -quote.length).replace(/[-/_]$/, '');
+      const match = base && this.keys.get(normalizeKey(base));
+      if (match && match.asset.ticker !== quote) {
+        return { asset: match.asset, matched_by: 'pair', quote };
+      }
+    }
+    return null;
+  }
+
+  resolve(symbol) {
+    const match = this.lookup(symbol);
+    return match ? match.asset : null;
+  }
+
+  // Closest assets by any of their keys, scored 0-1 (1 = identical); a key that starts
+  // with the input counts as a strong match so partial names are suggested
+  suggest(symbol, limit = MAX_SUGGESTIONS) {
+    const input = normalizeKey(symbol);
+    if (!input) return [];
+
+    const best = new Map();
+    for (const [key, { asset }] of this.keys) {
+      const distance = editDistance(input, key);
+      let score = 1 - distance / Math.max(input.length, key.length);
+      if (input.length >= 3 && key.startsWith(input)) score = Math.max(score, 0.8);
+      if (score > (best.get(asset.id)?.score ?? -1)) best.set(asset.id, { asset, key, score });
+    }
+
+    return Array.from(best.values())
+      .filter(match => match.score >= MIN_SUGGESTION_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ asset, key, score }) => ({ id: asset.id, ticker: asset.ticker, name: asset.name, matched: key, score }));
+  }
+
+  // Unknown symbols are passed through as tickers, so callers that have not resolved
+  // their input still get a best-effort pair name
+  ticker(symbol, venue) {
+    const asset = this.resolve(symbol);
+    if (!asset) return String(symbol).trim().toUpperCase();
+    return (venue && asset.venue_tickers[venue]) || asset.ticker;
+  }
+
+  coinGeckoId(symbol) {
+    const asset = this.resolve(symbol);
+    return asset ? asset.id : normalizeKey(symbol);
+  }
+
+  pair(symbol, venue, quote) {
+    const format = EXCHANGE_VENUES[venue];
+    if (!format) {
+      throw new Error(`Unknown exchange: ${venue}`);
+    }
+    return format.pair(this.ticker(symbol, venue), quote);
+  }
+
+  // Unknown symbols are assumed to be listed; the exchange has the final word
+  listedOn(symbol, venue) {
+    const asset = this.resolve(symbol);
+    return !(asset && asset.unlisted.includes(venue));
+  }
+
+  // Every pair the registry expects an exchange to list for the asset
+  pairs(symbol, venues = Object.keys(EXCHANGE_VENUES)) {
+    const asset = this.resolve(symbol);
+    const ticker = asset ? asset.ticker : this.ticker(symbol);
+    return venues
+      .filter(venue => this.listedOn(symbol, venue))
+      .flatMap(venue => EXCHANGE_VENUES[venue].quotes
+        .filter(quote => quote !== ticker)
+        .map(quote => ({ venue, quote, pair: this.pair(symbol, venue, quote) })));
+  }
+
+  describe(asset) {
+    return {
+      id: asset.id,
+      ticker: asset.ticker,
+      name: asset.name,
+      aliases: asset.aliases,
+      contracts: asset.contracts,
+      ...(asset.pegged ? { pegged: asset.pegged } : {}),
+      pairs: this.pairs(asset.id)
+    };
+  }
+}
+
+const symbolRegistry = new SymbolRegistry();
+
+function toTicker(symbol) {
+  return symbolRegistry.ticker(symbol);
+}
+
+function toCoinGeckoId(symbol) {
+  return symbolRegistry.coinGeckoId(symbol);
+}
+
+module.exports = {
+  SymbolRegistry,
+  symbolRegistry,
+  KNOWN_ASSETS,
+  EXCHANGE_VENUES,
+  QUOTE_CURRENCIES,
+  toTicker,
+  toCoinGeckoId
+};
@@ -0,0 +1,249 @@
+const axios = require('axios');
+
+// Per-provider token buckets: `capacity` requests may burst, refilled at `refillPerSecond`.
+// Defaults stay under the public free-tier limits of each API.
+const RATE_LIMITS = {
+  binance: { capacity: 50, refillPerSecond: 20 },
+  coingecko: { capacity: 10, refillPerSecond: 0.5 },
+  'alternative.me': { capacity: 5, refillPerSecond: 1 },
+  cryptopanic: { capacity: 5, refillPerSecond: 0.5 },
+  coinbase: { capacity: 10, refillPerSecond: 5 },
+  kraken: { capacity: 5, refillPerSecond: 1 },
+  'exchangerate-api': { capacity: 5, refillPerSecond: 0.5 },
+  frankfurter: { capacity: 5, refillPerSecond: 1 },
+  default: { capacity: 10, refillPerSecond: 5 }
+};
+
+const RETRY_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
+const RETRY_ERROR_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']);
+
+// A request refused locally because its provider's token bucket would make it wait longer
+// than the request may take; retryAfter is in seconds
+class RateLimitError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The RateLimitError behind an error, following the `cause` chain of wrapped errors
+function findRateLimit(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof RateLimitError) return current;
+  }
+  return null;
+}
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // Reserves a token and resolves once it is available. Tokens may go negative, which
+  // queues callers in arrival order behind the ones already waiting; a caller that would
+  // wait longer than maxWaitMs is refused with a RateLimitError and reserves nothing.
+  async acquire(maxWaitMs = Infinity) {
+    this.refill();
+    const waitMs = this.tokens < 1 ? ((1 - this.tokens) / this.refillPerSecond) * 1000 : 0;
+    if (waitMs > maxWaitMs) {
+      const retryAfter = Math.ceil((waitMs - maxWaitMs) / 1000);
+      throw new RateLimitError(`Rate limit reached; retry in ${retryAfter}s`, retryAfter);
+    }
+    this.tokens -= 1;
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+    return waitMs;
+  }
+
+  // Takes a token only if one is available; otherwise returns the seconds until one will be
+  tryAcquire() {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return (1 - this.tokens) / this.refillPerSecond;
+  }
+}
+
+// Upstream Request Layer
+// Every outbound market-data request goes through UpstreamClient.get, which adds:
+// - per-endpoint TTL caching (the caller picks the TTL)
+// - coalescing, so identical requests in flight share one upstream call
+// - per-provider token-bucket rate limiting; a request that would queue for longer than its
+//   timeout fails at once with a RateLimitError instead
+// - retries with exponential backoff on 429/5xx and transient network errors
+class UpstreamClient {
+  static MAX_CACHE_ENTRIES = 1000;
+  static MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || '3');
+  static BASE_RETRY_DELAY_MS = 500;
+  static MAX_RETRY_DELAY_MS = 8000;
+
+  static cache = new Map();
+  static inflight = new Map();
+  static buckets = new Map();
+  static stats = new Map();
+
+  static bucketFor(provider) {
+    if (!this.buckets.has(provider)) {
+      this.buckets.set(provider, new TokenBucket(RATE_LIMITS[provider] || RATE_LIMITS.default));
+    }
+    return this.buckets.get(provider);
+  }
+
+  static statsFor(provider) {
+    if (!this.stats.has(provider)) {
+      this.stats.set(provider, { requests: 0, hits: 0, misses: 0, coalesced: 0, retries: 0, errors: 0, throttled: 0, rejected: 0 });
+    }
+    return this.stats.get(provider);
+  }
+
+  static cacheKey(url, params) {
+    return params ? `${url}?${JSON.stringify(params)}` : url;
+  }
+
+  static async get(url, { provider = 'default', ttl = 0, timeout = 5000, params, headers } = {}) {
+    const stats = this.statsFor(provider);
+    const key = this.cacheKey(url, params);
+    stats.requests++;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      stats.hits++;
+      return structuredClone(cached.value);
+    }
+
+    if (this.inflight.has(key)) {
+      stats.coalesced++;
+      return structuredClone(await this.inflight.get(key));
+    }
+
+    stats.misses++;
+    const request = this.fetchWithRetry(url, { provider, timeout, params, headers })
+      .then(data => {
+        if (ttl > 0) this.store(key, data, ttl);
+        return data;
+      })
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, request);
+    return structuredClone(await request);
+  }
+
+  static async fetchWithRetry(url, { provider, timeout, params, headers }) {
+    const stats = this.statsFor(provider);
+    const bucket = this.bucketFor(provider);
+
+    for (let attempt = 0; ; attempt++) {
+      let waitMs;
+      try {
+        waitMs = await bucket.acquire(timeout);
+      } catch (error) {
+        stats.rejected++;
+        throw new RateLimitError(`${provider} rate limit reached; retry in ${error.retryAfter}s`, error.retryAfter);
+      }
+      if (waitMs > 0) {
+        stats.throttled++;
+      }
+
+      try {
+        const response = await axios.get(url, { timeout, params, headers });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        const retryable = RETRY_STATUS_CODES.has(status) || (!error.response && RETRY_ERROR_CODES.has(error.code));
+
+        if (!retryable || attempt >= this.MAX_RETRIES) {
+          stats.errors++;
+          throw error;
+        }
+
+        stats.retries++;
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay(error, attempt)));
+      }
+    }
+  }
+
+  // Honours Retry-After when the upstream sends it, otherwise backs off exponentially with jitter
+  static retryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.MAX_RETRY_DELAY_MS);
+    }
+    const backoff = this.BASE_RETRY_DELAY_MS * Math.pow(2, attempt);
+    return Math.min(backoff + Math.random() * this.BASE_RETRY_DELAY_MS, this.MAX_RETRY_DELAY_MS);
+  }
+
+  static store(key, value, ttl) {
+    const now = Date.now();
+    if (this.cache.size >= this.MAX_CACHE_ENTRIES) {
+      for (const [cachedKey, entry] of this.cache) {
+        if (entry.expiresAt <= now) this.cache.delete(cachedKey);
+      }
+      // Still full: drop the oldest entries (Map iterates in insertion order)
+      while (this.cache.size >= this.MAX_CACHE_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    this.cache.set(key, { value, expiresAt: now + ttl });
+  }
+
+  static clearCache() {
+    this.cache.clear();
+  }
+
+  static getStats() {
+    const providers = {};
+    let hits = 0;
+    let lookups = 0;
+    for (const [provider, stats] of this.stats) {
+      const bucket = this.buckets.get(provider);
+      providers[provider] = {
+        ...stats,
+        hit_rate: stats.requests > 0 ? (stats.hits + stats.coalesced) / stats.requests : null,
+        available_tokens: bucket ? Math.max(0, Math.floor(bucket.tokens)) : null
+      };
+      hits += stats.hits + stats.coalesced;
+      lookups += stats.requests;
+    }
+    return {
+      cache_entries: this.cache.size,
+      inflight_requests: this.inflight.size,
+      hit_rate: lookups > 0 ? hits / lookups : null,
+      providers
+    };
+  }
+}
+
+// Cache lifetimes per endpoint type, in milliseconds
+const CACHE_TTL = {
+  price: 5000,
+  ticker: 10000,
+  depth: 2000,
+  candles: 30000,
+  coin: 60000,
+  global: 120000,
+  fearGreed: 300000,
+  fx: 3600000,
+  news: 300000
+};
+
+module.exports = {
+  UpstreamClient,
+  TokenBucket,
+  RateLimitError,
+  findRateLimit,
+  CACHE_TTL,
+  RATE_LIMITS
+};
@@ -1,16 +1,53 @@
 const express = require('express');
-const axios = require('axios');
 const moment = require('moment');
 const WebSocket = require("ws");
+const crypto = require('crypto');
+const { CoinGeckoDataProvider, MarketDataRouter, SUPPORTED_INTERVALS } = require('./lib/market-data');
+const { TechnicalIndicators, INDICATOR_DEFINITIONS } = require('./lib/indicators');
+const { CryptoGodEngine } = require('./lib/crypto-god-engine');
+const { BacktestEngine } = require('./lib/backtest');
+const { PredictionStrategies } = require('./lib/strategies');
+const { UpstreamClient, findRateLimit } = require('./lib/upstream');
+const { ResourceRegistry, ResourceSubscriptions } = require('./lib/resources');
+const { BinancePriceStream } = require('./lib/price-stream');
+const { AlertManager, ALERT_TYPES, ALERT_OPERATORS, LOCAL_OWNER } = require('./lib/alerts');
+const { PortfolioAnalyzer } = require('./lib/portfolio');
+const { GitHubClient, GitHubApiError } = require('./lib/github');
+const { ApiKeyAuth, canAccessService, canUse, parseOrigins } = require('./lib/auth');
+const { JSONRPC_ERRORS, JsonRpcError, jsonRpcErrorResponse, isValidJsonRpcId, ToolRegistry, processMCPMessage } = require('./lib/mcp');
+const { ServiceRegistry } = require('./lib/plugins');
+const { PromptRegistry } = require('./lib/prompts');
+const { HistoryStore, HISTORY_COLLECTIONS } = require('./lib/history');
+const { PredictionScorer } = require('./lib/prediction-scorer');
+const { OrderBookAnalyzer, ORDER_BOOK_VENUES } = require('./lib/order-book');
+const { ArbitrageScanner, ArbitrageMonitor, ARBITRAGE_VENUES } = require('./lib/arbitrage');
+const { symbolRegistry } = require('./lib/symbols');
+const { FxRates, CURRENCY_PATTERN, USD_QUOTE } = require('./lib/fx');
+const { TimeframeConfluence } = require('./lib/confluence');
+const { serveStdio } = require('./lib/stdio');
 
 const app = express();
 app.use(express.json());
 
-// Enable CORS for all origins
+const PORT = process.env.PORT || 4000;
+const WS_PORT = process.env.WS_PORT || 4001;
+
+// CORS: only origins in the CORS_ORIGINS allowlist (or any, with "*") get CORS headers
+const CORS_ORIGINS = parseOrigins();
+
+function isOriginAllowed(origin) {
+  return CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+}
+
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  const origin = req.get('Origin');
+  if (origin && isOriginAllowed(origin)) {
+    res.header('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Mcp-Session-Id');
+    res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id, Retry-After');
+  }
+  res.header('Vary', 'Origin');
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
@@ -18,546 +55,1681 @@ app.use((req, res, next) => {
   }
 });
 
-// Binance API Integration
-class BinanceDataProvider {
-  static baseURL = 'https://api.binance.com/api/v3';
-  
-  static async getCurrentPrice(symbol) {
-    try {
-      const binanceSymbol = `${symbol.toUpperCase()}USDT`;
-      const response = await axios.get(`${this.baseURL}/ticker/price?symbol=${binanceSymbol}`, { timeout: 5000 });
-      return parseFloat(response.data.price);
-    } catch (error) {
-      throw new Error(`Binance price fetch failed: ${error.message}`);
-    }
+// Authentication
+// Clients present an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Browser WebSocket and EventSource clients cannot set headers, so the WebSocket
+// handshake and GET /mcp/sse also accept ?api_key=<key>. Without any key configured, HTTP
+// and WebSocket clients are refused unless MCP_ALLOW_ANONYMOUS=true; stdio and the CLI
+// serve the local user and are not authenticated.
+const apiKeyAuth = new ApiKeyAuth();
+const NO_KEYS_MESSAGE = 'Authentication is not configured: set MCP_ADMIN_KEY (or MCP_ALLOW_ANONYMOUS=true for local development)';
+
+if (apiKeyAuth.anonymousPrincipal()) {
+  console.warn('⚠️ Authentication is disabled (MCP_ALLOW_ANONYMOUS): HTTP and WebSocket clients are anonymous and cannot use GitHub write tools');
+} else if (!apiKeyAuth.isEnabled()) {
+  console.warn('⚠️ No API keys configured: HTTP and WebSocket clients are refused until MCP_ADMIN_KEY is set');
+}
+
+function readApiKey(req, { allowQuery = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
   }
-  
-  static async get24hrStats(symbol) {
-    try {
-      const binanceSymbol = `${symbol.toUpperCase()}USDT`;
-      const response = await axios.get(`${this.baseURL}/ticker/24hr?symbol=${binanceSymbol}`, { timeout: 5000 });
-      return {
-        price: parseFloat(response.data.lastPrice),
-        change24h: parseFloat(response.data.priceChangePercent),
-        volume: parseFloat(response.data.volume),
-        high: parseFloat(response.data.highPrice),
-        low: parseFloat(response.data.lowPrice),
-        count: parseInt(response.data.count)
-      };
-    } catch (error) {
-      throw new Error(`Binance 24hr stats failed: ${error.message}`);
-    }
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
   }
-  
-  static mapCoinGeckoToBinance(coinGeckoSymbol) {
-    const mapping = {
-      'bitcoin': 'BTC',
-      'ethereum': 'ETH', 
-      'cardano': 'ADA',
-      'solana': 'SOL',
-      'binancecoin': 'BNB'
-    };
-    return mapping[coinGeckoSymbol] || coinGeckoSymbol.toUpperCase();
+  if (allowQuery) {
+    return new URL(req.url, 'http://localhost').searchParams.get('api_key');
   }
+  return null;
 }
 
+// Express middleware: resolves req.principal (the anonymous principal while authentication
+// is disabled), checks access to the requested service (req.mcpService, or the one given)
+// and charges the request against the key's quota
+function authenticate({ service, allowQuery = false } = {}) {
+  return (req, res, next) => {
+    const serviceName = service || req.mcpService?.name;
+    const requestId = req.body && !Array.isArray(req.body) ? req.body.id : null;
+    if (!apiKeyAuth.isEnabled()) {
+      req.principal = apiKeyAuth.anonymousPrincipal();
+      if (req.principal) return next();
+      return res.status(401).json(jsonRpcErrorResponse(requestId, new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, NO_KEYS_MESSAGE)));
+    }
 
-// Simplified Technical Analysis Engine
-class CryptoGodEngine {
-  
-  static async getMarketData(symbol) {
-    try {
-      const [priceData, historicalData, globalData] = await Promise.all([
-        axios.get(`https://api.coingecko.com/api/v3/coins/${symbol}?localization=false&tickers=true&market_data=true&community_data=true&developer_data=true&sparkline=true`),
-        axios.get(`https://api.coingecko.com/api/v3/coins/${symbol}/market_chart?vs_currency=usd&days=90`),
-        axios.get('https://api.coingecko.com/api/v3/global')
-      ]);
-
-      return {
-        coin: priceData.data,
-        historical: historicalData.data,
-        global: globalData.data
-      };
-    } catch (error) {
-      console.error('Market data fetch error:', error.message);
-      throw new Error(`Failed to fetch market data: ${error.message}`);
-    }
-  }
-
-  static calculateSimpleTechnicals(prices) {
-    const closePrices = prices.map(p => p[1]);
-    const length = closePrices.length;
-    
-    if (length < 20) return null;
-
-    // Simple Moving Averages
-    const sma_20 = this.calculateSMA(closePrices, 20);
-    const sma_50 = this.calculateSMA(closePrices, 50);
-    
-    // RSI Calculation (simplified)
-    const rsi = this.calculateRSI(closePrices, 14);
-    
-    // Bollinger Bands (simplified)
-    const bb = this.calculateBollingerBands(closePrices, 20, 2);
-    
-    // Support and Resistance
-    const supportResistance = this.calculateSupportResistance(closePrices);
-    
-    return {
-      sma_20: sma_20[sma_20.length - 1],
-      sma_50: sma_50[sma_50.length - 1],
-      rsi: rsi[rsi.length - 1],
-      bollinger_bands: bb[bb.length - 1],
-      support_resistance: supportResistance,
-      price_change_24h: ((closePrices[length - 1] - closePrices[length - 2]) / closePrices[length - 2]) * 100,
-      volatility: this.calculateVolatility(closePrices)
-    };
+    const principal = apiKeyAuth.authenticate(readApiKey(req, { allowQuery }));
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json(jsonRpcErrorResponse(requestId, new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, 'Missing or invalid API key')));
+    }
+    if (serviceName && !canAccessService(principal, serviceName)) {
+      return res.status(403).json(jsonRpcErrorResponse(requestId, new JsonRpcError(JSONRPC_ERRORS.FORBIDDEN, `API key is not allowed to use the ${serviceName} service`)));
+    }
+
+    const limited = apiKeyAuth.consume(principal, Array.isArray(req.body) ? Math.max(1, req.body.length) : 1);
+    if (limited) {
+      res.set('Retry-After', String(limited.retryAfter));
+      return res.status(429).json(jsonRpcErrorResponse(requestId, new JsonRpcError(JSONRPC_ERRORS.RATE_LIMITED, limited.reason, { retry_after: limited.retryAfter })));
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+const CRYPTO_SERVER_INFO = {
+  name: "crypto-god-analysis-server",
+  version: "3.1.0"
+};
+
+// Symbol arguments take anything the symbol registry resolves: tickers, ids, names with
+// spaces and pairs such as BTC/USDT. Unregistered symbols are interpolated into upstream
+// URLs, so those must be plain tickers (PLAIN_TICKER).
+const SYMBOL_PATTERN = '^[A-Za-z0-9][A-Za-z0-9 ()./_-]{0,63}$';
+const PLAIN_TICKER = /^[A-Za-z0-9][A-Za-z0-9-]{0,63}$/;
+
+const cryptoTools = new ToolRegistry();
+
+// Every symbol argument is resolved through the symbol registry, and the asset's ticker is
+// what providers, history and alerts are keyed by. Symbols the registry does not know are
+// passed through to the providers as tickers (registered: false), since the exchanges list
+// far more assets than the registry.
+function resolveSymbol(symbol, argument = 'symbol') {
+  const asset = symbolRegistry.resolve(symbol);
+  if (asset) return asset;
+  if (!PLAIN_TICKER.test(String(symbol).trim())) {
+    const suggestions = symbolRegistry.suggest(symbol);
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, unknownSymbolMessage(symbol, argument, suggestions), { suggestions });
   }
+  return { ticker: symbolRegistry.ticker(symbol), input: symbol, argument, registered: false };
+}
 
-  static calculateSMA(prices, period) {
-    const result = [];
-    for (let i = period - 1; i < prices.length; i++) {
-      const sum = prices.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
-      result.push(sum / period);
-    }
-    return result;
-  }
-
-  static calculateRSI(prices, period = 14) {
-    const changes = [];
-    for (let i = 1; i < prices.length; i++) {
-      changes.push(prices[i] - prices[i - 1]);
-    }
-
-    const result = [];
-    for (let i = period; i < changes.length; i++) {
-      const gains = changes.slice(i - period, i).filter(c => c > 0);
-      const losses = changes.slice(i - period, i).filter(c => c < 0).map(c => Math.abs(c));
-      
-      const avgGain = gains.length > 0 ? gains.reduce((a, b) => a + b, 0) / period : 0;
-      const avgLoss = losses.length > 0 ? losses.reduce((a, b) => a + b, 0) / period : 0;
-      
-      const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-      const rsi = 100 - (100 / (1 + rs));
-      result.push(rsi);
-    }
-    return result;
-  }
-
-  static calculateBollingerBands(prices, period = 20, multiplier = 2) {
-    const sma = this.calculateSMA(prices, period);
-    const result = [];
-    
-    for (let i = 0; i < sma.length; i++) {
-      const dataIndex = i + period - 1;
-      const subset = prices.slice(dataIndex - period + 1, dataIndex + 1);
-      const mean = sma[i];
-      const variance = subset.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / period;
-      const stdDev = Math.sqrt(variance);
-      
-      result.push({
-        upper: mean + (stdDev * multiplier),
-        middle: mean,
-        lower: mean - (stdDev * multiplier)
-      });
+function unknownSymbolMessage(input, argument, matches) {
+  return `Unknown ${argument}: ${input}${matches.length > 0 ? `; did you mean ${matches.map(s => s.ticker).join(', ')}?` : ''}`;
+}
+
+// Runs a provider request for resolved symbols. When it fails and a symbol was not in the
+// registry, the symbol is most likely a typo, so the failure becomes a caller error that
+// carries the closest registry matches. Rate-limit refusals say nothing about the symbol.
+async function withSymbolSuggestions(assets, request) {
+  try {
+    return await request();
+  } catch (error) {
+    const unregistered = [].concat(assets).filter(asset => asset.registered === false);
+    if (unregistered.length === 0 || error instanceof JsonRpcError || findRateLimit(error)) throw error;
+
+    const suggestions = [];
+    const unknown = unregistered.map(({ input, argument }) => {
+      const matches = symbolRegistry.suggest(input);
+      suggestions.push(...matches);
+      return unknownSymbolMessage(input, argument, matches);
+    });
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `${unknown.join('; ')} (${error.message})`, { suggestions });
+  }
+}
+
+// Unknown strategy names and malformed inline configs are caller errors
+function resolveStrategy(strategy) {
+  try {
+    return PredictionStrategies.resolve(strategy);
+  } catch (error) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message);
+  }
+}
+
+// Prices are fetched in US dollars and reported in the caller's vs_currency, converted at
+// the FX providers' rate (lib/fx.js)
+const VS_CURRENCY_SCHEMA = {
+  type: "string",
+  pattern: CURRENCY_PATTERN,
+  description: "Fiat currency to report prices in, e.g. USD, EUR, KWD (default USD)"
+};
+
+// An unsupported currency is a caller error; providers being unreachable is not
+async function quoteCurrency(currency) {
+  try {
+    return await FxRates.quote(currency);
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_CURRENCY') {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message);
     }
-    return result;
+    throw error;
+  }
+}
+
+// How a converted response reports its currency: the code, plus the rate used unless it is USD
+function describeCurrency(quote) {
+  return quote.provider
+    ? { currency: quote.currency, fx: { rate: quote.rate, provider: quote.provider, as_of: quote.as_of } }
+    : { currency: quote.currency };
+}
+
+// Latest god_analysis result per symbol, served as analysis://<symbol>/latest. Watchers
+// are the resource subscriptions waiting for the next snapshot of a symbol.
+const MAX_ANALYSIS_SNAPSHOTS = 100;
+const analysisSnapshots = new Map();
+const analysisWatchers = new Map();
+
+function recordAnalysisSnapshot(snapshot) {
+  // Re-inserting keeps the Map in least-recently-analysed order for eviction
+  analysisSnapshots.delete(snapshot.symbol);
+  analysisSnapshots.set(snapshot.symbol, snapshot);
+  if (analysisSnapshots.size > MAX_ANALYSIS_SNAPSHOTS) {
+    analysisSnapshots.delete(analysisSnapshots.keys().next().value);
+  }
+  for (const onUpdate of analysisWatchers.get(snapshot.symbol) || []) {
+    onUpdate();
+  }
+}
+
+// Historical Data (lib/history.js)
+// Analysis snapshots with their candles and predictions, Fear & Greed readings and market
+// overviews are recorded as they are computed; predictionScorer later scores each
+// prediction against the realised price move.
+const historyStore = new HistoryStore();
+const predictionScorer = new PredictionScorer(historyStore);
+
+// Recording is best effort: a full disk must not fail the request that produced the data
+function recordHistory(what, record) {
+  try {
+    record();
+  } catch (error) {
+    console.error(`🚨 Failed to record ${what} history:`, error.message);
   }
+}
 
-  static calculateVolatility(prices) {
-    const returns = [];
-    for (let i = 1; i < prices.length; i++) {
-      returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+// Builds the analysis from fetched inputs. Candles and the spot price are converted at
+// `quote.rate` first, so every price and indicator level is in the quoted currency; market
+// structure and fundamentals are scored on the US dollar figures, which keeps the
+// prediction the same in every currency. `timeframeCandles`, when present, holds the
+// candles of every timeframe for the multi-timeframe confluence.
+function buildGodAnalysis(symbol, { marketData, sentiment, fearGreed, predictionStrategy, interval, timeframeCandles }, quote) {
+  const convert = (candles) => quote.rate === 1 ? candles : FxRates.convertCandles(candles, quote.rate);
+  const candles = convert(marketData.historical.candles);
+  const technicals = CryptoGodEngine.calculateSimpleTechnicals(candles);
+  const confluence = timeframeCandles
+    ? TimeframeConfluence.analyze(timeframeCandles.frames.map(frame => ({ ...frame, candles: convert(frame.candles) })), timeframeCandles.unavailable)
+    : null;
+  const marketStructure = CryptoGodEngine.marketStructureAnalysis(marketData);
+  const elliottWave = CryptoGodEngine.analyzeElliottWave(candles);
+  const wyckoff = CryptoGodEngine.analyzeWyckoff(candles);
+  const prediction = CryptoGodEngine.generateGodPrediction(
+    technicals,
+    CryptoGodEngine.extractFundamentals(marketData),
+    sentiment,
+    marketStructure,
+    predictionStrategy,
+    { timeframe: confluence ? confluence.timeframes.join(',') : interval, confluence }
+  );
+
+  return {
+    symbol,
+    timestamp: moment().format(),
+    current_price: CryptoGodEngine.currentPrice(marketData) * quote.rate,
+    ...describeCurrency(quote),
+    data_provider: marketData.historical.provider,
+    interval,
+    candles_analyzed: candles.length,
+    market_analysis: {
+      technical_indicators: technicals || {},
+      elliott_wave: elliottWave,
+      wyckoff_analysis: wyckoff,
+      ...(confluence && { timeframe_confluence: confluence }),
+      market_structure: marketStructure,
+      sentiment_analysis: sentiment,
+      fear_greed_index: fearGreed,
+      god_prediction: prediction
+    },
+    trading_signals: {
+      entry_points: prediction.price_targets,
+      risk_management: {
+        stop_loss: prediction.price_targets.support,
+        take_profit: prediction.price_targets.resistance,
+        position_size: prediction.risk_level === 'HIGH' ? '1-2%' : '3-5%'
+      }
+    },
+    market_outlook: {
+      short_term: prediction.direction,
+      confidence: `${prediction.confidence.toFixed(1)}%`,
+      key_levels: confluence ? confluence.levels.zones : technicals?.support_resistance || []
     }
-    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-    const variance = returns.reduce((sum, ret) => sum + Math.pow(ret - mean, 2), 0) / returns.length;
-    return Math.sqrt(variance) * 100; // As percentage
+  };
+}
+
+// Snapshots and history are always recorded in US dollars; another vs_currency gets a
+// converted copy built from the same inputs. Passing timeframes switches to the
+// multi-timeframe mode, whose default strategy scores their confluence.
+async function runGodAnalysis({ symbol: requested, interval = '1d', limit = 90, headlines = [], strategy, timeframes, vs_currency: vsCurrency = 'USD' }) {
+  const asset = resolveSymbol(requested);
+  const symbol = asset.ticker;
+  if (timeframes && new Set(timeframes).size < 2) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'timeframes must name at least two different intervals');
   }
+  const predictionStrategy = resolveStrategy(strategy ?? (timeframes ? 'multi_timeframe' : 'default'));
+  const quote = await quoteCurrency(vsCurrency);
+  const marketData = await withSymbolSuggestions(asset, () => CryptoGodEngine.getMarketData(symbol, { interval, limit }));
+  const timeframeCandles = timeframes ? await TimeframeConfluence.collect(symbol, timeframes, { limit }) : undefined;
+  const sentiment = await CryptoGodEngine.getNewsSentiment(symbol, headlines);
+  const fearGreed = await CryptoGodEngine.getFearGreedIndex();
+  const inputs = { marketData, sentiment, fearGreed, predictionStrategy, interval, timeframeCandles };
+
+  const analysis = buildGodAnalysis(symbol, inputs, USD_QUOTE);
+  recordAnalysisSnapshot(analysis);
+  recordHistory('analysis', () => historyStore.recordAnalysis(analysis, { marketSymbol: symbol, candles: marketData.historical.candles }));
+  recordHistory('Fear & Greed', () => historyStore.recordFearGreed(fearGreed));
+  return quote.currency === 'USD' ? analysis : buildGodAnalysis(symbol, inputs, quote);
+}
 
-  static calculateSupportResistance(prices) {
-    const levels = [];
-    const lookback = 10;
-    
-    for (let i = lookback; i < prices.length - lookback; i++) {
-      const current = prices[i];
-      const isLocal = true;
-      
-      // Check if it's a local minimum (support)
-      for (let j = i - lookback; j <= i + lookback; j++) {
-        if (j !== i && prices[j] <= current) {
-          break;
-        }
-        if (j === i + lookback) {
-          levels.push({ type: 'support', price: current, strength: 'medium' });
+cryptoTools.register({
+  name: "god_analysis",
+  description: "Complete GOD-level cryptocurrency analysis with simplified but powerful indicators",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Cryptocurrency symbol (e.g., bitcoin, ethereum)", pattern: SYMBOL_PATTERN },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Candle interval (default 1d)" },
+      limit: { type: "integer", minimum: 50, maximum: 1000, description: "Number of candles to analyse per interval (default 90)" },
+      timeframes: {
+        type: "array",
+        minItems: 2,
+        maxItems: SUPPORTED_INTERVALS.length,
+        items: { type: "string", enum: SUPPORTED_INTERVALS },
+        description: "Multi-timeframe mode: also analyse these intervals (e.g. [\"15m\", \"1h\", \"4h\", \"1d\"]) and report where their trend, RSI regime and support/resistance agree, with a confluence score. The default strategy becomes multi_timeframe."
+      },
+      headlines: {
+        type: "array",
+        maxItems: 100,
+        items: { type: "string", maxLength: 500 },
+        description: "News headlines to score for sentiment (otherwise the configured news feed is used)"
+      },
+      strategy: {
+        type: ["string", "object"],
+        description: "Prediction strategy name (see list_strategies) or an inline config with weights, thresholds and params"
+      },
+      vs_currency: VS_CURRENCY_SCHEMA
+    },
+    required: ["symbol"]
+  },
+  handler: async (args) => runGodAnalysis(args)
+});
+
+const INDICATOR_PARAM_SCHEMA = {
+  period: { type: "integer", minimum: 1, maximum: 500, description: "Lookback period (sma, ema, rsi, bollinger, atr, stochastic %K, adx)" },
+  fast: { type: "integer", minimum: 1, maximum: 500, description: "MACD fast EMA period" },
+  slow: { type: "integer", minimum: 1, maximum: 500, description: "MACD slow EMA period" },
+  signal: { type: "integer", minimum: 1, maximum: 500, description: "MACD signal period or stochastic %D period" },
+  multiplier: { type: "number", exclusiveMinimum: 0, description: "Bollinger band standard deviation multiplier" },
+  smooth: { type: "integer", minimum: 1, maximum: 50, description: "Stochastic %K smoothing" },
+  conversion: { type: "integer", minimum: 1, maximum: 500, description: "Ichimoku conversion line (tenkan) period" },
+  base: { type: "integer", minimum: 1, maximum: 500, description: "Ichimoku base line (kijun) period" },
+  spanB: { type: "integer", minimum: 1, maximum: 500, description: "Ichimoku leading span B period" },
+  displacement: { type: "integer", minimum: 1, maximum: 500, description: "Ichimoku cloud displacement" }
+};
+
+cryptoTools.register({
+  name: "technical_indicators",
+  description: "Full indicator series (SMA, EMA, RSI, MACD, Bollinger, ATR, Stochastic, ADX, OBV, VWAP, Ichimoku) on OHLCV candles",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Cryptocurrency symbol (e.g., bitcoin, BTC)", pattern: SYMBOL_PATTERN },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Candle interval (default 1d)" },
+      limit: { type: "integer", minimum: 10, maximum: 1000, description: "Number of candles (default 200)" },
+      indicators: {
+        type: "array",
+        minItems: 1,
+        description: "Indicators to compute, each with optional parameter overrides",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", enum: Object.keys(INDICATOR_DEFINITIONS) },
+            ...INDICATOR_PARAM_SCHEMA
+          },
+          required: ["name"],
+          additionalProperties: false
         }
       }
-      
-      // Check if it's a local maximum (resistance)
-      for (let j = i - lookback; j <= i + lookback; j++) {
-        if (j !== i && prices[j] >= current) {
-          break;
-        }
-        if (j === i + lookback) {
-          levels.push({ type: 'resistance', price: current, strength: 'medium' });
-        }
+    },
+    required: ["symbol", "indicators"]
+  },
+  handler: async ({ symbol, interval = '1d', limit = 200, indicators }) => {
+    const asset = resolveSymbol(symbol);
+    const { candles, provider } = await withSymbolSuggestions(asset, () => MarketDataRouter.getOHLCV(asset.ticker, { interval, limit }));
+    const results = {};
+
+    for (const { name, ...overrides } of indicators) {
+      const definition = INDICATOR_DEFINITIONS[name];
+      const params = { ...definition.defaults, ...overrides };
+      const key = [name, ...Object.values(params)].join('_');
+
+      if (definition.requiresVolume && !TechnicalIndicators.hasVolume(candles)) {
+        results[key] = { name, params, series: null, note: `${provider} does not provide volume data` };
+        continue;
       }
+      results[key] = { name, params, series: definition.run(candles, params) };
     }
-    
-    return levels.slice(-10); // Return last 10 levels
-  }
-
-  static analyzeElliottWave(prices) {
-    const recentPrices = prices.slice(-20);
-    const changes = [];
-    
-    for (let i = 1; i < recentPrices.length; i++) {
-      changes.push((recentPrices[i][1] - recentPrices[i-1][1]) / recentPrices[i-1][1]);
-    }
-    
-    const upMoves = changes.filter(c => c > 0).length;
-    const downMoves = changes.filter(c => c < 0).length;
-    
-    let trend = 'unknown';
-    let confidence = Math.random() * 100;
-    
-    if (upMoves > downMoves * 1.5) {
-      trend = 'bullish_impulse';
-    } else if (downMoves > upMoves * 1.5) {
-      trend = 'bearish_impulse';
-    }
-    
+
     return {
-      trend,
-      waves: trend !== 'unknown' ? [`${trend} detected`] : [],
-      confidence
+      symbol: asset.ticker,
+      interval,
+      provider,
+      timestamp: moment().format(),
+      candle_count: candles.length,
+      timestamps: candles.map(c => c.timestamp),
+      indicators: results
     };
   }
+});
+
+cryptoTools.register({
+  name: "backtest",
+  description: "Replay historical candles through the god_analysis prediction pipeline and report trading performance",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Fetch candles for this symbol from the market data providers", pattern: SYMBOL_PATTERN },
+      candle_file: { type: "string", description: "Offline candle file (JSON or CSV) inside the backtest data directory", maxLength: 255 },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Candle interval (default 1d)" },
+      limit: { type: "integer", minimum: 60, maximum: 1000, description: "Candles to fetch when using symbol (default 500)" },
+      initial_capital: { type: "number", exclusiveMinimum: 0, description: "Starting equity (default 10000)" },
+      fee_rate: { type: "number", minimum: 0, maximum: 0.05, description: "Fee per fill as a fraction (default 0.001)" },
+      slippage_bps: { type: "number", minimum: 0, maximum: 500, description: "Adverse slippage per fill in basis points (default 5)" },
+      allow_short: { type: "boolean", description: "Open short positions on BEARISH calls (default true)" },
+      warmup: { type: "integer", minimum: 20, maximum: 500, description: "Candles used before the first signal (default 50)" },
+      horizon_bars: { type: "integer", minimum: 1, maximum: 100, description: "Bars ahead used to score prediction accuracy (default 5)" },
+      strategy: {
+        type: ["string", "object"],
+        description: "Prediction strategy name (see list_strategies) or an inline config with weights, thresholds and params (default technical_focus; fundamentals, sentiment and market structure are held neutral in a replay)"
+      }
+    },
+    required: []
+  },
+  handler: async (args) => {
+    if (!args.symbol === !args.candle_file) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'backtest requires exactly one of "symbol" or "candle_file"');
+    }
 
-  static analyzeWyckoff(prices, volume) {
-    const recentPrices = prices.slice(-20);
-    const priceRange = Math.max(...recentPrices.map(p => p[1])) - Math.min(...recentPrices.map(p => p[1]));
-    const avgPrice = recentPrices.reduce((sum, p) => sum + p[1], 0) / recentPrices.length;
-    
-    let phase = 'consolidation';
-    if (priceRange > avgPrice * 0.1) {
-      phase = 'markup_markdown';
-    } else if (priceRange < avgPrice * 0.02) {
-      phase = 'accumulation_distribution';
+    const interval = args.interval || '1d';
+    let candles;
+    let source;
+    if (args.candle_file) {
+      candles = BacktestEngine.loadDataFile(args.candle_file);
+      source = { type: 'file', file: args.candle_file };
+    } else {
+      const asset = resolveSymbol(args.symbol);
+      const history = await withSymbolSuggestions(asset, () => MarketDataRouter.getOHLCV(asset.ticker, { interval, limit: args.limit || 500 }));
+      candles = history.candles;
+      source = { type: 'provider', provider: history.provider, symbol: asset.ticker };
     }
-    
+
+    const report = BacktestEngine.run(candles, {
+      interval,
+      initialCapital: args.initial_capital,
+      feeRate: args.fee_rate,
+      slippageBps: args.slippage_bps,
+      allowShort: args.allow_short,
+      warmup: args.warmup,
+      horizonBars: args.horizon_bars,
+      strategy: args.strategy === undefined ? undefined : resolveStrategy(args.strategy)
+    });
+
+    return { source, timestamp: moment().format(), ...report };
+  }
+});
+
+cryptoTools.register({
+  name: "list_strategies",
+  description: "List registered prediction scoring strategies and the factors they can weight",
+  inputSchema: {
+    type: "object",
+    properties: {},
+    required: []
+  },
+  handler: async () => ({
+    strategies: PredictionStrategies.list(),
+    factors: PredictionStrategies.listFactors()
+  })
+});
+
+cryptoTools.register({
+  name: "fear_greed_index",
+  description: "Current market fear & greed index with interpretation",
+  inputSchema: {
+    type: "object",
+    properties: {},
+    required: []
+  },
+  handler: async () => {
+    const reading = await CryptoGodEngine.getFearGreedIndex();
+    recordHistory('Fear & Greed', () => historyStore.recordFearGreed(reading));
+    return reading;
+  }
+});
+
+async function getMarketOverview() {
+  const data = await CoinGeckoDataProvider.getGlobalData();
+  const overview = {
+    total_market_cap: data.total_market_cap.usd,
+    total_volume: data.total_volume.usd,
+    market_cap_change_24h: data.market_cap_change_percentage_24h_usd,
+    active_cryptocurrencies: data.active_cryptocurrencies,
+    markets: data.markets,
+    market_cap_percentage: data.market_cap_percentage,
+    provider: CoinGeckoDataProvider.id
+  };
+  recordHistory('market overview', () => historyStore.recordMarketOverview(overview));
+  return overview;
+}
+
+cryptoTools.register({
+  name: "market_overview",
+  description: "Global cryptocurrency market overview and top performers",
+  inputSchema: {
+    type: "object",
+    properties: {
+      vs_currency: VS_CURRENCY_SCHEMA
+    },
+    required: []
+  },
+  handler: async ({ vs_currency: vsCurrency = 'USD' }) => {
+    const quote = await quoteCurrency(vsCurrency);
+    const overview = await getMarketOverview();
     return {
-      phase,
-      volumeAnalysis: 'medium',
-      priceVolumeRelationship: 'neutral'
+      ...overview,
+      total_market_cap: overview.total_market_cap * quote.rate,
+      total_volume: overview.total_volume * quote.rate,
+      ...describeCurrency(quote)
     };
   }
+});
 
-  static marketStructureAnalysis(data) {
-    const price = data.coin.market_data.current_price.usd;
-    const marketCap = data.coin.market_data.market_cap.usd;
-    const volume = data.coin.market_data.total_volume.usd;
-    
+cryptoTools.register({
+  name: "quick_price",
+  description: "Quick price check for any cryptocurrency with automatic provider failover",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Cryptocurrency symbol", pattern: SYMBOL_PATTERN },
+      vs_currency: VS_CURRENCY_SCHEMA
+    },
+    required: ["symbol"]
+  },
+  handler: async ({ symbol, vs_currency: vsCurrency = 'USD' }) => {
+    const asset = resolveSymbol(symbol);
+    const quote = await quoteCurrency(vsCurrency);
+    const stats = await withSymbolSuggestions(asset, () => MarketDataRouter.get24hrStats(asset.ticker));
     return {
-      marketCapRank: data.coin.market_data.market_cap_rank,
-      liquidityScore: volume / marketCap,
-      volatilityRating: Math.abs(data.coin.market_data.price_change_percentage_24h) > 10 ? 'high' : 'normal',
-      institutionalInterest: marketCap > 1000000000 ? 'high' : 'medium',
-      retailSentiment: this.calculateSentiment(data.coin.sentiment_votes_up_percentage || 50)
+      symbol: asset.ticker,
+      price: stats.price * quote.rate,
+      change_24h: stats.change24h,
+      // Traded value in vs_currency; the volume in units of the asset is kept alongside
+      volume_24h: stats.quoteVolume * quote.rate,
+      volume_24h_base: stats.volume,
+      high_24h: stats.high * quote.rate,
+      low_24h: stats.low * quote.rate,
+      ...describeCurrency(quote),
+      provider: stats.provider,
+      timestamp: moment().format()
     };
   }
+});
+
+cryptoTools.register({
+  name: "resolve_symbol",
+  description: "Resolve a ticker, CoinGecko id, name, contract address or exchange pair (e.g. BTCUSDT, XBTUSD) to its canonical asset id, with the pair names and quote currencies on each exchange; unknown symbols return the closest matches",
+  inputSchema: {
+    type: "object",
+    properties: {
+      query: { type: "string", minLength: 1, maxLength: 200, description: "What to resolve, e.g. BTC, bitcoin, Shiba Inu or 0xdac17f958d2ee523a2206206994597c13d831ec7" }
+    },
+    required: ["query"]
+  },
+  handler: async ({ query }) => {
+    const match = symbolRegistry.lookup(query);
+    if (!match) {
+      return { query, resolved: false, suggestions: symbolRegistry.suggest(query) };
+    }
+    const { asset, ...how } = match;
+    return { query, resolved: true, ...how, asset: symbolRegistry.describe(asset) };
+  }
+});
 
-  static async getNewsSentiment(symbol) {
-    // Simplified sentiment analysis
-    const sentimentScore = (Math.random() - 0.5) * 2; // -1 to 1
+// A convert operand: a registry asset is priced by the market data providers; otherwise a
+// fiat code the FX providers quote, and failing that a ticker passed through to the
+// market data providers
+async function unitValueUSD(code, argument) {
+  const asset = resolveSymbol(code, argument);
+  if (asset.registered === false && new RegExp(CURRENCY_PATTERN).test(code)) {
+    try {
+      const quote = await FxRates.quote(code);
+      return { code: quote.currency, kind: 'fiat', usd_value: 1 / quote.rate, source: quote.provider, as_of: quote.as_of };
+    } catch (error) {
+      if (error.code !== 'UNSUPPORTED_CURRENCY') throw error;
+    }
+  }
+  const { price, provider } = await withSymbolSuggestions(asset, () => MarketDataRouter.getCurrentPrice(asset.ticker));
+  return { code: asset.ticker, kind: 'crypto', usd_value: price, source: provider };
+}
+
+cryptoTools.register({
+  name: "convert",
+  description: "Convert an amount between cryptocurrencies and fiat currencies (e.g. BTC to KWD, EUR to ETH, KWD to EUR) at current market and FX rates",
+  inputSchema: {
+    type: "object",
+    properties: {
+      amount: { type: "number", minimum: 0, description: "Amount of the from currency" },
+      from: { type: "string", description: "Cryptocurrency symbol or fiat currency code to convert from", pattern: SYMBOL_PATTERN },
+      to: { type: "string", description: "Cryptocurrency symbol or fiat currency code to convert to", pattern: SYMBOL_PATTERN }
+    },
+    required: ["amount", "from", "to"]
+  },
+  handler: async ({ amount, from, to }) => {
+    const [source, target] = await Promise.all([unitValueUSD(from, 'from'), unitValueUSD(to, 'to')]);
+    const rate = source.usd_value / target.usd_value;
     return {
-      overall_sentiment: sentimentScore > 0.3 ? 'bullish' : sentimentScore < -0.3 ? 'bearish' : 'neutral',
-      score: sentimentScore,
-      major_news: [
-        'Market sentiment remains mixed',
-        'Technical indicators show consolidation',
-        'Volume patterns suggest cautious optimism'
-      ]
+      amount,
+      from: source,
+      to: target,
+      rate,
+      result: amount * rate,
+      timestamp: moment().format()
+    };
+  }
+});
+
+cryptoTools.register({
+  name: "order_book_analysis",
+  description: "Order book depth and liquidity across exchanges: spread, depth within ±1% and ±2% of mid, bid/ask imbalance, slippage for a market order of a given size and large walls, per venue and aggregated",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Cryptocurrency symbol (e.g., BTC, ethereum)", pattern: SYMBOL_PATTERN },
+      venues: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: Object.keys(ORDER_BOOK_VENUES) },
+        description: "Exchanges to include (default: all)"
+      },
+      notional: { type: "number", exclusiveMinimum: 0, maximum: 1000000000, description: "Market order size in USD for the slippage estimates (default 100000)" },
+      wall_multiple: { type: "number", minimum: 2, maximum: 100, description: "A level is a wall when its size is at least this multiple of the median level nearby (default 5)" }
+    },
+    required: ["symbol"]
+  },
+  handler: async ({ symbol, venues, notional, wall_multiple: wallMultiple }) => {
+    const asset = resolveSymbol(symbol);
+    const analysis = await withSymbolSuggestions(asset, () => OrderBookAnalyzer.analyzeVenues(asset.ticker, {
+      venues: venues && [...new Set(venues)],
+      notional,
+      wallMultiple
+    }));
+    return { ...analysis, timestamp: moment().format() };
+  }
+});
+
+const ARBITRAGE_FEES_SCHEMA = {
+  type: "object",
+  properties: Object.fromEntries(Object.keys(ARBITRAGE_VENUES).map(venue => [
+    venue,
+    { type: "number", minimum: 0, maximum: 1000, description: `${venue} taker fee in basis points` }
+  ])),
+  additionalProperties: false,
+  description: "Taker fee overrides in basis points per venue, e.g. { \"binance\": 7.5 }"
+};
+
+cryptoTools.register({
+  name: "arbitrage_scan",
+  description: "Compare one asset's best bid and ask across exchanges and stablecoin quote pairs (USD, USDT, USDC, FDUSD) and rank buy-here/sell-there routes by spread net of taker fees",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Cryptocurrency symbol (e.g., BTC, ethereum)", pattern: SYMBOL_PATTERN },
+      venues: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: Object.keys(ARBITRAGE_VENUES) },
+        description: "Exchanges to include (default: all)"
+      },
+      fees_bps: ARBITRAGE_FEES_SCHEMA,
+      min_net_spread_bps: { type: "number", minimum: -10000, maximum: 10000, description: "Only report routes whose net spread exceeds this (default 0)" },
+      limit: { type: "integer", minimum: 1, maximum: 100, description: "Maximum opportunities returned (default 10)" }
+    },
+    required: ["symbol"]
+  },
+  handler: async ({ symbol, venues, fees_bps: fees, min_net_spread_bps: minNetSpreadBps, limit }) => {
+    const asset = resolveSymbol(symbol);
+    const scan = await withSymbolSuggestions(asset, () => ArbitrageScanner.scan(asset.ticker, {
+      venues: venues && [...new Set(venues)],
+      fees,
+      minNetSpreadBps,
+      limit
+    }));
+    return { ...scan, timestamp: moment().format() };
+  }
+});
+
+// Publishes divergences in the background; see the notification wiring below the transports
+const arbitrageMonitor = new ArbitrageMonitor();
+
+cryptoTools.register({
+  name: "arbitrage_monitor",
+  description: "Show, start, stop or reconfigure the background arbitrage scan, which notifies connected clients of routes whose net spread exceeds a threshold",
+  inputSchema: {
+    type: "object",
+    properties: {
+      action: { type: "string", enum: ["status", "start", "stop"], description: "What to do (default status); start also applies the settings below" },
+      symbols: {
+        type: "array",
+        minItems: 1,
+        maxItems: 25,
+        items: { type: "string", pattern: SYMBOL_PATTERN },
+        description: "Watchlist to scan"
+      },
+      threshold_bps: { type: "number", minimum: 0, maximum: 10000, description: "Net spread in basis points above which a divergence is published" },
+      interval_seconds: { type: "integer", minimum: 10, maximum: 86400, description: "Seconds between scans" }
+    },
+    required: []
+  },
+  handler: async ({ action = 'status', symbols, threshold_bps: thresholdBps, interval_seconds: intervalSeconds }) => {
+    if (action === 'stop') {
+      arbitrageMonitor.stop();
+    } else if (action === 'start') {
+      arbitrageMonitor.configure({
+        symbols: symbols && symbols.map(symbol => resolveSymbol(symbol, 'symbols entry').ticker),
+        thresholdBps,
+        checkIntervalMs: intervalSeconds !== undefined ? intervalSeconds * 1000 : undefined
+      });
+      if (arbitrageMonitor.symbols.length === 0) {
+        throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'symbols is required when no watchlist is configured');
+      }
+      arbitrageMonitor.start();
+    } else if (symbols !== undefined || thresholdBps !== undefined || intervalSeconds !== undefined) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Settings can only be changed with action "start"');
+    }
+    return arbitrageMonitor.getStatus();
+  }
+});
+
+cryptoTools.register({
+  name: "portfolio_analysis",
+  description: "Mark a portfolio to market and measure its risk: unrealized P&L, allocation, correlation matrix, volatility, historical VaR/CVaR and max drawdown",
+  inputSchema: {
+    type: "object",
+    properties: {
+      holdings: {
+        type: "array",
+        minItems: 1,
+        maxItems: 25,
+        description: "Positions held",
+        items: {
+          type: "object",
+          properties: {
+            symbol: { type: "string", description: "Cryptocurrency symbol", pattern: SYMBOL_PATTERN },
+            quantity: { type: "number", exclusiveMinimum: 0, description: "Units held" },
+            cost_basis: { type: "number", minimum: 0, description: "Average cost per unit in USD (omit if unknown)" }
+          },
+          required: ["symbol", "quantity"],
+          additionalProperties: false
+        }
+      },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Return interval for risk statistics (default 1d)" },
+      lookback: { type: "integer", minimum: 20, maximum: 999, description: "Number of returns in the risk window (default 90)" },
+      confidence: { type: "number", minimum: 0.5, maximum: 0.999, description: "VaR/CVaR confidence level (default 0.95)" }
+    },
+    required: ["holdings"]
+  },
+  handler: async ({ holdings, interval = '1d', lookback = 90, confidence = 0.95 }) => {
+    const assets = holdings.map(h => resolveSymbol(h.symbol, 'holdings symbol'));
+    const resolved = holdings.map((h, i) => ({ ...h, symbol: assets[i].ticker }));
+    const symbols = resolved.map(h => h.symbol);
+    if (new Set(symbols).size !== symbols.length) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, 'Each symbol may only appear once in holdings');
+    }
+
+    const analysis = await withSymbolSuggestions(assets, () => PortfolioAnalyzer.analyze(resolved, { interval, lookback, confidence }));
+    return {
+      ...analysis,
+      timestamp: moment().format()
     };
   }
+});
+
+// Alerts are checked in the background; see the notification wiring below the transports
+const alertManager = new AlertManager();
+
+// Alerts belong to the API key they were created with; local clients share LOCAL_OWNER
+function alertOwner(principal) {
+  return principal ? principal.id : LOCAL_OWNER;
+}
 
-  static async getFearGreedIndex() {
+cryptoTools.register({
+  name: "create_alert",
+  description: "Create a price, indicator or Fear & Greed alert that is checked in the background and notifies your connected clients when it fires",
+  inputSchema: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ALERT_TYPES, description: "What to watch: spot price, an indicator value or the Fear & Greed index" },
+      symbol: { type: "string", description: "Cryptocurrency symbol (required for price and indicator alerts)", pattern: SYMBOL_PATTERN },
+      indicator: { type: "string", enum: Object.keys(INDICATOR_DEFINITIONS), description: "Indicator to compute (indicator alerts)" },
+      params: {
+        type: "object",
+        properties: INDICATOR_PARAM_SCHEMA,
+        additionalProperties: false,
+        description: "Indicator parameter overrides, e.g. { \"period\": 14 }"
+      },
+      output: { type: "string", description: "Series to compare for multi-output indicators (e.g. histogram for macd, k for stochastic)" },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Candle interval for indicator alerts (default 1h)" },
+      operator: { type: "string", enum: ALERT_OPERATORS, description: "Comparison against the threshold; crossing operators fire when the value moves through it" },
+      threshold: { type: "number", description: "Threshold value" },
+      cooldown_minutes: { type: "integer", minimum: 0, maximum: 10080, description: "Minimum minutes between two firings (default 60)" },
+      label: { type: "string", maxLength: 200, description: "Optional name shown in notifications" }
+    },
+    required: ["type", "operator", "threshold"]
+  },
+  handler: async (args, context) => {
+    const asset = args.symbol && resolveSymbol(args.symbol);
+    // An alert on a ticker no provider prices would never fire
+    if (asset && asset.registered === false) {
+      await withSymbolSuggestions(asset, () => MarketDataRouter.getCurrentPrice(asset.ticker));
+    }
+    const symbol = asset && asset.ticker;
     try {
-      const response = await axios.get('https://api.alternative.me/fng/', { timeout: 5000 });
-      return response.data.data[0];
+      return alertManager.create({ ...args, symbol }, { owner: alertOwner(context.principal) });
     } catch (error) {
-      return { 
-        value: 50, 
-        value_classification: 'neutral',
-        timestamp: Math.floor(Date.now() / 1000)
-      };
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message);
     }
   }
+});
+
+cryptoTools.register({
+  name: "list_alerts",
+  description: "List your alerts with their condition, last observed value and trigger history",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Only list alerts for this symbol", pattern: SYMBOL_PATTERN }
+    },
+    required: []
+  },
+  handler: async ({ symbol }, context) => {
+    const alerts = alertManager.list({ symbol: symbol && resolveSymbol(symbol).ticker, owner: alertOwner(context.principal) });
+    return { alerts, ...alertManager.getStatus(), alert_count: alerts.length };
+  }
+});
+
+cryptoTools.register({
+  name: "delete_alert",
+  description: "Delete one of your alerts by id",
+  inputSchema: {
+    type: "object",
+    properties: {
+      id: { type: "string", description: "Alert id returned by create_alert" }
+    },
+    required: ["id"]
+  },
+  handler: async ({ id }, context) => {
+    if (!alertManager.delete(id, { owner: alertOwner(context.principal) })) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown alert: ${id}`);
+    }
+    return { deleted: id };
+  }
+});
 
-  static generateGodPrediction(technicals, fundamentals, sentiment, marketStructure) {
-    const weights = {
-      technical: 0.4,
-      fundamental: 0.3,
-      sentiment: 0.2,
-      market_structure: 0.1
+function parseTimeParam(value, name) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `${name} must be an ISO 8601 date or date-time`);
+  }
+  return time;
+}
+
+cryptoTools.register({
+  name: "get_prediction_history",
+  description: "Recorded god_analysis predictions with their scored outcomes and the resulting accuracy, overall and per direction",
+  inputSchema: {
+    type: "object",
+    properties: {
+      symbol: { type: "string", description: "Only predictions for this symbol", pattern: SYMBOL_PATTERN },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Only predictions made on this candle interval" },
+      strategy: { type: "string", description: "Only predictions made with this strategy" },
+      status: { type: "string", enum: ["pending", "scored", "expired"], description: "Only predictions in this state" },
+      since: { type: "string", description: "Made at or after this ISO 8601 date/time" },
+      until: { type: "string", description: "Made at or before this ISO 8601 date/time" },
+      limit: { type: "integer", minimum: 1, maximum: 500, description: "Predictions to return, newest first (default 50); the summary covers all matches" }
+    },
+    required: []
+  },
+  handler: async ({ symbol, interval, strategy, status, since, until, limit = 50 }) => {
+    const matches = historyStore.query('predictions', {
+      where: { symbol: symbol && resolveSymbol(symbol).ticker, interval, strategy, status },
+      since: parseTimeParam(since, 'since'),
+      until: parseTimeParam(until, 'until'),
+      limit: null
+    });
+    return {
+      summary: PredictionScorer.summarize(matches),
+      predictions: matches.slice(0, limit),
+      scoring: predictionScorer.getStatus(),
+      timestamp: moment().format()
     };
+  }
+});
 
-    // Technical Score
-    let technicalScore = 0.5;
-    if (technicals && technicals.rsi) {
-      technicalScore = technicals.rsi < 30 ? 0.8 : technicals.rsi > 70 ? 0.2 : 0.5;
+// Collections whose records belong to a symbol and candle interval
+const SYMBOL_COLLECTIONS = ['candles', 'analysis_snapshots', 'predictions'];
+
+cryptoTools.register({
+  name: "query_history",
+  description: "Query the local history store: recorded candles, analysis snapshots, predictions, Fear & Greed readings and market overviews",
+  inputSchema: {
+    type: "object",
+    properties: {
+      collection: { type: "string", enum: Object.keys(HISTORY_COLLECTIONS), description: "What to query" },
+      symbol: { type: "string", description: "Only records for this symbol (candles, analysis_snapshots, predictions)", pattern: SYMBOL_PATTERN },
+      interval: { type: "string", enum: SUPPORTED_INTERVALS, description: "Only records for this candle interval (candles, analysis_snapshots, predictions)" },
+      since: { type: "string", description: "At or after this ISO 8601 date/time (candle open time for candles, otherwise when recorded)" },
+      until: { type: "string", description: "At or before this ISO 8601 date/time" },
+      order: { type: "string", enum: ["asc", "desc"], description: "Sort by time (default desc, newest first)" },
+      limit: { type: "integer", minimum: 1, maximum: 1000, description: "Records to return (default 100)" }
+    },
+    required: ["collection"]
+  },
+  handler: async ({ collection, symbol, interval, since, until, order = 'desc', limit = 100 }) => {
+    if ((symbol || interval) && !SYMBOL_COLLECTIONS.includes(collection)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `${collection} records have no symbol or interval`);
     }
+    const records = historyStore.query(collection, {
+      where: { symbol: symbol && resolveSymbol(symbol).ticker, interval },
+      since: parseTimeParam(since, 'since'),
+      until: parseTimeParam(until, 'until'),
+      order,
+      limit
+    });
+    return { collection, count: records.length, records, timestamp: moment().format() };
+  }
+});
 
-    // Fundamental Score
-    const fundamentalScore = marketStructure.liquidityScore > 0.1 ? 0.7 : 0.4;
+// Live market resources (price://, ticker://) backed by the shared Binance ticker stream
+const priceStream = new BinancePriceStream();
+const cryptoResources = new ResourceRegistry();
+const resourceSubscriptions = new ResourceSubscriptions(cryptoResources);
 
-    // Sentiment Score
-    const sentimentScore = sentiment.score > 0 ? 0.7 : 0.3;
+const LISTED_RESOURCE_SYMBOLS = ['BTC', 'ETH', 'SOL', 'BNB', 'ADA'];
 
-    // Market Structure Score
-    const structureScore = marketStructure.institutionalInterest === 'high' ? 0.8 : 0.5;
+function parseResourceSymbol(uri, pattern) {
+  const match = pattern.exec(uri);
+  if (!match || !new RegExp(SYMBOL_PATTERN).test(match[1])) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Malformed resource URI: ${uri}`);
+  }
+  return resolveSymbol(match[1]).ticker;
+}
 
-    const finalScore = (
-      technicalScore * weights.technical +
-      fundamentalScore * weights.fundamental +
-      sentimentScore * weights.sentiment +
-      structureScore * weights.market_structure
-    );
+// Holds a stream subscription for one symbol and calls onUpdate on each tick; returns the release function
+function watchTicker(symbol, onUpdate) {
+  const ticker = priceStream.subscribe(symbol);
+  const listener = (updatedTicker) => {
+    if (updatedTicker === ticker) onUpdate();
+  };
+  priceStream.on('update', listener);
+  return () => {
+    priceStream.off('update', listener);
+    priceStream.unsubscribe(symbol);
+  };
+}
 
-    const prediction = {
-      direction: finalScore > 0.6 ? 'BULLISH' : finalScore < 0.4 ? 'BEARISH' : 'NEUTRAL',
-      confidence: Math.abs(finalScore - 0.5) * 200,
-      timeframe: '24h-7d',
-      price_targets: {
-        support: technicals?.bollinger_bands?.lower || 'N/A',
-        resistance: technicals?.bollinger_bands?.upper || 'N/A'
-      },
-      risk_level: finalScore > 0.7 || finalScore < 0.3 ? 'HIGH' : 'MEDIUM'
+const PRICE_URI = /^price:\/\/([^/]+)$/i;
+const TICKER_URI = /^ticker:\/\/([^/]+)\/24h$/i;
+
+cryptoResources.register({
+  scheme: 'price',
+  uriTemplate: 'price://{symbol}',
+  name: 'Spot price',
+  description: 'Latest USD spot price; subscribe for live updates from the Binance stream',
+  list: async () => LISTED_RESOURCE_SYMBOLS.map(symbol => ({
+    uri: `price://${symbol}`,
+    name: `${symbol} spot price`,
+    mimeType: 'application/json'
+  })),
+  read: async (uri) => {
+    const symbol = parseResourceSymbol(uri, PRICE_URI);
+    const live = priceStream.getLatest(symbol);
+    if (live) {
+      return { symbol, price: live.price, source: 'binance-stream', updated_at: live.event_time };
+    }
+    const { price, provider } = await MarketDataRouter.getCurrentPrice(symbol);
+    return { symbol, price, source: provider, updated_at: moment().format() };
+  },
+  subscribe: (uri, onUpdate) => watchTicker(parseResourceSymbol(uri, PRICE_URI), onUpdate)
+});
+
+cryptoResources.register({
+  scheme: 'ticker',
+  uriTemplate: 'ticker://{symbol}/24h',
+  name: '24h ticker',
+  description: 'Rolling 24h price change, high, low and volume; subscribe for live updates',
+  list: async () => LISTED_RESOURCE_SYMBOLS.map(symbol => ({
+    uri: `ticker://${symbol}/24h`,
+    name: `${symbol} 24h ticker`,
+    mimeType: 'application/json'
+  })),
+  read: async (uri) => {
+    const symbol = parseResourceSymbol(uri, TICKER_URI);
+    const live = priceStream.getLatest(symbol);
+    if (live) {
+      return { ...live, source: 'binance-stream' };
+    }
+    const { provider, ...stats } = await MarketDataRouter.get24hrStats(symbol);
+    return { symbol, ...stats, source: provider, event_time: moment().format() };
+  },
+  subscribe: (uri, onUpdate) => watchTicker(parseResourceSymbol(uri, TICKER_URI), onUpdate)
+});
+
+// Analysis context resources: the latest god_analysis snapshot per symbol, the global
+// market overview and the Fear & Greed history, readable without calling a tool
+const ANALYSIS_URI = /^analysis:\/\/([^/]+)\/latest$/i;
+const FEAR_GREED_URI = /^feargreed:\/\/history(?:\/(\d+))?$/i;
+const MAX_FEAR_GREED_DAYS = 365;
+
+cryptoResources.register({
+  scheme: 'analysis',
+  uriTemplate: 'analysis://{symbol}/latest',
+  name: 'Latest analysis',
+  description: 'Most recent god_analysis result for a symbol (runs a default 1d analysis if there is none yet); subscribe to be notified of new snapshots',
+  list: async () => Array.from(analysisSnapshots.values()).reverse().map(snapshot => ({
+    uri: `analysis://${snapshot.symbol}/latest`,
+    name: `${snapshot.symbol} analysis (${snapshot.interval}, ${snapshot.timestamp})`,
+    mimeType: 'application/json'
+  })),
+  read: async (uri) => {
+    const symbol = parseResourceSymbol(uri, ANALYSIS_URI);
+    return analysisSnapshots.get(symbol) || runGodAnalysis({ symbol });
+  },
+  subscribe: (uri, onUpdate) => {
+    const symbol = parseResourceSymbol(uri, ANALYSIS_URI);
+    if (!analysisWatchers.has(symbol)) analysisWatchers.set(symbol, new Set());
+    analysisWatchers.get(symbol).add(onUpdate);
+    return () => {
+      analysisWatchers.get(symbol).delete(onUpdate);
+      if (analysisWatchers.get(symbol).size === 0) analysisWatchers.delete(symbol);
     };
+  }
+});
 
-    return prediction;
+cryptoResources.register({
+  scheme: 'market',
+  uriTemplate: 'market://overview',
+  name: 'Market overview',
+  description: 'Global market capitalisation, volume and dominance',
+  list: async () => [{ uri: 'market://overview', name: 'Global market overview', mimeType: 'application/json' }],
+  read: async (uri) => {
+    if (uri.toLowerCase() !== 'market://overview') {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Malformed resource URI: ${uri}`);
+    }
+    return { ...await getMarketOverview(), timestamp: moment().format() };
   }
+});
+
+cryptoResources.register({
+  scheme: 'feargreed',
+  uriTemplate: 'feargreed://history/{days}',
+  name: 'Fear & Greed history',
+  description: `Daily Fear & Greed index values, newest first, with summary statistics (feargreed://history is the last 30 days; up to ${MAX_FEAR_GREED_DAYS})`,
+  list: async () => [7, 30, 90].map(days => ({
+    uri: `feargreed://history/${days}`,
+    name: `Fear & Greed index, last ${days} days`,
+    mimeType: 'application/json'
+  })),
+  read: async (uri) => {
+    const match = FEAR_GREED_URI.exec(uri);
+    const days = match ? parseInt(match[1] || '30') : NaN;
+    if (!(days >= 1 && days <= MAX_FEAR_GREED_DAYS)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Malformed resource URI: ${uri} (days must be 1-${MAX_FEAR_GREED_DAYS})`);
+    }
 
-  static calculateSentiment(upPercentage) {
-    return upPercentage > 60 ? 'bullish' : upPercentage < 40 ? 'bearish' : 'neutral';
+    const history = await CryptoGodEngine.getFearGreedHistory(days);
+    const values = history.map(entry => entry.value);
+    return {
+      days: history.length,
+      latest: history[0] || null,
+      average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+      min: values.length > 0 ? Math.min(...values) : null,
+      max: values.length > 0 ? Math.max(...values) : null,
+      change: values.length > 1 ? values[0] - values[values.length - 1] : null,
+      history
+    };
   }
+});
+
+// Prompt templates for common analysis workflows. Each one embeds the resources it needs
+// so the client gets current context along with the instructions.
+const cryptoPrompts = new PromptRegistry();
+const MAX_BRIEF_SYMBOLS = 10;
+
+function parsePromptSymbol(value, argument) {
+  const symbol = String(value).trim();
+  if (!new RegExp(SYMBOL_PATTERN).test(symbol)) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Invalid symbol in ${argument}: ${value}`);
+  }
+  return resolveSymbol(symbol, `symbol in ${argument}`).ticker;
 }
 
-// MCP Routes
-app.post('/mcp/crypto', async (req, res) => {
-  const { jsonrpc, id, method, params } = req.body;
+function parsePromptNumber(value, argument) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `${argument} must be a positive number`);
+  }
+  return number;
+}
 
+// A resource as an embedded prompt message; an unavailable resource becomes a note
+// pointing the model at the URI, so one failing upstream does not break the prompt
+async function embedResource(uri) {
   try {
-    let result = {};
-
-    switch (method) {
-      case 'initialize':
-        result = {
-          protocolVersion: "2024-11-05",
-          capabilities: {
-            tools: { listChanged: true }
-          },
-          serverInfo: {
-            name: "crypto-god-analysis-server",
-            version: "3.1.0"
-          }
-        };
-        break;
-
-      case 'tools/list':
-        result = {
-          tools: [
-            {
-              name: "god_analysis",
-              description: "Complete GOD-level cryptocurrency analysis with simplified but powerful indicators",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  symbol: { type: "string", description: "Cryptocurrency symbol (e.g., bitcoin, ethereum)" }
-                },
-                required: ["symbol"]
-              }
-            },
-            {
-              name: "fear_greed_index",
-              description: "Current market fear & greed index with interpretation",
-              inputSchema: {
-                type: "object",
-                properties: {},
-                required: []
-              }
-            },
-            {
-              name: "market_overview",
-              description: "Global cryptocurrency market overview and top performers",
-              inputSchema: {
-                type: "object",
-                properties: {},
-                required: []
-              }
-            },
-            {
-              name: "quick_price",
-              description: "Quick price check for any cryptocurrency",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  symbol: { type: "string", description: "Cryptocurrency symbol" }
-                },
-                required: ["symbol"]
-              }
-            }
-          ]
-        };
-        break;
-
-      case 'tools/call':
-        const toolName = params.name;
-        const toolParams = params.arguments || {};
-
-        if (toolName === 'god_analysis') {
-          const marketData = await CryptoGodEngine.getMarketData(toolParams.symbol);
-          const technicals = CryptoGodEngine.calculateSimpleTechnicals(marketData.historical.prices);
-          const sentiment = await CryptoGodEngine.getNewsSentiment(toolParams.symbol);
-          const marketStructure = CryptoGodEngine.marketStructureAnalysis(marketData);
-          const fearGreed = await CryptoGodEngine.getFearGreedIndex();
-          const elliottWave = CryptoGodEngine.analyzeElliottWave(marketData.historical.prices);
-          const wyckoff = CryptoGodEngine.analyzeWyckoff(marketData.historical.prices, []);
-          const prediction = CryptoGodEngine.generateGodPrediction(technicals, marketData, sentiment, marketStructure);
-
-          result = {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                symbol: toolParams.symbol.toUpperCase(),
-                timestamp: moment().format(),
-                current_price: marketData.coin.market_data.current_price.usd,
-                market_analysis: {
-                  technical_indicators: technicals || {},
-                  elliott_wave: elliottWave,
-                  wyckoff_analysis: wyckoff,
-                  market_structure: marketStructure,
-                  sentiment_analysis: sentiment,
-                  fear_greed_index: fearGreed,
-                  god_prediction: prediction
-                },
-                trading_signals: {
-                  entry_points: prediction.price_targets,
-                  risk_management: {
-                    stop_loss: prediction.price_targets.support,
-                    take_profit: prediction.price_targets.resistance,
-                    position_size: prediction.risk_level === 'HIGH' ? '1-2%' : '3-5%'
-                  }
-                },
-                market_outlook: {
-                  short_term: prediction.direction,
-                  confidence: `${prediction.confidence.toFixed(1)}%`,
-                  key_levels: technicals?.support_resistance || []
-                }
-              }, null, 2)
-            }]
-          };
-        } else if (toolName === 'fear_greed_index') {
-          const fearGreed = await CryptoGodEngine.getFearGreedIndex();
-          result = {
-            content: [{
-              type: "text",
-              text: JSON.stringify(fearGreed, null, 2)
-            }]
-          };
-        } else if (toolName === 'market_overview') {
-          const overview = await axios.get('https://api.coingecko.com/api/v3/global');
-          result = {
-            content: [{
-              type: "text", 
-              text: JSON.stringify({
-                total_market_cap: overview.data.data.total_market_cap.usd,
-                total_volume: overview.data.data.total_volume.usd,
-                market_cap_change_24h: overview.data.data.market_cap_change_percentage_24h_usd,
-                active_cryptocurrencies: overview.data.data.active_cryptocurrencies,
-                markets: overview.data.data.markets,
-                market_cap_percentage: overview.data.data.market_cap_percentage
-              }, null, 2)
-            }]
-          };
-        } else if (toolName === 'quick_price') {
-          const priceData = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=${toolParams.symbol}&vs_currencies=usd&include_24hr_change=true&include_market_cap=true&include_24hr_vol=true`);
-          result = {
-            content: [{
-              type: "text",
-              text: JSON.stringify(priceData.data, null, 2)
-            }]
-          };
-        }
-        break;
+    const { contents: [resource] } = await cryptoResources.read(uri);
+    return { role: 'user', content: { type: 'resource', resource } };
+  } catch (error) {
+    return { role: 'user', content: { type: 'text', text: `(${uri} is currently unavailable: ${error.message})` } };
+  }
+}
 
-      default:
-        throw new Error(`Unknown method: ${method}`);
+cryptoPrompts.register({
+  name: 'daily_market_brief',
+  description: 'Daily market brief for a list of symbols: market backdrop, sentiment and a per-symbol outlook',
+  arguments: [
+    { name: 'symbols', description: `Comma-separated symbols, e.g. "BTC,ETH,SOL" (up to ${MAX_BRIEF_SYMBOLS})`, required: true },
+    { name: 'audience', description: 'Who the brief is for, e.g. "long-term holders" or "day traders" (default: active traders)', required: false }
+  ],
+  get: async ({ symbols, audience = 'active traders' }) => {
+    const list = [...new Set(String(symbols).split(',').filter(symbol => symbol.trim()).map(symbol => parsePromptSymbol(symbol, 'symbols')))];
+    if (list.length === 0 || list.length > MAX_BRIEF_SYMBOLS) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `symbols must list between 1 and ${MAX_BRIEF_SYMBOLS} symbols`);
     }
 
-    res.json({ jsonrpc, id, result });
-  } catch (error) {
-    console.error('MCP Error:', error);
-    res.json({
-      jsonrpc,
-      id,
-      error: {
-        code: -32603,
-        message: error.message
+    // Existing snapshots are embedded; running a fresh analysis per symbol is left to the model
+    const snapshots = list.filter(symbol => analysisSnapshots.has(symbol));
+    const missing = list.filter(symbol => !analysisSnapshots.has(symbol));
+    const context = await Promise.all([
+      embedResource('market://overview'),
+      embedResource('feargreed://history/7'),
+      ...snapshots.map(symbol => embedResource(`analysis://${symbol}/latest`))
+    ]);
+
+    const instructions = [
+      `Write today's crypto market brief for ${audience}, covering ${list.join(', ')}.`,
+      '',
+      'Structure it as:',
+      '1. Market backdrop: total market cap and volume, 24h change and BTC dominance from the market overview.',
+      '2. Sentiment: the current Fear & Greed reading and how it moved over the last week.',
+      '3. One section per symbol: price, trend and prediction direction with its confidence, key support and resistance levels, and the main risk.',
+      '4. A short list of levels and events to watch today.',
+      '',
+      missing.length > 0
+        ? `There is no recent analysis for ${missing.join(', ')}: call the god_analysis tool for each of them before writing their sections.`
+        : 'Each symbol has an analysis snapshot attached; note its timestamp and call god_analysis again if it is older than a day.',
+      'Keep it under 400 words, state numbers with their units and do not present the predictions as financial advice.'
+    ].join('\n');
+
+    return {
+      description: `Daily market brief for ${list.join(', ')}`,
+      messages: [
+        ...context,
+        { role: 'user', content: { type: 'text', text: instructions } }
+      ]
+    };
+  }
+});
+
+cryptoPrompts.register({
+  name: 'position_risk_review',
+  description: 'Risk review of a single position against the latest analysis: stop placement, sizing and downside scenarios',
+  arguments: [
+    { name: 'symbol', description: 'Symbol of the position, e.g. "BTC"', required: true },
+    { name: 'quantity', description: 'Units held (negative values are not supported; describe shorts in notes)', required: true },
+    { name: 'entry_price', description: 'Average entry price in USD', required: false },
+    { name: 'stop_loss', description: 'Current stop-loss price in USD, if any', required: false },
+    { name: 'portfolio_value', description: 'Total portfolio value in USD, to judge position size', required: false },
+    { name: 'notes', description: 'Anything else about the position, e.g. time horizon', required: false }
+  ],
+  get: async ({ symbol, quantity, entry_price, stop_loss, portfolio_value, notes }) => {
+    const ticker = parsePromptSymbol(symbol, 'symbol');
+    const position = {
+      symbol: ticker,
+      quantity: parsePromptNumber(quantity, 'quantity'),
+      entry_price: parsePromptNumber(entry_price, 'entry_price'),
+      stop_loss: parsePromptNumber(stop_loss, 'stop_loss'),
+      portfolio_value: parsePromptNumber(portfolio_value, 'portfolio_value')
+    };
+
+    const instructions = [
+      `Review the risk of this ${ticker} position using the attached analysis:`,
+      JSON.stringify(position, null, 2),
+      notes ? `Notes from the holder: ${notes}` : null,
+      '',
+      'Cover:',
+      '1. Current value and unrealized P&L (if the entry price is known).',
+      '2. Whether the stop loss sits sensibly relative to the support levels, Bollinger bands and volatility in the analysis; suggest a level if there is none.',
+      '3. Position size as a share of the portfolio (if its value is known) against the suggested size in risk_management, and the loss at the stop.',
+      '4. Downside scenarios: what a move to support, and a 1-day historical VaR (call portfolio_analysis with this holding), would cost.',
+      '5. A clear verdict: hold, reduce or tighten the stop, with the reasons.',
+      '',
+      'Be specific with numbers and flag any input that looks inconsistent. This is risk analysis, not financial advice.'
+    ].filter(line => line !== null).join('\n');
+
+    return {
+      description: `Risk review of a ${ticker} position`,
+      messages: [
+        await embedResource(`analysis://${ticker}/latest`),
+        { role: 'user', content: { type: 'text', text: instructions } }
+      ]
+    };
+  }
+});
+
+// Crypto MCP Service
+const cryptoService = {
+  name: 'crypto',
+  description: 'Cryptocurrency GOD analysis with simplified but powerful indicators',
+  info: CRYPTO_SERVER_INFO,
+  tools: cryptoTools,
+  resources: cryptoResources,
+  subscriptions: resourceSubscriptions,
+  prompts: cryptoPrompts
+};
+
+// MCP Session Management
+// Sessions are shared by the SSE transport (GET /mcp/<service>/sse) and the
+// Streamable HTTP transport (POST/GET/DELETE /mcp/<service>); each one is bound to
+// the service it was opened on.
+const mcpSessions = new Map();
+const SSE_KEEPALIVE_MS = 30000;
+const MCP_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+function createMCPSession(service, transport, principal = null) {
+  const session = {
+    id: crypto.randomUUID(),
+    service,
+    transport,
+    principal,
+    createdAt: moment().format(),
+    lastActivity: Date.now(),
+    stream: null,
+    keepAlive: null
+  };
+  mcpSessions.set(session.id, session);
+  return session;
+}
+
+function writeSSEEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+function attachSSEStream(session, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Mcp-Session-Id': session.id
+  });
+  res.flushHeaders();
+
+  session.stream = res;
+  // SSE comments keep proxies from closing idle connections without emitting events
+  session.keepAlive = setInterval(() => res.write(': ping\n\n'), SSE_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    console.log(`🔌 SSE Client disconnected (session ${session.id})`);
+    closeMCPSession(session.id);
+  });
+
+  req.on('error', (err) => {
+    console.error('🚨 SSE Error:', err);
+    closeMCPSession(session.id);
+  });
+}
+
+// Notifications for a session go to its open event stream, if it has one
+function sessionContext(session) {
+  return {
+    principal: session.principal,
+    clientId: session.id,
+    notify: (message) => {
+      if (session.stream && !session.stream.writableEnded) {
+        writeSSEEvent(session.stream, 'message', message);
       }
-    });
+    }
+  };
+}
+
+// Sessions belong to the API key that created them
+function ownsSession(req, session) {
+  return !session.principal || session.principal.id === req.principal?.id;
+}
+
+function closeMCPSession(sessionId) {
+  const session = mcpSessions.get(sessionId);
+  if (!session) return false;
+
+  clearInterval(session.keepAlive);
+  if (session.stream && !session.stream.writableEnded) {
+    session.stream.end();
+  }
+  mcpSessions.delete(sessionId);
+  session.service.subscriptions?.removeClient(sessionId);
+  return true;
+}
+
+// Streamable HTTP clients may never send DELETE; expire sessions without an open stream
+setInterval(() => {
+  const cutoff = Date.now() - MCP_SESSION_IDLE_MS;
+  for (const session of mcpSessions.values()) {
+    if (!session.stream && session.lastActivity < cutoff) {
+      closeMCPSession(session.id);
+    }
+  }
+}, 60000).unref();
+
+// GitHub MCP Service
+// Tools call the GitHub REST API through GitHubClient (lib/github.js). Read tools work
+// anonymously for public data; tools that write need GITHUB_TOKEN.
+const GITHUB_SERVER_INFO = {
+  name: "github-mcp-server",
+  version: "2.0.0"
+};
+
+const GITHUB_OWNER_PATTERN = '^[A-Za-z0-9][A-Za-z0-9-]{0,38}$';
+const GITHUB_REPO_PATTERN = '^[A-Za-z0-9._-]{1,100}$';
+
+const githubTools = new ToolRegistry();
+const githubService = {
+  name: 'github',
+  description: 'GitHub repositories, issues, pull requests, file contents and search (set GITHUB_TOKEN for write access)',
+  info: GITHUB_SERVER_INFO,
+  tools: githubTools
+};
+
+function toGitHubRpcError(error) {
+  if (!(error instanceof GitHubApiError)) return error;
+
+  const { rateLimited, ...details } = error.details;
+  const data = { status: error.status, ...details };
+  if (error.rateLimited) {
+    return new JsonRpcError(JSONRPC_ERRORS.RATE_LIMITED, error.message, data);
   }
+  if (error.status === 401 || error.status === 403) {
+    return new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, error.message, data);
+  }
+  if ([400, 404, 409, 422].includes(error.status)) {
+    return new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, error.message, data);
+  }
+  return new JsonRpcError(JSONRPC_ERRORS.INTERNAL_ERROR, error.message, data);
+}
+
+// Tools marked `writes` act with the server's GITHUB_TOKEN, so anonymous clients of a
+// server without API keys may not call them
+function registerGitHubTool({ writes = false, ...tool }) {
+  githubTools.register({
+    ...tool,
+    handler: async (args, context) => {
+      if (writes && context.principal?.anonymous) {
+        throw new JsonRpcError(JSONRPC_ERRORS.FORBIDDEN, `${tool.name} requires an API key: GitHub write tools are not available to anonymous clients`);
+      }
+      try {
+        return await tool.handler(args);
+      } catch (error) {
+        throw toGitHubRpcError(error);
+      }
+    }
+  });
+}
+
+const REPO_PROPERTIES = {
+  owner: { type: "string", description: "Repository owner (user or organization)", pattern: GITHUB_OWNER_PATTERN },
+  repo: { type: "string", description: "Repository name", pattern: GITHUB_REPO_PATTERN }
+};
+
+const PAGINATION_PROPERTIES = {
+  per_page: { type: "integer", minimum: 1, maximum: 100, description: "Results per page (default 30)" },
+  page: { type: "integer", minimum: 1, description: "Page number (default 1)" }
+};
+
+registerGitHubTool({
+  name: "create_repository",
+  writes: true,
+  description: "Create a new GitHub repository for the authenticated user or an organization",
+  inputSchema: {
+    type: "object",
+    properties: {
+      name: { type: "string", description: "Repository name", pattern: GITHUB_REPO_PATTERN },
+      description: { type: "string", description: "Repository description" },
+      private: { type: "boolean", description: "Create a private repository (default false)" },
+      auto_init: { type: "boolean", description: "Create an initial commit with an empty README (default false)" },
+      org: { type: "string", description: "Create the repository in this organization instead", pattern: GITHUB_OWNER_PATTERN }
+    },
+    required: ["name"]
+  },
+  handler: async (args) => GitHubClient.createRepository(args)
 });
 
-// GitHub MCP Simulation
-app.post('/mcp/github', async (req, res) => {
-  const { jsonrpc, id, method } = req.body;
-  
-  try {
-    let result = {};
-    
-    if (method === 'tools/list') {
-      result = {
-        tools: [
-          {
-            name: "create_repository",
-            description: "Create a new GitHub repository",
-            inputSchema: {
-              type: "object",
-              properties: {
-                name: { type: "string", description: "Repository name" },
-                description: { type: "string", description: "Repository description" }
-              },
-              required: ["name"]
-            }
-          },
-          {
-            name: "list_repositories",
-            description: "List user repositories",
-            inputSchema: {
-              type: "object",
-              properties: {},
-              required: []
-            }
-          }
-        ]
-      };
-    } else if (method === 'initialize') {
-      result = {
-        protocolVersion: "2024-11-05",
-        capabilities: {
-          tools: { listChanged: true }
-        },
-        serverInfo: {
-          name: "github-mcp-server",
-          version: "1.0.0"
-        }
-      };
+registerGitHubTool({
+  name: "list_repositories",
+  description: "List repositories of the authenticated user, or the public repositories of another user",
+  inputSchema: {
+    type: "object",
+    properties: {
+      owner: { type: "string", description: "List this user's public repositories instead of your own", pattern: GITHUB_OWNER_PATTERN },
+      type: { type: "string", enum: ["all", "owner", "public", "private", "member"], description: "Repository type filter" },
+      sort: { type: "string", enum: ["created", "updated", "pushed", "full_name"], description: "Sort field" },
+      ...PAGINATION_PROPERTIES
+    },
+    required: []
+  },
+  handler: async (args) => ({ repositories: await GitHubClient.listRepositories(args) })
+});
+
+registerGitHubTool({
+  name: "get_repository",
+  description: "Get details of a repository",
+  inputSchema: {
+    type: "object",
+    properties: { ...REPO_PROPERTIES },
+    required: ["owner", "repo"]
+  },
+  handler: async (args) => GitHubClient.getRepository(args)
+});
+
+registerGitHubTool({
+  name: "list_issues",
+  description: "List issues in a repository (pull requests excluded)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      state: { type: "string", enum: ["open", "closed", "all"], description: "Issue state (default open)" },
+      labels: { type: "array", items: { type: "string" }, description: "Only issues with all of these labels" },
+      ...PAGINATION_PROPERTIES
+    },
+    required: ["owner", "repo"]
+  },
+  handler: async (args) => ({ issues: await GitHubClient.listIssues(args) })
+});
+
+registerGitHubTool({
+  name: "get_issue",
+  description: "Get a single issue",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      issue_number: { type: "integer", minimum: 1, description: "Issue number" }
+    },
+    required: ["owner", "repo", "issue_number"]
+  },
+  handler: async (args) => GitHubClient.getIssue(args)
+});
+
+registerGitHubTool({
+  name: "create_issue",
+  writes: true,
+  description: "Open a new issue",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      title: { type: "string", minLength: 1, description: "Issue title" },
+      body: { type: "string", description: "Issue body (Markdown)" },
+      labels: { type: "array", items: { type: "string" }, description: "Labels to apply" },
+      assignees: { type: "array", items: { type: "string", pattern: GITHUB_OWNER_PATTERN }, description: "Users to assign" }
+    },
+    required: ["owner", "repo", "title"]
+  },
+  handler: async (args) => GitHubClient.createIssue(args)
+});
+
+registerGitHubTool({
+  name: "add_issue_comment",
+  writes: true,
+  description: "Comment on an issue or pull request",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      issue_number: { type: "integer", minimum: 1, description: "Issue or pull request number" },
+      body: { type: "string", minLength: 1, description: "Comment body (Markdown)" }
+    },
+    required: ["owner", "repo", "issue_number", "body"]
+  },
+  handler: async (args) => GitHubClient.addIssueComment(args)
+});
+
+registerGitHubTool({
+  name: "list_pull_requests",
+  description: "List pull requests in a repository",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      state: { type: "string", enum: ["open", "closed", "all"], description: "Pull request state (default open)" },
+      base: { type: "string", description: "Filter by base branch" },
+      head: { type: "string", description: "Filter by head, as user:branch" },
+      ...PAGINATION_PROPERTIES
+    },
+    required: ["owner", "repo"]
+  },
+  handler: async (args) => ({ pull_requests: await GitHubClient.listPullRequests(args) })
+});
+
+registerGitHubTool({
+  name: "get_pull_request",
+  description: "Get a single pull request with its merge status and diff size",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      pull_number: { type: "integer", minimum: 1, description: "Pull request number" }
+    },
+    required: ["owner", "repo", "pull_number"]
+  },
+  handler: async (args) => GitHubClient.getPullRequest(args)
+});
+
+registerGitHubTool({
+  name: "create_pull_request",
+  writes: true,
+  description: "Open a pull request",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      title: { type: "string", minLength: 1, description: "Pull request title" },
+      head: { type: "string", minLength: 1, description: "Branch with the changes (user:branch for forks)" },
+      base: { type: "string", minLength: 1, description: "Branch to merge into" },
+      body: { type: "string", description: "Pull request description (Markdown)" },
+      draft: { type: "boolean", description: "Open as a draft (default false)" }
+    },
+    required: ["owner", "repo", "title", "head", "base"]
+  },
+  handler: async (args) => GitHubClient.createPullRequest(args)
+});
+
+registerGitHubTool({
+  name: "get_file_contents",
+  description: "Read a file (decoded as UTF-8) or list a directory in a repository",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      path: { type: "string", maxLength: 1024, description: "Path inside the repository (default: repository root)" },
+      ref: { type: "string", description: "Branch, tag or commit (default: the default branch)" }
+    },
+    required: ["owner", "repo"]
+  },
+  handler: async (args) => GitHubClient.getFileContents(args)
+});
+
+registerGitHubTool({
+  name: "create_or_update_file",
+  writes: true,
+  description: "Create or update a file with a commit; updating requires the current blob sha from get_file_contents",
+  inputSchema: {
+    type: "object",
+    properties: {
+      ...REPO_PROPERTIES,
+      path: { type: "string", minLength: 1, maxLength: 1024, description: "Path inside the repository" },
+      content: { type: "string", description: "New file content (UTF-8 text)" },
+      message: { type: "string", minLength: 1, description: "Commit message" },
+      branch: { type: "string", description: "Branch to commit to (default: the default branch)" },
+      sha: { type: "string", description: "Blob sha of the file being replaced" }
+    },
+    required: ["owner", "repo", "path", "content", "message"]
+  },
+  handler: async (args) => GitHubClient.createOrUpdateFile(args)
+});
+
+const SEARCH_KINDS = {
+  search_repositories: { kind: 'repositories', description: "Search repositories", sorts: ["stars", "forks", "help-wanted-issues", "updated"] },
+  search_issues: { kind: 'issues', description: "Search issues and pull requests", sorts: ["comments", "reactions", "created", "updated"] },
+  search_code: { kind: 'code', description: "Search code (requires GITHUB_TOKEN)", sorts: ["indexed"] }
+};
+
+for (const [name, { kind, description, sorts }] of Object.entries(SEARCH_KINDS)) {
+  registerGitHubTool({
+    name,
+    description: `${description} using GitHub search syntax`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", minLength: 1, maxLength: 256, description: "Search query, e.g. \"language:javascript stars:>100\"" },
+        sort: { type: "string", enum: sorts, description: "Sort field (default: best match)" },
+        order: { type: "string", enum: ["asc", "desc"], description: "Sort order (default desc)" },
+        ...PAGINATION_PROPERTIES
+      },
+      required: ["query"]
+    },
+    handler: async (args) => GitHubClient.search(kind, args)
+  });
+}
+
+// Service Registry
+// The built-in services are registered first; plugins from PLUGINS_DIR and PLUGINS_CONFIG
+// (see lib/plugins.js) are mounted alongside them on every transport.
+const services = new ServiceRegistry();
+services.register(cryptoService);
+services.register(githubService);
+
+for (const plugin of services.loadConfigured()) {
+  console.log(`🧩 Loaded plugin service ${plugin.name} (${plugin.source}) with ${plugin.tools.list().length} tools`);
+}
+
+function resolveService(req, res, next) {
+  req.mcpService = services.get(req.params.service);
+  if (!req.mcpService) {
+    return res.status(404).json({ error: `Unknown service: ${req.params.service}` });
+  }
+  next();
+}
+
+function describeService(service) {
+  return {
+    name: service.name,
+    description: service.description,
+    source: service.source,
+    version: service.info.version,
+    tools: service.tools.list().length,
+    resources: Boolean(service.resources),
+    prompts: Boolean(service.prompts),
+    endpoints: {
+      streamable_http: `/mcp/${service.name}`,
+      sse: `/mcp/${service.name}/sse`,
+      websocket: `/mcp/${service.name}`
     }
-    
-    res.json({ jsonrpc, id, result });
-  } catch (error) {
-    res.json({ jsonrpc, id, error: { code: -32603, message: error.message } });
+  };
+}
+
+// MCP Server-Sent Events Transport
+// GET opens the event stream and announces a session-specific message endpoint;
+// JSON-RPC requests are POSTed to that endpoint and answered on the stream.
+// GET /mcp/sse is kept as the crypto service's stream for existing clients.
+function openSSESession(req, res) {
+  const session = createMCPSession(req.mcpService, 'sse', req.principal);
+  console.log(`🔗 SSE Client connected (session ${session.id}, ${req.mcpService.name})`);
+
+  attachSSEStream(session, req, res);
+  writeSSEEvent(res, 'endpoint', `/mcp/sse/messages?sessionId=${session.id}`);
+}
+
+app.get('/mcp/sse', (req, res, next) => {
+  req.mcpService = cryptoService;
+  next();
+}, authenticate({ allowQuery: true }), openSSESession);
+
+app.get('/mcp/:service/sse', resolveService, authenticate({ allowQuery: true }), openSSESession);
+
+// Only the key that opened a session can post to it, so service access was already checked
+app.post('/mcp/sse/messages', authenticate(), async (req, res) => {
+  const session = mcpSessions.get(req.query.sessionId);
+
+  if (!session || !session.stream || !ownsSession(req, session)) {
+    return res.status(404).json({ error: `Unknown session: ${req.query.sessionId}` });
+  }
+
+  res.status(202).send('Accepted');
+
+  const response = await processMCPMessage(session.service, req.body, sessionContext(session));
+  if (response === null) return;
+
+  // The client may have disconnected while the request was running
+  if (mcpSessions.has(session.id)) {
+    writeSSEEvent(session.stream, 'message', response);
+  }
+});
+
+// MCP Routes (Streamable HTTP transport)
+app.post('/mcp/:service', resolveService, authenticate(), async (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+
+  if (sessionId && (!mcpSessions.has(sessionId) || !ownsSession(req, mcpSessions.get(sessionId)) || mcpSessions.get(sessionId).service !== req.mcpService)) {
+    return res.status(404).json(jsonRpcErrorResponse(req.body?.id, new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, `Unknown session: ${sessionId}`)));
+  }
+  if (sessionId) {
+    mcpSessions.get(sessionId).lastActivity = Date.now();
+  }
+
+  const context = sessionId ? sessionContext(mcpSessions.get(sessionId)) : { principal: req.principal };
+  const response = await processMCPMessage(req.mcpService, req.body, context);
+  if (response === null) {
+    // Only notifications or responses were sent
+    return res.sendStatus(202);
+  }
+  if (req.body.method === 'initialize' && !sessionId && !response.error) {
+    res.set('Mcp-Session-Id', createMCPSession(req.mcpService, 'streamable-http', req.principal).id);
+  }
+  res.json(response);
+});
+
+// Optional server-to-client stream for an existing Streamable HTTP session
+app.get('/mcp/:service', resolveService, authenticate(), (req, res) => {
+  const session = mcpSessions.get(req.get('Mcp-Session-Id'));
+
+  if (!session || !ownsSession(req, session) || session.service !== req.mcpService) {
+    return res.status(400).json({ error: 'Missing or unknown Mcp-Session-Id header' });
+  }
+  if (session.stream) {
+    return res.status(409).json({ error: 'Session already has an open stream' });
   }
+
+  attachSSEStream(session, req, res);
+});
+
+app.delete('/mcp/:service', resolveService, authenticate(), (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+  const session = mcpSessions.get(sessionId);
+
+  if (!session || !ownsSession(req, session) || session.service !== req.mcpService || !closeMCPSession(sessionId)) {
+    return res.status(404).json({ error: `Unknown session: ${sessionId}` });
+  }
+  res.sendStatus(204);
 });
 
 // Health check and service discovery
@@ -566,7 +1738,7 @@ app.get('/', (req, res) => {
     name: "MCP Global Intelligence Gateway",
     version: "3.1.0",
     status: "operational",
-    services: ["crypto", "github"],
+    services: services.list().map(service => service.name),
     uptime: process.uptime(),
     timestamp: moment().format(),
     deployment: "Railway Production Ready"
@@ -575,29 +1747,107 @@ app.get('/', (req, res) => {
 
 app.get('/services', (req, res) => {
   res.json({
-    available_services: ["crypto", "github"],
+    available_services: services.list().map(service => service.name),
+    services: services.list().map(describeService),
     usage: {
-      crypto: "POST /mcp/crypto - Cryptocurrency GOD analysis with simplified but powerful indicators",
-      github: "POST /mcp/github - GitHub repository management (simulation)"
+      streamable_http: "POST /mcp/<service> - MCP Streamable HTTP; GET opens the session's event stream, DELETE ends it",
+      sse: "GET /mcp/<service>/sse (GET /mcp/sse for crypto) - MCP SSE transport; JSON-RPC requests go to the announced /mcp/sse/messages endpoint",
+      websocket: `ws://<host>:${WS_PORT}/mcp/<service> - MCP over WebSocket (the root path serves crypto)`,
+      admin: "GET/POST /admin/keys, DELETE /admin/keys/:id - API key management; GET /admin/health - full gateway status (admin scope)"
     },
     status: "All systems operational",
     technical_stack: "Express.js + Axios + Moment.js (Railway Optimized)"
   });
 });
 
+// Liveness and market data provider status for load balancers and uptime checks; it needs
+// no key, so configuration stays on /admin/health
 app.get('/health', (req, res) => {
-  res.json({ 
+  res.json({
+    status: 'healthy',
+    version: '3.1.0',
+    uptime: process.uptime(),
+    market_data_providers: MarketDataRouter.getHealth(),
+    timestamp: moment().format()
+  });
+});
+
+// Admin Endpoints
+// Require a key with the "admin" scope (MCP_ADMIN_KEY has it). While authentication is
+// disabled they are closed: nobody can create keys, since the first key would then be
+// unauthenticated.
+function requireAdmin(req, res, next) {
+  if (!apiKeyAuth.isEnabled()) {
+    return res.status(403).json({ error: 'Admin endpoints require MCP_ADMIN_KEY to be set' });
+  }
+  if (!req.principal.scopes.includes('admin')) {
+    return res.status(403).json({ error: 'API key lacks the admin scope' });
+  }
+  next();
+}
+
+// Full status of every subsystem, including the gateway's configuration
+app.get('/admin/health', authenticate(), requireAdmin, (req, res) => {
+  res.json({
     status: 'healthy',
     version: '3.1.0',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    mcp_sessions: mcpSessions.size,
+    services: services.list().map(service => ({ name: service.name, source: service.source, tools: service.tools.list().length })),
+    market_data_providers: MarketDataRouter.getHealth(),
+    upstream: UpstreamClient.getStats(),
+    price_stream: priceStream.getStatus(),
+    resource_subscriptions: resourceSubscriptions.getStatus(),
+    alerts: alertManager.getStatus(),
+    history: historyStore.getStatus(),
+    prediction_scoring: predictionScorer.getStatus(),
+    arbitrage_monitor: arbitrageMonitor.getStatus(),
+    fx_providers: FxRates.priority,
+    github: { base_url: GitHubClient.baseURL, authenticated: GitHubClient.hasToken() },
+    auth: { enabled: apiKeyAuth.isEnabled(), anonymous: Boolean(apiKeyAuth.anonymousPrincipal()), cors_origins: CORS_ORIGINS },
     timestamp: moment().format(),
     environment: process.env.NODE_ENV || 'production'
   });
 });
 
+// API Key Management
+app.get('/admin/keys', authenticate(), requireAdmin, (req, res) => {
+  res.json({ keys: apiKeyAuth.list() });
+});
+
+app.post('/admin/keys', authenticate(), requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(apiKeyAuth.create(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/admin/keys/:id', authenticate(), requireAdmin, (req, res) => {
+  if (!apiKeyAuth.revoke(req.params.id)) {
+    return res.status(404).json({ error: `Unknown or already revoked key: ${req.params.id}` });
+  }
+  disconnectPrincipal(req.params.id);
+  res.sendStatus(204);
+});
+
+// Closes the WebSocket connections and MCP sessions opened with a revoked key
+function disconnectPrincipal(principalId) {
+  for (const client of wss ? wss.clients : []) {
+    if (client.mcpContext?.principal?.id === principalId) client.close(1008, 'API key revoked');
+  }
+  for (const session of Array.from(mcpSessions.values())) {
+    if (session.principal?.id === principalId) closeMCPSession(session.id);
+  }
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed' && req.path.startsWith('/mcp')) {
+    return res.status(400).json(jsonRpcErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error')));
+  }
+
   console.error('Server Error:', error);
   res.status(500).json({
     error: 'Internal Server Error',
@@ -608,288 +1858,194 @@ app.use((error, req, res, next) => {
 
 
 // MCP WebSocket Server
-const wss = new WebSocket.Server({ 
-  port: process.env.WS_PORT || 4001
-});
+// The connection path selects the service: /mcp/<service> or /<service>, with the root
+// path serving crypto. The handshake is refused for unknown services, disallowed browser
+// origins and for missing or invalid API keys.
+function webSocketService(url) {
+  const { pathname } = new URL(url, 'http://localhost');
+  const match = /^\/(?:mcp\/)?([^/]*)\/?$/.exec(pathname);
+  if (!match) return undefined;
+  return match[1] ? services.get(match[1]) : cryptoService;
+}
 
-console.log('🔗 MCP WebSocket Server starting on port 4001');
+function verifyWebSocketClient({ origin, req }, done) {
+  if (origin && !isOriginAllowed(origin)) {
+    return done(false, 403, 'Origin not allowed');
+  }
+  req.mcpService = webSocketService(req.url);
+  if (!req.mcpService) {
+    return done(false, 404, 'Unknown service');
+  }
+  if (!apiKeyAuth.isEnabled()) {
+    req.principal = apiKeyAuth.anonymousPrincipal();
+    return req.principal ? done(true) : done(false, 401, NO_KEYS_MESSAGE);
+  }
 
-wss.on('connection', (ws) => {
-  console.log('✅ MCP Client connected');
+  const principal = apiKeyAuth.authenticate(readApiKey(req, { allowQuery: true }));
+  if (!principal) {
+    return done(false, 401, 'Missing or invalid API key', { 'WWW-Authenticate': 'Bearer' });
+  }
+  if (!canAccessService(principal, req.mcpService.name)) {
+    return done(false, 403, `API key is not allowed to use the ${req.mcpService.name} service`);
+  }
+  req.principal = principal;
+  done(true);
+}
+
+function handleWebSocketConnection(ws, req) {
+  const service = req.mcpService;
+  ws.mcpService = service;
+  const context = {
+    principal: req.principal,
+    clientId: crypto.randomUUID(),
+    notify: (message) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+    }
+  };
+  ws.mcpContext = context;
+  console.log(`✅ MCP Client connected (${service.name})`);
   
   ws.on('message', async (message) => {
+    // The key was checked at the handshake; it may have been revoked since
+    if (context.principal) {
+      const principal = apiKeyAuth.current(context.principal);
+      if (!principal || !canAccessService(principal, service.name)) {
+        ws.close(1008, 'API key revoked');
+        return;
+      }
+      context.principal = principal;
+    }
+
+    let request;
     try {
-      const request = JSON.parse(message);
-      console.log('�� Received MCP request:', request.method);
-      
-      let response = await handleMCPRequest(request);
-      ws.send(JSON.stringify(response));
-      
+      request = JSON.parse(message);
     } catch (error) {
-      console.error('❌ MCP Error:', error);
-      ws.send(JSON.stringify({
-        jsonrpc: "2.0",
-        id: request?.id || null,
-        error: { code: -32603, message: error.message }
-      }));
+      ws.send(JSON.stringify(jsonRpcErrorResponse(null, new JsonRpcError(JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'))));
+      return;
+    }
+
+    console.log('📨 Received MCP request:', Array.isArray(request) ? `batch of ${request.length}` : request.method);
+
+    const limited = apiKeyAuth.consume(context.principal, Array.isArray(request) ? Math.max(1, request.length) : 1);
+    if (limited) {
+      const requestId = !Array.isArray(request) && isValidJsonRpcId(request?.id) ? request.id : null;
+      ws.send(JSON.stringify(jsonRpcErrorResponse(requestId, new JsonRpcError(JSONRPC_ERRORS.RATE_LIMITED, limited.reason, { retry_after: limited.retryAfter }))));
+      return;
+    }
+
+    const response = await processMCPMessage(service, request, context);
+    if (response !== null && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(response));
     }
   });
 
   ws.on('close', () => {
+    service.subscriptions?.removeClient(context.clientId);
     console.log('🔌 MCP Client disconnected');
   });
-});
+}
 
-// MCP Request Handler
-async function handleMCPRequest(request) {
-  const { jsonrpc, id, method, params } = request;
+// Created by startWebSocketServer
+let wss = null;
 
-  switch (method) {
-    case 'initialize':
-      return {
-        jsonrpc,
-        id,
-        result: {
-          protocolVersion: "2024-11-05",
-          capabilities: { tools: { listChanged: true } },
-          serverInfo: { name: "crypto-god-analysis-server", version: "3.1.0" }
-        }
-      };
-
-    case 'tools/list':
-      return {
-        jsonrpc,
-        id,
-        result: {
-          tools: [
-            {
-              name: "god_analysis",
-              description: "Complete GOD-level cryptocurrency analysis with Binance API",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  symbol: { type: "string", description: "Cryptocurrency symbol" }
-                },
-                required: ["symbol"]
-              }
-            }
-          ]
-        }
-      };
-
-    case 'tools/call':
-      const toolName = params.name;
-      const toolParams = params.arguments || {};
-
-      if (toolName === 'god_analysis') {
-        const marketData = await CryptoGodEngine.getMarketData(toolParams.symbol);
-        const technicals = CryptoGodEngine.calculateSimpleTechnicals(marketData.historical.prices);
-        const sentiment = await CryptoGodEngine.getNewsSentiment(toolParams.symbol);
-        const marketStructure = CryptoGodEngine.marketStructureAnalysis(marketData);
-        const fearGreed = await CryptoGodEngine.getFearGreedIndex();
-        const prediction = CryptoGodEngine.generateGodPrediction(technicals, marketData, sentiment, marketStructure);
-
-        return {
-          jsonrpc,
-          id,
-          result: {
-            content: [{
-              type: "text",
-              text: JSON.stringify({
-                symbol: toolParams.symbol.toUpperCase(),
-                timestamp: moment().format(),
-                current_price: marketData.coin.market_data.current_price.usd,
-                market_analysis: {
-                  technical_indicators: technicals || {},
-                  market_structure: marketStructure,
-                  sentiment_analysis: sentiment,
-                  fear_greed_index: fearGreed,
-                  god_prediction: prediction
-                }
-              }, null, 2)
-            }]
-          }
-        };
-      }
-      break;
-
-    default:
-      throw new Error(`Unknown method: ${method}`);
-  }
+function startWebSocketServer(port = WS_PORT) {
+  wss = new WebSocket.Server({ port, verifyClient: verifyWebSocketClient });
+  wss.on('connection', handleWebSocketConnection);
+  console.log(`🔗 MCP WebSocket Server starting on port ${port}`);
+  startBackgroundJobs();
+  return wss;
 }
 
+// MCP stdio Transport (see lib/stdio.js)
+const stdioClients = new Set();
 
-// MCP Server-Sent Events Implementation
-app.get('/mcp/sse', (req, res) => {
-  console.log('🔗 SSE Client connected');
-  
-  // Set SSE headers
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-  });
+function startStdioServer(serviceName = 'crypto') {
+  const service = services.get(serviceName);
+  if (!service) {
+    throw new Error(`Unknown service: ${serviceName}`);
+  }
 
-  // Send initial connection event
-  res.write('event: connected\n');
-  res.write('data: {"status": "connected", "protocol": "MCP-SSE", "version": "3.1.0"}\n\n');
-
-  // Send MCP initialize response
-  res.write('event: initialize\n');
-  res.write('data: ' + JSON.stringify({
-    protocolVersion: "2024-11-05",
-    capabilities: {
-      tools: { listChanged: true },
-      resources: {},
-      prompts: {}
-    },
-    serverInfo: {
-      name: "crypto-god-analysis-server",
-      version: "3.1.0"
-    }
-  }) + '\n\n');
-
-  // Send available tools
-  res.write('event: tools\n');
-  res.write('data: ' + JSON.stringify({
-    tools: [
-      {
-        name: "god_analysis",
-        description: "Complete GOD-level cryptocurrency analysis with Binance API integration",
-        inputSchema: {
-          type: "object",
-          properties: {
-            symbol: { type: "string", description: "Cryptocurrency symbol (e.g., bitcoin, ethereum)" }
-          },
-          required: ["symbol"]
-        }
-      },
-      {
-        name: "fear_greed_index",
-        description: "Current market fear & greed index",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: []
-        }
-      },
-      {
-        name: "quick_price",
-        description: "Quick price check using Binance API",
-        inputSchema: {
-          type: "object",
-          properties: {
-            symbol: { type: "string", description: "Cryptocurrency symbol" }
-          },
-          required: ["symbol"]
-        }
-      }
-    ]
-  }) + '\n\n');
+  const client = serveStdio(service);
+  client.service = service;
+  stdioClients.add(client);
+  client.closed.then(() => {
+    stdioClients.delete(client);
+    service.subscriptions?.removeClient(client.clientId);
+  });
 
-  // Keep connection alive
-  const keepAlive = setInterval(() => {
-    res.write('event: ping\n');
-    res.write('data: {"timestamp": "' + new Date().toISOString() + '"}\n\n');
-  }, 30000);
+  console.log(`🔗 MCP stdio transport serving ${service.name}`);
+  startBackgroundJobs();
+  return client;
+}
 
-  // Handle client disconnect
-  req.on('close', () => {
-    console.log('🔌 SSE Client disconnected');
-    clearInterval(keepAlive);
-  });
 
-  req.on('error', (err) => {
-    console.error('🚨 SSE Error:', err);
-    clearInterval(keepAlive);
-  });
-});
+// Alert and Arbitrage Notifications
+// Fired alerts and arbitrage divergences are pushed to every crypto WebSocket and stdio client and every crypto
+// session with an open event stream (SSE or Streamable HTTP GET) whose key is still valid and
+// allowed to use `tool`, the tool the notifications come from. A fired alert only goes to
+// its owner.
+function mayReceive(principal, service, { tool, owner }) {
+  if (owner !== undefined && alertOwner(principal) !== owner) return false;
+  if (!principal) return true;
+  const current = apiKeyAuth.current(principal);
+  return Boolean(current) && canUse(current, service.name, tool);
+}
 
-// MCP SSE Tool Execution Endpoint
-app.post('/mcp/sse/execute', async (req, res) => {
-  try {
-    const { tool, arguments: toolArgs } = req.body;
-    
-    console.log('🔧 Executing SSE tool:', tool);
-    
-    let result;
-    
-    if (tool === 'god_analysis') {
-      const marketData = await CryptoGodEngine.getMarketData(toolArgs.symbol);
-      const technicals = CryptoGodEngine.calculateSimpleTechnicals(marketData.historical.prices);
-      const sentiment = await CryptoGodEngine.getNewsSentiment(toolArgs.symbol);
-      const marketStructure = CryptoGodEngine.marketStructureAnalysis(marketData);
-      const fearGreed = await CryptoGodEngine.getFearGreedIndex();
-      const prediction = CryptoGodEngine.generateGodPrediction(technicals, marketData, sentiment, marketStructure);
-
-      result = {
-        symbol: toolArgs.symbol.toUpperCase(),
-        timestamp: moment().format(),
-        current_price: marketData.coin.market_data.current_price.usd,
-        market_analysis: {
-          technical_indicators: technicals || {},
-          market_structure: marketStructure,
-          sentiment_analysis: sentiment,
-          fear_greed_index: fearGreed,
-          god_prediction: prediction
-        },
-        trading_signals: {
-          entry_points: prediction.price_targets,
-          risk_management: {
-            stop_loss: prediction.price_targets.support,
-            take_profit: prediction.price_targets.resistance,
-            position_size: prediction.risk_level === 'HIGH' ? '1-2%' : '3-5%'
-          }
-        }
-      };
-    } else if (tool === 'fear_greed_index') {
-      result = await CryptoGodEngine.getFearGreedIndex();
-    } else if (tool === 'quick_price') {
-      try {
-        const binanceSymbol = BinanceDataProvider.mapCoinGeckoToBinance(toolArgs.symbol);
-        const price = await BinanceDataProvider.getCurrentPrice(binanceSymbol);
-        result = {
-          symbol: toolArgs.symbol.toUpperCase(),
-          price: price,
-          source: "Binance API",
-          timestamp: moment().format()
-        };
-      } catch (error) {
-        const priceData = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=${toolArgs.symbol}&vs_currencies=usd`);
-        result = {
-          symbol: toolArgs.symbol.toUpperCase(),
-          price: priceData.data[toolArgs.symbol].usd,
-          source: "CoinGecko API (fallback)",
-          timestamp: moment().format()
-        };
-      }
+function broadcastNotification(service, message, audience) {
+  for (const client of wss ? wss.clients : []) {
+    if (client.mcpService === service && client.readyState === WebSocket.OPEN && mayReceive(client.mcpContext.principal, service, audience)) {
+      client.send(JSON.stringify(message));
     }
+  }
+  for (const client of stdioClients) {
+    if (client.service === service && mayReceive(null, service, audience)) client.notify(message);
+  }
+  for (const session of mcpSessions.values()) {
+    if (session.service === service && session.stream && !session.stream.writableEnded && mayReceive(session.principal, service, audience)) {
+      writeSSEEvent(session.stream, 'message', message);
+    }
+  }
+}
 
-    res.json({
-      success: true,
-      tool: tool,
-      result: result,
-      timestamp: moment().format()
-    });
+// Alert checks, prediction scoring and the arbitrage watchlist (when ARBITRAGE_WATCH_SYMBOLS
+// is set) run while any transport is being served
+function startBackgroundJobs() {
+  alertManager.start();
+  predictionScorer.start();
+  arbitrageMonitor.start();
+}
 
-  } catch (error) {
-    console.error('❌ SSE Tool Error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: moment().format()
-    });
-  }
+alertManager.on('triggered', (event) => {
+  broadcastNotification(cryptoService, { jsonrpc: "2.0", method: "notifications/alerts/triggered", params: event }, { tool: 'create_alert', owner: event.owner });
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`🚀 MCP Global Intelligence Gateway running on port ${PORT}`);
-  console.log(`📊 Available services: crypto, github`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`⚡ Railway Production Ready!`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'production'}`);
+arbitrageMonitor.on('divergence', (event) => {
+  broadcastNotification(cryptoService, { jsonrpc: "2.0", method: "notifications/arbitrage/divergence", params: event }, { tool: 'arbitrage_monitor' });
 });
+
+function startHttpServer(port = PORT) {
+  const server = app.listen(port, () => {
+    console.log(`🚀 MCP Global Intelligence Gateway running on port ${port}`);
+    console.log(`📊 Available services: ${services.list().map(service => service.name).join(', ')}`);
+    console.log(`🔗 Health check: http://localhost:${port}/health`);
+    console.log(`⚡ Railway Production Ready!`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'production'}`);
+  });
+  startBackgroundJobs();
+  return server;
+}
+
+// Requiring the gateway (as cli.js does) only builds the services; `node mcp-gateway.js`
+// serves HTTP and WebSocket as before
+if (require.main === module) {
+  startHttpServer();
+  startWebSocketServer();
+}
+
+module.exports = {
+  app,
+  services,
+  startHttpServer,
+  startWebSocketServer,
+  startStdioServer
+};
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AlertManager, LOCAL_OWNER } = require('../lib/alerts');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  return path.join(dir, 'alerts.json');
+}
+
+const PRICE_ALERT = { type: 'price', symbol: 'BTC', operator: 'above', threshold: 100 };
+
+test('alerts are listed and deleted only by their owner', () => {
+  const manager = new AlertManager({ file: tempFile() });
+  const mine = manager.create(PRICE_ALERT, { owner: 'key-a' });
+  const theirs = manager.create(PRICE_ALERT, { owner: 'key-b' });
+  const local = manager.create(PRICE_ALERT);
+
+  assert.strictEqual(local.owner, LOCAL_OWNER);
+  assert.deepStrictEqual(manager.list({ owner: 'key-a' }).map(alert => alert.id), [mine.id]);
+  assert.strictEqual(manager.list().length, 3);
+
+  assert.strictEqual(manager.delete(theirs.id, { owner: 'key-a' }), false);
+  assert.strictEqual(manager.list({ owner: 'key-b' }).length, 1);
+  assert.strictEqual(manager.delete(theirs.id, { owner: 'key-b' }), true);
+  assert.strictEqual(manager.list({ owner: 'key-b' }).length, 0);
+});
+
+test('stored alerts without an owner belong to the local user', () => {
+  const file = tempFile();
+  const stored = new AlertManager({ file }).create(PRICE_ALERT);
+  const { owner, ...legacy } = stored;
+  fs.writeFileSync(file, JSON.stringify([legacy]));
+
+  const manager = new AlertManager({ file });
+  assert.deepStrictEqual(manager.list({ owner: LOCAL_OWNER }).map(alert => alert.id), [stored.id]);
+});
+
+test('a fired alert names its owner', async () => {
+  const manager = new AlertManager({ file: tempFile() });
+  manager.readValue = async () => 150;
+  const alert = manager.create(PRICE_ALERT, { owner: 'key-a' });
+
+  const event = await manager.check(alert);
+  assert.strictEqual(event.alert_id, alert.id);
+  assert.strictEqual(event.owner, 'key-a');
+});
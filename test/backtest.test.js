@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BacktestEngine } = require('../lib/backtest');
+const { JSONRPC_ERRORS, JsonRpcError } = require('../lib/mcp');
+
+// data/synthetic-1d.csv is a seeded random walk of 240 daily candles, so the replay is
+// deterministic and needs no network. The expected metrics were recorded from the engine
+// and pin its behaviour; the drawdown and Sharpe checks also recompute them from the curve.
+const FIXTURE = 'synthetic-1d.csv';
+
+function close(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('replays the fixture with the default strategy', () => {
+  const candles = BacktestEngine.loadDataFile(FIXTURE);
+  assert.strictEqual(candles.length, 240);
+
+  const report = BacktestEngine.run(candles, { strategy: 'default' });
+  const { metrics } = report;
+  assert.strictEqual(report.period.bars, 190);
+  assert.strictEqual(metrics.total_trades, 7);
+  assert.strictEqual(report.trades.length, 7);
+  assert.strictEqual(metrics.winning_trades, 1);
+  close(metrics.total_return_pct, -16.829371665051656);
+  close(metrics.max_drawdown_pct, 28.791058515120817);
+  close(metrics.sharpe_ratio, -0.9670921124944387);
+  close(metrics.final_equity, 8317.062833494834);
+  close(metrics.fees_paid, 134.98209356386596);
+});
+
+test('drawdown and Sharpe agree with the equity curve', () => {
+  const report = BacktestEngine.run(BacktestEngine.loadDataFile(FIXTURE));
+  const equity = [report.parameters.initial_capital, ...report.equity_curve.map(point => point.equity)];
+  assert.strictEqual(equity.length - 1, report.period.bars);
+
+  let peak = equity[0];
+  let maxDrawdown = 0;
+  equity.forEach(value => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  });
+  close(report.metrics.max_drawdown_pct, maxDrawdown * 100);
+
+  const returns = equity.slice(1).map((value, i) => value / equity[i] - 1);
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const stdDev = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length);
+  close(report.metrics.sharpe_ratio, (mean / stdDev) * Math.sqrt(365));
+  close(report.metrics.total_return_pct, (equity[equity.length - 1] / equity[0] - 1) * 100);
+});
+
+test('trades never fill before the bar after their signal', () => {
+  const candles = BacktestEngine.loadDataFile(FIXTURE);
+  const report = BacktestEngine.run(candles, { allowShort: false });
+  const warmupEnd = candles[50].timestamp;
+  report.trades.forEach(trade => {
+    assert.ok(trade.entry_time > warmupEnd, 'entry before the first signal could fill');
+    assert.ok(trade.exit_time >= trade.entry_time);
+    assert.strictEqual(trade.side, 'long');
+  });
+});
+
+test('reports the strategy weight held constant in a replay, and defaults to one with none', () => {
+  const candles = BacktestEngine.loadDataFile(FIXTURE);
+
+  const report = BacktestEngine.run(candles);
+  assert.strictEqual(report.parameters.strategy, 'technical_focus');
+  assert.deepStrictEqual(report.held_constant, { factors: [], weight: 0 });
+
+  const { held_constant: held } = BacktestEngine.run(candles, { strategy: 'default' });
+  assert.deepStrictEqual(held.factors, ['fundamental', 'sentiment', 'market_structure']);
+  close(held.weight, 0.6);
+});
+
+function assertInvalidParams(fn, pattern) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof JsonRpcError);
+    assert.strictEqual(error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+    assert.match(error.message, pattern);
+    assert.doesNotMatch(error.message, /\/root|\/home|[A-Z]:\\/);
+    return true;
+  });
+}
+
+test('caller mistakes are invalid params without server paths', () => {
+  assertInvalidParams(() => BacktestEngine.loadDataFile('../package.json'), /must be inside the backtest data directory/);
+  assertInvalidParams(() => BacktestEngine.loadDataFile('missing.csv'), /missing\.csv not found/);
+  assertInvalidParams(() => BacktestEngine.run(BacktestEngine.loadDataFile(FIXTURE).slice(0, 40)), /at least 52 candles, got 40/);
+});
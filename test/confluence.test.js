@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MarketDataProvider, MarketDataRouter } = require('../lib/market-data');
+const { TimeframeConfluence } = require('../lib/confluence');
+const { JSONRPC_ERRORS, JsonRpcError } = require('../lib/mcp');
+
+// Serves candles for every interval except 4h and 1d
+class StubProvider extends MarketDataProvider {
+  static id = 'stub';
+
+  static async getOHLCV(symbol, { interval, limit }) {
+    if (['4h', '1d'].includes(interval)) throw new Error(`no ${interval} candles`);
+    return Array.from({ length: limit }, (_, i) => ({ timestamp: i, open: 100 + i, high: 101 + i, low: 99 + i, close: 100 + i, volume: 1 }));
+  }
+}
+
+test.before(() => {
+  for (const id of [...MarketDataRouter.priority]) MarketDataRouter.unregister(id);
+  MarketDataRouter.register(StubProvider);
+});
+
+function assertInvalidParams(error, pattern) {
+  assert.ok(error instanceof JsonRpcError);
+  assert.strictEqual(error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+  assert.match(error.message, pattern);
+  return true;
+}
+
+test('collect reports the failed timeframes and needs two that succeed', async () => {
+  const { frames, unavailable } = await TimeframeConfluence.collect('BTC', ['1d', '1h', '15m'], { limit: 30 });
+  assert.deepStrictEqual(frames.map(frame => frame.interval), ['15m', '1h']);
+  assert.deepStrictEqual(unavailable.map(u => u.interval), ['1d']);
+
+  await assert.rejects(TimeframeConfluence.collect('BTC', ['1h', '4h', '1d']), error => {
+    assertInvalidParams(error, /at least two timeframes, got 1 \(4h: .*no 4h candles.*; 1d: .*\)/);
+    assert.deepStrictEqual(error.data.unavailable.map(u => u.interval), ['4h', '1d']);
+    return true;
+  });
+});
+
+test('analyze needs two timeframes with enough candles', async () => {
+  const { frames } = await TimeframeConfluence.collect('BTC', ['15m', '1h'], { limit: 30 });
+  assert.deepStrictEqual(TimeframeConfluence.analyze(frames).timeframes, ['15m', '1h']);
+
+  const short = [frames[0], { ...frames[1], candles: frames[1].candles.slice(0, 10) }];
+  assert.throws(() => TimeframeConfluence.analyze(short), error => {
+    assertInvalidParams(error, /two timeframes with enough candles, got 1/);
+    assert.deepStrictEqual(error.data.unavailable, [{ interval: '1h', error: 'Only 10 candles; at least 20 are needed' }]);
+    return true;
+  });
+});
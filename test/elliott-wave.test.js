@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CryptoGodEngine } = require('../lib/crypto-god-engine');
+
+// One flat candle per swing price, so every move of more than the 5% zigzag threshold is a
+// pivot and the expected counts below can be worked out from the prices alone
+function swings(prices) {
+  return prices.map((price, i) => ({ timestamp: i * 86400000, open: price, high: price, low: price, close: price, volume: 1 }));
+}
+
+function points(prices) {
+  return prices.map((price, i) => ({ timestamp: i, price, confirmed: true }));
+}
+
+test('zigzag pivots alternate and the last one is unconfirmed', () => {
+  const { pivots, zigzag_threshold_pct: threshold } = CryptoGodEngine.analyzeElliottWave(swings([100, 150, 120, 220, 180, 240]), 5);
+  assert.strictEqual(threshold, 5);
+  assert.deepStrictEqual(pivots.map(({ type, price, confirmed }) => [type, price, confirmed]), [
+    ['low', 100, true], ['high', 150, true], ['low', 120, true], ['high', 220, true], ['low', 180, true], ['high', 240, false]
+  ]);
+});
+
+test('a five-wave impulse that meets every guideline scores 100', () => {
+  // Wave 2 retraces 30/50 = 60%, wave 3 is 100/50 = 200% of wave 1, wave 4 retraces 40/100 = 40%
+  const result = CryptoGodEngine.analyzeElliottWave(swings([100, 150, 120, 220, 180, 240]), 5);
+  assert.strictEqual(result.pattern, 'impulse');
+  assert.strictEqual(result.trend, 'bullish_impulse');
+  assert.strictEqual(result.confidence, 100);
+  assert.strictEqual(result.current_wave, '5');
+  assert.deepStrictEqual(result.waves.map(wave => [wave.label, wave.length]), [['1', 50], ['2', 30], ['3', 100], ['4', 40], ['5', 60]]);
+  assert.deepStrictEqual(result.reasons, [
+    'Rule holds: wave 2 did not retrace beyond the start of wave 1',
+    'Meets guideline: wave 2 retracement of wave 1 60.0% (expected 38.2-78.6%)',
+    'Meets guideline: wave 3 extends at least 161.8% of wave 1',
+    'Rule holds: wave 4 did not overlap wave 1',
+    'Meets guideline: wave 4 retracement of wave 3 40.0% (expected 23.6-50.0%)',
+    'Rule holds: wave 3 is not the shortest of waves 1, 3 and 5'
+  ]);
+});
+
+test('one swing after a complete impulse, wave A of the correction is under way', () => {
+  const result = CryptoGodEngine.analyzeElliottWave(swings([100, 150, 120, 220, 180, 240, 200]), 5);
+  assert.strictEqual(result.pattern, 'impulse_complete');
+  assert.strictEqual(result.current_wave, 'A');
+  assert.strictEqual(result.confidence, 100);
+});
+
+test('each hard rule invalidates an impulse count', () => {
+  const broken = (prices, rule) => {
+    const fit = CryptoGodEngine.fitImpulse(points(prices));
+    assert.strictEqual(fit.valid, false);
+    assert.strictEqual(fit.confidence, 0);
+    assert.ok(fit.reasons.includes(rule), `expected "${rule}" in ${JSON.stringify(fit.reasons)}`);
+  };
+
+  broken([100, 150, 90, 220, 180, 240], 'Rule broken: wave 2 retraced beyond the start of wave 1');
+  broken([100, 150, 120, 220, 140, 240], 'Rule broken: wave 4 overlaps the price territory of wave 1');
+  // Waves 1, 3 and 5 are 100, 80 and 190
+  broken([100, 200, 150, 230, 210, 400], 'Rule broken: wave 3 is the shortest of waves 1, 3 and 5');
+});
+
+test('a partial impulse scores on the guidelines its waves can meet', () => {
+  // Three waves: base 20 + 3 * 8 = 44, plus half of the remaining 56 for one guideline in two
+  const fit = CryptoGodEngine.fitImpulse(points([120, 220, 180, 240]));
+  assert.strictEqual(fit.valid, true);
+  assert.strictEqual(fit.confidence, 72);
+  assert.strictEqual(fit.result.pattern, 'impulse_partial');
+  assert.strictEqual(fit.result.next_expected, 'wave 4');
+  assert.ok(fit.reasons.includes('Rule at risk: wave 3 is shorter than wave 1, so wave 5 must stay shorter than wave 3'));
+});
+
+test('an overlapping fourth wave falls back to an A-B-C correction', () => {
+  // A = 100, B retraces 80/100 = 80%, C = 100/100 = 100% of A and ends beyond A: 30 + 50
+  const result = CryptoGodEngine.analyzeElliottWave(swings([100, 150, 120, 220, 140, 240]), 5);
+  assert.strictEqual(result.pattern, 'abc_correction');
+  assert.strictEqual(result.trend, 'bullish_correction');
+  assert.strictEqual(result.current_wave, 'C');
+  assert.strictEqual(result.confidence, 80);
+});
+
+test('fewer than four pivots is not enough for a count', () => {
+  const result = CryptoGodEngine.analyzeElliottWave(swings([100, 120, 110]), 5);
+  assert.strictEqual(result.pattern, 'insufficient_swings');
+  assert.deepStrictEqual(result.reasons, ['Only 3 swing pivots found at a 5.00% zigzag threshold; at least 4 are needed']);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The gateway's stores read their locations when they are loaded
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-'));
+process.env.HISTORY_DIR = path.join(stateDir, 'history');
+process.env.ALERTS_FILE = path.join(stateDir, 'alerts.json');
+process.env.API_KEYS_FILE = path.join(stateDir, 'api-keys.json');
+process.env.API_USAGE_FILE = path.join(stateDir, 'api-usage.json');
+process.env.MCP_ADMIN_KEY = 'test-admin-key';
+
+const { MarketDataProvider, MarketDataRouter, CoinGeckoDataProvider } = require('../lib/market-data');
+const { CryptoGodEngine } = require('../lib/crypto-god-engine');
+const { UpstreamClient } = require('../lib/upstream');
+const { JSONRPC_ERRORS } = require('../lib/mcp');
+const { app, services } = require('../mcp-gateway');
+
+// Serves a steady uptrend for the symbols it knows and refuses the rest
+class StubProvider extends MarketDataProvider {
+  static id = 'stub';
+
+  static async getOHLCV(symbol, { limit = 90 } = {}) {
+    if (!['BTC', 'BCH', 'INJ'].includes(symbol)) throw new Error(`unknown symbol ${symbol}`);
+    return Array.from({ length: limit }, (_, i) => ({
+      timestamp: i * 86400000, open: 100 + i, high: 101 + i, low: 99 + i, close: 100 + i, volume: 10
+    }));
+  }
+}
+
+// Nothing listens on port 9: CoinGecko and the Fear & Greed index are unreachable
+const UNREACHABLE = 'http://127.0.0.1:9';
+
+test.before(() => {
+  for (const id of [...MarketDataRouter.priority]) MarketDataRouter.unregister(id);
+  MarketDataRouter.register(StubProvider);
+  CoinGeckoDataProvider.baseURL = UNREACHABLE;
+  CryptoGodEngine.fearGreedURL = UNREACHABLE;
+  UpstreamClient.MAX_RETRIES = 0;
+});
+
+const crypto = () => services.get('crypto').tools;
+
+test('technical_indicators computes the requested series on the provider candles', async () => {
+  const result = await crypto().execute('technical_indicators', {
+    symbol: 'bitcoin',
+    limit: 30,
+    indicators: [{ name: 'sma', period: 5 }, { name: 'obv' }]
+  });
+
+  assert.strictEqual(result.symbol, 'BTC');
+  assert.strictEqual(result.provider, 'stub');
+  assert.strictEqual(result.candle_count, 30);
+  const sma = result.indicators.sma_5.series;
+  assert.deepStrictEqual(sma.slice(0, 4), [null, null, null, null]);
+  assert.strictEqual(sma[29], 127);
+  assert.strictEqual(result.indicators.obv.series[29], 290);
+});
+
+test('technical_indicators passes unregistered tickers through and suggests matches when they fail', async () => {
+  const passed = await crypto().execute('technical_indicators', { symbol: 'INJ', limit: 10, indicators: [{ name: 'rsi' }] });
+  assert.strictEqual(passed.symbol, 'INJ');
+
+  await assert.rejects(crypto().execute('technical_indicators', { symbol: 'BTCC', indicators: [{ name: 'rsi' }] }), error => {
+    assert.strictEqual(error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+    assert.match(error.message, /Unknown symbol: BTCC; did you mean .*BTC/);
+    return true;
+  });
+});
+
+test('symbols may be anything the registry resolves, but only plain tickers pass through unresolved', async () => {
+  const run = symbol => crypto().execute('technical_indicators', { symbol, limit: 10, indicators: [{ name: 'rsi' }] });
+  assert.strictEqual((await run('BTC/USDT')).symbol, 'BTC');
+  assert.strictEqual((await run('btc_usdt')).symbol, 'BTC');
+  assert.strictEqual((await run('Bitcoin Cash')).symbol, 'BCH');
+
+  await assert.rejects(run('INJ/USDX'), error => {
+    assert.strictEqual(error.code, JSONRPC_ERRORS.INVALID_PARAMS);
+    assert.match(error.message, /^Unknown symbol: INJ\/USDX/);
+    return true;
+  });
+  await assert.rejects(run('BTC?x=1'), /Invalid arguments for tool technical_indicators/);
+});
+
+test('god_analysis runs on the router candles when CoinGecko fundamentals are unavailable', async () => {
+  const analysis = await crypto().execute('god_analysis', { symbol: 'BTC', limit: 60 });
+
+  assert.strictEqual(analysis.data_provider, 'stub');
+  assert.strictEqual(analysis.current_price, 159);
+  const { market_structure: structure, god_prediction: prediction } = analysis.market_analysis;
+  assert.strictEqual(structure.available, false);
+  assert.match(structure.reason, /^Coin fundamentals unavailable: CoinGecko coin details failed/);
+  assert.strictEqual(prediction.factor_breakdown.fundamental.detail, 'Fundamentals unavailable');
+  assert.strictEqual(prediction.factor_breakdown.market_structure.detail, 'Market structure unavailable');
+});
+
+test('/health is public but only reports liveness and providers; the details need the admin scope', async () => {
+  const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = (route, key) => fetch(`${base}${route}`, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+  try {
+    const health = await get('/health');
+    assert.strictEqual(health.status, 200);
+    const body = await health.json();
+    assert.deepStrictEqual(Object.keys(body).sort(), ['market_data_providers', 'status', 'timestamp', 'uptime', 'version']);
+    assert.strictEqual(body.market_data_providers[0].provider, 'stub');
+
+    assert.strictEqual((await get('/admin/health')).status, 401);
+    const created = await fetch(`${base}/admin/keys`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-admin-key', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'reader', scopes: ['crypto'] })
+    });
+    const { key } = await created.json();
+    assert.strictEqual((await get('/admin/health', key)).status, 403);
+
+    const details = await (await get('/admin/health', 'test-admin-key')).json();
+    assert.ok(Array.isArray(details.auth.cors_origins));
+    assert.ok(details.github.base_url);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// A local stand-in for the GitHub REST API; each route answers with a fixed status,
+// headers and body, and every request is recorded
+const RATE_LIMIT_RESET = 1700000000;
+const ROUTES = {
+  'GET /repos/octo/hello': [200, {}, {
+    full_name: 'octo/hello', description: 'Hello', private: false, html_url: 'https://github.com/octo/hello',
+    default_branch: 'main', language: 'JavaScript', stargazers_count: 3, forks_count: 1, open_issues_count: 2,
+    updated_at: '2026-01-01T00:00:00Z', owner: { login: 'octo' }
+  }],
+  'POST /repos/octo/hello/issues': [201, {}, {
+    number: 7, title: 'Bug', state: 'open', user: { login: 'octo' }, labels: [{ name: 'bug' }], assignees: [],
+    comments: 0, html_url: 'https://github.com/octo/hello/issues/7', body: 'Details'
+  }],
+  'GET /repos/octo/unauthorized': [401, {}, { message: 'Bad credentials' }],
+  'GET /repos/octo/forbidden': [403, { 'x-ratelimit-remaining': '4999' }, { message: 'Resource not accessible by integration' }],
+  'GET /repos/octo/missing': [404, {}, { message: 'Not Found', documentation_url: 'https://docs.github.com/rest' }],
+  'POST /repos/octo/invalid/issues': [422, {}, { message: 'Validation Failed', errors: [{ resource: 'Issue', field: 'title', code: 'missing_field' }] }],
+  'GET /repos/octo/limited': [403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(RATE_LIMIT_RESET) }, { message: 'API rate limit exceeded' }],
+  'GET /repos/octo/throttled': [429, {}, { message: 'You have exceeded a secondary rate limit' }]
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) });
+    const [status, headers, payload] = ROUTES[`${req.method} ${req.url}`] || [404, {}, { message: 'Not Found' }];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+let GitHubClient;
+let GitHubApiError;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // The client reads its configuration when it is loaded
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}/`;
+  process.env.GITHUB_TOKEN = 'test-token';
+  ({ GitHubClient, GitHubApiError } = require('../lib/github'));
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => { requests.length = 0; });
+
+async function apiError(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof GitHubApiError, `expected a GitHubApiError, got ${error}`);
+    return error;
+  }
+  assert.fail('expected the request to fail');
+}
+
+test('reads a repository with the token and API version headers', async () => {
+  const repo = await GitHubClient.getRepository({ owner: 'octo', repo: 'hello' });
+  assert.deepStrictEqual(repo, {
+    full_name: 'octo/hello', description: 'Hello', private: false, html_url: 'https://github.com/octo/hello',
+    default_branch: 'main', language: 'JavaScript', stars: 3, forks: 1, open_issues: 2, updated_at: '2026-01-01T00:00:00Z'
+  });
+
+  const [{ headers }] = requests;
+  assert.strictEqual(headers.authorization, 'Bearer test-token');
+  assert.strictEqual(headers.accept, 'application/vnd.github+json');
+  assert.strictEqual(headers['x-github-api-version'], GitHubClient.API_VERSION);
+});
+
+test('creates an issue from the given fields', async () => {
+  const issue = await GitHubClient.createIssue({ owner: 'octo', repo: 'hello', title: 'Bug', body: 'Details', labels: ['bug'] });
+  assert.strictEqual(issue.number, 7);
+  assert.deepStrictEqual(issue.labels, ['bug']);
+  assert.deepStrictEqual(requests[0].body, { title: 'Bug', body: 'Details', labels: ['bug'] });
+});
+
+test('401 and 403 keep their status and are not rate limits', async () => {
+  const unauthorized = await apiError(GitHubClient.getRepository({ owner: 'octo', repo: 'unauthorized' }));
+  assert.strictEqual(unauthorized.status, 401);
+  assert.strictEqual(unauthorized.message, 'GitHub API error 401: Bad credentials');
+  assert.strictEqual(unauthorized.rateLimited, false);
+
+  const forbidden = await apiError(GitHubClient.getRepository({ owner: 'octo', repo: 'forbidden' }));
+  assert.strictEqual(forbidden.status, 403);
+  assert.strictEqual(forbidden.rateLimited, false);
+});
+
+test('404 and 422 carry the documentation link and validation errors', async () => {
+  const missing = await apiError(GitHubClient.getRepository({ owner: 'octo', repo: 'missing' }));
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.details.documentation_url, 'https://docs.github.com/rest');
+
+  const invalid = await apiError(GitHubClient.createIssue({ owner: 'octo', repo: 'invalid', title: '' }));
+  assert.strictEqual(invalid.status, 422);
+  assert.strictEqual(invalid.message, 'GitHub API error 422: Validation Failed');
+  assert.deepStrictEqual(invalid.details.errors, [{ resource: 'Issue', field: 'title', code: 'missing_field' }]);
+});
+
+test('an exhausted quota (403 with no remaining requests) and 429 are rate limits', async () => {
+  const limited = await apiError(GitHubClient.getRepository({ owner: 'octo', repo: 'limited' }));
+  assert.strictEqual(limited.status, 403);
+  assert.strictEqual(limited.rateLimited, true);
+  assert.strictEqual(limited.details.rate_limit_reset, new Date(RATE_LIMIT_RESET * 1000).toISOString());
+
+  const throttled = await apiError(GitHubClient.getRepository({ owner: 'octo', repo: 'throttled' }));
+  assert.strictEqual(throttled.status, 429);
+  assert.strictEqual(throttled.rateLimited, true);
+});
+
+test('dot segments are refused before any request is made', async () => {
+  const error = await apiError(GitHubClient.getFileContents({ owner: 'octo', repo: 'hello', path: '../../user' }));
+  assert.strictEqual(error.status, 422);
+  assert.strictEqual(requests.length, 0);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HistoryStore } = require('../lib/history');
+
+function lines(store, name) {
+  return fs.readFileSync(store.fileFor(name), 'utf8').split('\n').filter(Boolean);
+}
+
+function pending(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `p${i}`,
+    created_at: new Date().toISOString(),
+    status: 'pending'
+  }));
+}
+
+test('updates are appended and the last line for an id wins on reload', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const store = new HistoryStore({ dir });
+  store.insertMany('predictions', pending(3));
+  store.update('predictions', 'p1', { status: 'scored' });
+  store.update('predictions', 'p2', { status: 'expired' });
+  assert.strictEqual(lines(store, 'predictions').length, 5);
+
+  const reloaded = new HistoryStore({ dir });
+  const byId = Object.fromEntries(reloaded.query('predictions', { limit: null }).map(p => [p.id, p.status]));
+  assert.deepStrictEqual(byId, { p0: 'pending', p1: 'scored', p2: 'expired' });
+  // Loading compacted the superseded lines away
+  assert.strictEqual(lines(reloaded, 'predictions').length, 3);
+});
+
+test('status reads file stats without loading collections', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  new HistoryStore({ dir }).insertMany('predictions', pending(2));
+
+  const store = new HistoryStore({ dir });
+  const { collections } = store.getStatus();
+  assert.strictEqual(store.collections.size, 0);
+  assert.strictEqual(collections.predictions.file_bytes, fs.statSync(store.fileFor('predictions')).size);
+  assert.strictEqual(collections.predictions.records, null);
+  assert.deepStrictEqual(collections.candles, { file_bytes: 0, modified_at: null, records: null });
+
+  store.collection('predictions');
+  assert.strictEqual(store.getStatus().collections.predictions.records, 2);
+});
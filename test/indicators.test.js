@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TechnicalIndicators } = require('../lib/indicators');
+
+// Compares two series element by element; nulls must line up exactly
+function assertSeries(actual, expected, tolerance = 1e-9) {
+  assert.strictEqual(actual.length, expected.length, `length ${actual.length} !== ${expected.length}`);
+  expected.forEach((value, i) => {
+    if (value === null) {
+      assert.strictEqual(actual[i], null, `[${i}] expected null, got ${actual[i]}`);
+    } else {
+      assert.ok(Math.abs(actual[i] - value) <= tolerance, `[${i}] expected ${value}, got ${actual[i]}`);
+    }
+  });
+}
+
+// Eight hand-checkable candles; expected values below are worked out from the textbook
+// definitions with short periods so every warm-up boundary is exercised
+const CANDLES = [
+  [10, 8, 9, 100],
+  [11, 9, 10, 150],
+  [12, 10, 11, 120],
+  [11.5, 9.5, 10, 200],
+  [13, 10, 12.5, 180],
+  [14, 12, 13, 160],
+  [13.5, 11, 11.5, 140],
+  [15, 12.5, 14.5, 220]
+].map(([high, low, close, volume], i) => ({ timestamp: i * 86400000, open: close, high, low, close, volume }));
+
+const CLOSES = CANDLES.map(c => c.close);
+
+// StockCharts' Wilder RSI worksheet (cs-rsi.xls): 14-period RSI, two-decimal published values
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+  45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+];
+const RSI_EXPECTED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46,
+  41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+test('sma averages the trailing window', () => {
+  assertSeries(TechnicalIndicators.sma(CLOSES, 3), [null, null, 10, 31 / 3, 33.5 / 3, 35.5 / 3, 37 / 3, 13]);
+});
+
+test('ema is seeded with the sma and smoothed with k = 2 / (n + 1)', () => {
+  assertSeries(TechnicalIndicators.ema(CLOSES, 3), [null, null, 10, 10, 11.25, 12.125, 11.8125, 13.15625]);
+});
+
+test('rsi matches the StockCharts Wilder worksheet', () => {
+  const rsi = TechnicalIndicators.rsi(RSI_CLOSES, 14);
+  assertSeries(rsi.slice(0, 14), new Array(14).fill(null));
+  assertSeries(rsi.slice(14), RSI_EXPECTED, 0.005);
+});
+
+test('rsi is 100 without losses and 50 on a flat series', () => {
+  assert.strictEqual(TechnicalIndicators.last(TechnicalIndicators.rsi([1, 2, 3, 4, 5], 3)), 100);
+  assert.strictEqual(TechnicalIndicators.last(TechnicalIndicators.rsi([5, 5, 5, 5, 5], 3)), 50);
+});
+
+test('macd line, signal and histogram', () => {
+  const { macd, signal, histogram } = TechnicalIndicators.macd(CLOSES, 2, 3, 2);
+  const expectedMacd = [null, null, 0.5, 1 / 6, 0.4722222222222222, 0.4490740740740741, 0.0455246913580247, 0.4630915637860082];
+  const expectedSignal = [null, null, null, 0.3333333333333333, 0.4259259259259259, 0.4413580246913580, 0.1774691358024691, 0.3678840877914952];
+  assertSeries(macd, expectedMacd);
+  assertSeries(signal, expectedSignal);
+  assertSeries(histogram, expectedMacd.map((value, i) => (expectedSignal[i] === null ? null : value - expectedSignal[i])));
+});
+
+test('atr uses Wilder smoothing of the true range from the second candle', () => {
+  // True ranges: 2, 2, 2, 2, 3, 2, 2.5, 3.5
+  assertSeries(TechnicalIndicators.atr(CANDLES, 3), [null, null, null, 2, 7 / 3, 20 / 9, 2.3148148148148149, 2.7098765432098766]);
+});
+
+test('stochastic %K and %D', () => {
+  const { k, d } = TechnicalIndicators.stochastic(CANDLES, 3, 2);
+  assertSeries(k, [null, null, 75, 100 / 3, 600 / 7, 700 / 9, 37.5, 87.5]);
+  assertSeries(d, [null, null, null, 54.166666666666667, 59.523809523809524, 81.746031746031746, 57.638888888888889, 62.5]);
+});
+
+test('adx and directional indicators', () => {
+  const { adx, plusDI, minusDI } = TechnicalIndicators.adx(CANDLES, 3);
+  assertSeries(plusDI, [null, null, null, 100 / 3, 40.476190476190476, 43.333333333333333, 27.733333333333333, 34.244495064540615]);
+  assertSeries(minusDI, [null, null, null, 25 / 3, 4.7619047619047619, 10 / 3, 16.533333333333333, 9.4153378891419895]);
+  assertSeries(adx, [null, null, null, null, null, 74.887218045112782, 58.358546969834215, 57.862219719019910]);
+});
+
+test('obv adds volume on up closes and subtracts it on down closes', () => {
+  assertSeries(TechnicalIndicators.obv(CANDLES), [0, 150, 270, 70, 250, 410, 270, 490]);
+});
+
+test('vwap is the cumulative typical-price average weighted by volume', () => {
+  assertSeries(TechnicalIndicators.vwap(CANDLES), [
+    9, 9.6, 10.054054054054054, 10.152046783625731, 10.555555555555556, 10.985347985347985, 11.120634920634921, 11.619422572178478
+  ]);
+});
+
+test('volume indicators are empty without volume', () => {
+  const withoutVolume = CANDLES.map(({ volume, ...candle }) => candle);
+  assertSeries(TechnicalIndicators.obv(withoutVolume), new Array(8).fill(null));
+  assertSeries(TechnicalIndicators.vwap(withoutVolume), new Array(8).fill(null));
+});
+
+test('ichimoku lines and displaced spans', () => {
+  const { tenkan, kijun, senkouA, senkouB, chikou } = TechnicalIndicators.ichimoku(CANDLES, 2, 3, 4, 2);
+  assertSeries(tenkan, [null, 9.5, 10.5, 10.75, 11.25, 12, 12.5, 13]);
+  assertSeries(kijun, [null, null, 10, 10.5, 11.25, 11.75, 12, 13]);
+  assertSeries(senkouA, [null, null, null, null, 10.25, 10.625, 11.25, 11.875]);
+  assertSeries(senkouB, [null, null, null, null, null, 10, 11, 11.75]);
+  assertSeries(chikou, [11, 10, 12.5, 13, 11.5, 14.5, null, null]);
+});
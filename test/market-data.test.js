@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { MarketDataProvider, MarketDataRouter, BinanceDataProvider, CoinGeckoDataProvider, INTERVAL_MS } = require('../lib/market-data');
+const { UpstreamClient } = require('../lib/upstream');
+
+// An upstream failure as axios reports it
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { isAxiosError: true, response: { status } });
+}
+
+// Two in-process providers stand in for the exchanges; `down` makes one answer every call
+// with a 503
+function stubProvider(id, price) {
+  return class extends MarketDataProvider {
+    static id = id;
+    static down = false;
+    static calls = 0;
+
+    static async getCurrentPrice(symbol) {
+      this.calls++;
+      if (this.down) throw Object.assign(httpError(503), { message: `${id} unavailable` });
+      return price;
+    }
+  };
+}
+
+const primary = stubProvider('primary', 100);
+const secondary = stubProvider('secondary', 101);
+
+test.beforeEach(() => {
+  for (const id of [...MarketDataRouter.priority]) MarketDataRouter.unregister(id);
+  MarketDataRouter.register(primary).register(secondary);
+  MarketDataRouter.COOLDOWN_MS = 50;
+  for (const provider of [primary, secondary]) {
+    provider.down = false;
+    provider.calls = 0;
+  }
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('providers are asked in priority order', async () => {
+  assert.deepStrictEqual(await MarketDataRouter.getCurrentPrice('BTC'), { price: 100, provider: 'primary' });
+  assert.strictEqual(secondary.calls, 0);
+
+  MarketDataRouter.setPriority(['secondary', 'primary']);
+  assert.deepStrictEqual(await MarketDataRouter.getCurrentPrice('BTC'), { price: 101, provider: 'secondary' });
+  assert.throws(() => MarketDataRouter.setPriority(['kraken']), /Unknown market data provider\(s\): kraken/);
+});
+
+test('a failing provider falls over to the next and is benched after repeated failures', async () => {
+  primary.down = true;
+  for (let i = 1; i <= MarketDataRouter.FAILURE_THRESHOLD; i++) {
+    assert.strictEqual((await MarketDataRouter.getCurrentPrice('BTC')).provider, 'secondary');
+    assert.strictEqual(MarketDataRouter.health.get('primary').consecutiveFailures, i);
+  }
+
+  const [health] = MarketDataRouter.getHealth();
+  assert.strictEqual(health.provider, 'primary');
+  assert.strictEqual(health.healthy, false);
+  assert.match(health.lastError.message, /primary unavailable/);
+  assert.ok(health.disabledUntil);
+
+  // While benched it is not asked at all
+  await MarketDataRouter.getCurrentPrice('BTC');
+  assert.strictEqual(primary.calls, MarketDataRouter.FAILURE_THRESHOLD);
+});
+
+test('a benched provider is tried again after the cooldown and recovers', async () => {
+  primary.down = true;
+  for (let i = 0; i < MarketDataRouter.FAILURE_THRESHOLD; i++) await MarketDataRouter.getCurrentPrice('BTC');
+
+  primary.down = false;
+  await sleep(MarketDataRouter.COOLDOWN_MS + 10);
+  assert.deepStrictEqual(await MarketDataRouter.getCurrentPrice('BTC'), { price: 100, provider: 'primary' });
+  const { healthy, consecutiveFailures, disabledUntil } = MarketDataRouter.health.get('primary');
+  assert.deepStrictEqual({ healthy, consecutiveFailures, disabledUntil }, { healthy: true, consecutiveFailures: 0, disabledUntil: null });
+});
+
+test('when every provider fails the errors are combined', async () => {
+  primary.down = true;
+  secondary.down = true;
+  await assert.rejects(MarketDataRouter.getCurrentPrice('BTC'),
+    /All market data providers failed for getCurrentPrice \(primary: primary unavailable; secondary: secondary unavailable\)/);
+});
+
+test('providers without a method are skipped without affecting their health', async () => {
+  await assert.rejects(MarketDataRouter.getOHLCV('BTC'), /No market data provider supports getOHLCV/);
+  assert.strictEqual(MarketDataRouter.health.get('primary').consecutiveFailures, 0);
+});
+
+// CoinGecko's /ohlc stand-in: `days` of 4-hour candles stamped with their close time, the
+// last one closing at the end of the current 4-hour period. Candle i opens at i.
+const FOUR_HOURS = INTERVAL_MS['4h'];
+const ohlcRequests = [];
+const coinGecko = http.createServer((req, res) => {
+  const days = parseInt(new URL(req.url, 'http://localhost').searchParams.get('days'));
+  ohlcRequests.push(days);
+  const count = days * 6;
+  const lastClose = Math.ceil(Date.now() / FOUR_HOURS) * FOUR_HOURS;
+  const candles = Array.from({ length: count }, (_, i) => [lastClose - (count - 1 - i) * FOUR_HOURS, i, i + 0.5, i - 0.5, i + 0.25]);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(candles));
+});
+
+test.describe('CoinGecko candles', () => {
+  test.before(async () => {
+    await new Promise(resolve => coinGecko.listen(0, '127.0.0.1', resolve));
+    CoinGeckoDataProvider.baseURL = `http://127.0.0.1:${coinGecko.address().port}`;
+  });
+
+  test.after(() => new Promise(resolve => coinGecko.close(resolve)));
+
+  test('4h candles are stamped with their open time', async () => {
+    const candles = await CoinGeckoDataProvider.getOHLCV('BTC', { interval: '4h', limit: 30 });
+    assert.strictEqual(ohlcRequests.at(-1), 7);
+    assert.strictEqual(candles.length, 30);
+    assert.strictEqual(candles.at(-1).timestamp, Math.floor(Date.now() / FOUR_HOURS) * FOUR_HOURS);
+    candles.forEach((candle, i) => {
+      assert.strictEqual(candle.timestamp % FOUR_HOURS, 0);
+      if (i > 0) assert.strictEqual(candle.timestamp - candles[i - 1].timestamp, FOUR_HOURS);
+    });
+  });
+
+  test('1d candles are built from complete UTC days of 4h candles', async () => {
+    const candles = await CoinGeckoDataProvider.getOHLCV('ETH', { interval: '1d', limit: 3 });
+    assert.strictEqual(ohlcRequests.at(-1), 7);
+    assert.strictEqual(candles.length, 3);
+
+    const today = Math.floor(Date.now() / INTERVAL_MS['1d']) * INTERVAL_MS['1d'];
+    assert.deepStrictEqual(candles.map(candle => candle.timestamp), [today - 2 * INTERVAL_MS['1d'], today - INTERVAL_MS['1d'], today]);
+
+    // A complete day spans six consecutive 4h candles
+    const [day] = candles;
+    assert.strictEqual(day.high - day.low, 6);
+    assert.strictEqual(day.close - day.open, 5.25);
+  });
+
+  test('other intervals are refused, and the router skips CoinGecko for them', async () => {
+    await assert.rejects(CoinGeckoDataProvider.getOHLCV('BTC', { interval: '1h' }), /1h candles are not available \(only 4h, 1d\)/);
+
+    MarketDataRouter.register(CoinGeckoDataProvider);
+    MarketDataRouter.setPriority(['coingecko']);
+    await assert.rejects(MarketDataRouter.getOHLCV('BTC', { interval: '1h' }), /No market data provider supports getOHLCV/);
+    assert.strictEqual(MarketDataRouter.health.get('coingecko').consecutiveFailures, 0);
+    assert.strictEqual((await MarketDataRouter.getOHLCV('BTC', { interval: '4h', limit: 5 })).provider, 'coingecko');
+  });
+});
+
+// Binance's stand-in: BTC is down (503), anything else is an unknown symbol (400)
+const binanceRequests = [];
+const binance = http.createServer((req, res) => {
+  const symbol = new URL(req.url, 'http://localhost').searchParams.get('symbol');
+  binanceRequests.push(symbol);
+  const [status, body] = symbol === 'BTCUSDT' ? [503, { msg: 'Service unavailable' }] : [400, { code: -1121, msg: 'Invalid symbol.' }];
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+test.describe('Binance failures', () => {
+  test.before(async () => {
+    await new Promise(resolve => binance.listen(0, '127.0.0.1', resolve));
+    BinanceDataProvider.baseURL = `http://127.0.0.1:${binance.address().port}/api/v3`;
+    UpstreamClient.MAX_RETRIES = 0;
+  });
+
+  test.after(() => new Promise(resolve => binance.close(resolve)));
+
+  test.beforeEach(() => {
+    MarketDataRouter.register(BinanceDataProvider);
+    MarketDataRouter.setPriority(['binance', 'secondary']);
+    binanceRequests.length = 0;
+  });
+
+  test('invalid symbols go back to the caller and leave the provider healthy', async () => {
+    for (let i = 0; i <= MarketDataRouter.FAILURE_THRESHOLD; i++) {
+      await assert.rejects(MarketDataRouter.getCurrentPrice('NOPE'), /Binance price fetch failed: Request failed with status code 400/);
+    }
+    const health = MarketDataRouter.health.get('binance');
+    assert.strictEqual(health.consecutiveFailures, 0);
+    assert.strictEqual(health.healthy, true);
+    assert.strictEqual(secondary.calls, 0);
+  });
+
+  test('server errors fail over and count against health', async () => {
+    assert.deepStrictEqual(await MarketDataRouter.getCurrentPrice('BTC'), { price: 101, provider: 'secondary' });
+    assert.strictEqual(MarketDataRouter.health.get('binance').consecutiveFailures, 1);
+  });
+
+  test('assets Binance does not list skip it', async () => {
+    assert.strictEqual((await MarketDataRouter.getCurrentPrice('XMR')).provider, 'secondary');
+    assert.deepStrictEqual(binanceRequests, []);
+  });
+});
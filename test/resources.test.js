@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResourceRegistry, ResourceSubscriptions } = require('../lib/resources');
+
+function setup() {
+  const registry = new ResourceRegistry();
+  const watches = [];
+  registry.register({
+    scheme: 'watch',
+    read: async (uri) => ({ uri }),
+    subscribe: (uri, onChange) => {
+      if (uri.includes('unknown')) throw new Error(`Unknown symbol in ${uri}`);
+      const watch = { uri, onChange, released: false };
+      watches.push(watch);
+      return () => { watch.released = true; };
+    }
+  });
+  return { subscriptions: new ResourceSubscriptions(registry), watches };
+}
+
+test('a failed watch leaves no subscription behind', () => {
+  const { subscriptions } = setup();
+  assert.throws(() => subscriptions.subscribe('watch://unknown', 'a', () => {}), /Unknown symbol/);
+  assert.deepStrictEqual(subscriptions.getStatus(), []);
+});
+
+test('the watch starts with the first subscriber and stops with the last', () => {
+  const { subscriptions, watches } = setup();
+  const received = [];
+  subscriptions.subscribe('watch://btc', 'a', n => received.push(['a', n.params.uri]));
+  subscriptions.subscribe('watch://btc', 'b', n => received.push(['b', n.params.uri]));
+  assert.strictEqual(watches.length, 1);
+
+  watches[0].onChange();
+  assert.deepStrictEqual(received, [['a', 'watch://btc'], ['b', 'watch://btc']]);
+
+  subscriptions.removeClient('a');
+  assert.strictEqual(watches[0].released, false);
+  subscriptions.removeClient('b');
+  assert.strictEqual(watches[0].released, true);
+  assert.deepStrictEqual(subscriptions.getStatus(), []);
+});
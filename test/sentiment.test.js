@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SentimentAnalyzer } = require('../lib/sentiment');
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+// Scores are normalised as total / sqrt(total^2 + 15)
+test('phrases are matched before words and the weights are summed', () => {
+  const { score, matches } = SentimentAnalyzer.scoreText('Bitcoin surges to record high');
+  assert.deepStrictEqual(matches, [
+    { term: 'surges', weight: 2, negated: false },
+    { term: 'record high', weight: 3, negated: false }
+  ]);
+  close(score, 5 / Math.sqrt(40));
+
+  assert.deepStrictEqual(SentimentAnalyzer.scoreText('ETH hits all-time high').matches.map(m => m.term), ['all-time high']);
+  assert.deepStrictEqual(SentimentAnalyzer.scoreText('Market sell-off deepens').matches, [{ term: 'sell-off', weight: -2, negated: false }]);
+});
+
+test('a negator up to two words earlier flips the sign of a term', () => {
+  const negated = SentimentAnalyzer.scoreText('SEC does not approve Bitcoin ETF');
+  assert.deepStrictEqual(negated.matches, [{ term: 'approve', weight: -2, negated: true }]);
+  close(negated.score, -2 / Math.sqrt(19));
+
+  const denied = SentimentAnalyzer.scoreText('Exchange never hacked');
+  assert.deepStrictEqual(denied.matches, [{ term: 'hacked', weight: 3, negated: true }]);
+  close(denied.score, 3 / Math.sqrt(24));
+
+  // "No" is three words before "rally"
+  const distant = SentimentAnalyzer.scoreText('No sign the rally is over');
+  assert.deepStrictEqual(distant.matches, [{ term: 'rally', weight: 2, negated: false }]);
+  close(distant.score, 2 / Math.sqrt(19));
+});
+
+test('analyze averages only the texts with a signal', () => {
+  const result = SentimentAnalyzer.analyze(['Bitcoin surges to record high', 'SEC does not approve Bitcoin ETF', 'Nothing happened today'], 'test');
+  assert.strictEqual(result.texts_analyzed, 3);
+  assert.strictEqual(result.texts_with_signal, 2);
+  close(result.score, (5 / Math.sqrt(40) - 2 / Math.sqrt(19)) / 2);
+  assert.strictEqual(result.overall_sentiment, 'neutral');
+
+  assert.strictEqual(SentimentAnalyzer.analyze(['Bitcoin surges to record high'], 'test').overall_sentiment, 'bullish');
+  assert.strictEqual(SentimentAnalyzer.analyze(['Exchange hacked in rug pull'], 'test').overall_sentiment, 'bearish');
+  assert.strictEqual(SentimentAnalyzer.analyze(['Nothing happened today'], 'test').score, 0);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { UpstreamClient, TokenBucket, RateLimitError, findRateLimit } = require('../lib/upstream');
+const { MarketDataProvider, MarketDataRouter, BinanceDataProvider } = require('../lib/market-data');
+const { JSONRPC_ERRORS, jsonRpcErrorResponse } = require('../lib/mcp');
+
+// Counts the requests that reach it and answers each with an empty object
+let upstreamRequests = 0;
+const server = http.createServer((req, res) => {
+  upstreamRequests++;
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end('{}');
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// A provider bucket with its single token already spent, refilling one token every 10s
+function exhaust(provider) {
+  const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 0.1 });
+  bucket.tokens = 0;
+  UpstreamClient.buckets.set(provider, bucket);
+  return bucket;
+}
+
+test('acquire waits for a token within the cap', async () => {
+  const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 20 });
+  assert.strictEqual(await bucket.acquire(100), 0);
+
+  const started = Date.now();
+  const waitMs = await bucket.acquire(100);
+  assert.ok(waitMs > 0 && waitMs <= 50);
+  assert.ok(Date.now() - started >= waitMs - 5);
+});
+
+test('acquire refuses a wait beyond the cap without reserving a token', async () => {
+  const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 0.5 });
+  await bucket.acquire(100);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(bucket.acquire(100), error => {
+      assert.ok(error instanceof RateLimitError);
+      assert.strictEqual(error.retryAfter, 2);
+      return true;
+    });
+  }
+  // Refused callers leave the queue as they found it
+  assert.ok(bucket.tokens >= 0 && bucket.tokens < 0.1);
+});
+
+test('a request that would outwait its timeout fails before reaching the upstream', async () => {
+  exhaust('test');
+  upstreamRequests = 0;
+
+  await assert.rejects(UpstreamClient.get(`http://127.0.0.1:${server.address().port}/`, { provider: 'test', timeout: 1000 }), error => {
+    assert.ok(error instanceof RateLimitError);
+    assert.strictEqual(error.message, 'test rate limit reached; retry in 9s');
+    return true;
+  });
+  assert.strictEqual(upstreamRequests, 0);
+  assert.strictEqual(UpstreamClient.statsFor('test').rejected, 1);
+});
+
+test('a provider rate limit reaches the caller as RATE_LIMITED without failing over', async () => {
+  const fallback = class extends MarketDataProvider {
+    static id = 'fallback';
+    static async getCurrentPrice() { return 100; }
+  };
+  for (const id of [...MarketDataRouter.priority]) MarketDataRouter.unregister(id);
+  MarketDataRouter.register(BinanceDataProvider).register(fallback);
+  BinanceDataProvider.baseURL = `http://127.0.0.1:${server.address().port}/api/v3`;
+  exhaust('binance');
+
+  const error = await MarketDataRouter.getCurrentPrice('BTC').then(() => assert.fail('expected a rate limit'), error => error);
+  assert.strictEqual(findRateLimit(error).retryAfter, 5);
+  assert.strictEqual(MarketDataRouter.health.get('binance').consecutiveFailures, 0);
+
+  const { error: rpcError } = jsonRpcErrorResponse(1, new Error('Failed to fetch market data', { cause: error }));
+  assert.strictEqual(rpcError.code, JSONRPC_ERRORS.RATE_LIMITED);
+  assert.deepStrictEqual(rpcError.data, { retry_after: 5 });
+});